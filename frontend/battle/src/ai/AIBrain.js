@@ -1,38 +1,63 @@
 /**
- * AIBrain.js — Simple AI Controller
- * 
- * Provides basic APPROACH/IDLE behavior for fighters.
- * Runs on a tick interval, applies forces to move toward opponent.
+ * AIBrain.js — AI Controller
+ *
+ * Runs one behaviour tree per fighter (see Behaviors.js for the nodes and
+ * BehaviorTree.js for the framework), each with its own blackboard and its own
+ * parameters from an AI profile (AIProfiles.js: aggressive, zoner, novice, ...).
+ * Runs once per fixed physics tick (Simulator pre-step hook): senses the
+ * world, ticks the tree, clamps speed, picks the muscle pose and logs action
+ * changes for replays. Fighters a player has taken over (PlayerController.js)
+ * are skipped. With more than one enemy in the arena each AI re-picks its
+ * target (Targeting.js) on its profile's `targeting` interval, or at once when
+ * the current one is KO'd or eliminated.
  */
 
-const { Body } = Matter;
+import { getStream } from '../utils/SeededRNG.js';
+import { createBlackboard } from './BehaviorTree.js';
+import { buildBehaviorTree, sense, dampHorizontalVelocity } from './Behaviors.js';
+import { resolveAIProfile } from './AIProfiles.js';
+import { isStunned } from '../engine/StatusEffects.js';
+import { setPose } from '../physics/Muscles.js';
+import { clampHorizontalSpeed, setCrouching } from '../physics/Locomotion.js';
+import { isPlayerControlled } from '../input/PlayerController.js';
+import { selectTarget, isTargetable } from './Targeting.js';
 
 // =============================================================================
 // AI CONFIGURATION — Easy to tweak!
+// (Behaviour thresholds and forces live in Behaviors.js → BEHAVIOR_CONFIG,
+//  per-fighter personalities in AIProfiles.js → AI_PROFILES)
 // =============================================================================
 
 export const AI_CONFIG = {
-    // Tick interval (ms) — faster = more responsive movement
-    tickInterval: 30,
-
-    // Distance thresholds
-    approachDistance: 150,   // Start approaching when further than this
-    idleDistance: 80,        // Stop approaching when closer than this
-
-    // Movement forces
-    moveForce: 0.012,        // Force applied when walking
-
     // Velocity limits
     maxVx: 4,                // Max horizontal velocity (prevents rockets)
 
-    // Damping factors (lower = more braking)
-    idleDamping: 0.75,       // X velocity multiplier when IDLE
-    disabledDamping: 0.80,   // X velocity multiplier when AI is OFF
+    // Damping factor per tick when the AI can't act (OFF, KO'd, stunned)
+    disabledDamping: 0.88,
 
-    // States
+    // Actions (behaviour tree leaves; shown in the overlay and logged to replays)
     states: {
         IDLE: 'IDLE',
         APPROACH: 'APPROACH',
+        RETREAT: 'RETREAT',
+        CIRCLE: 'CIRCLE',
+        STRIKE: 'STRIKE',
+        BLOCK: 'BLOCK',
+        DUCK: 'DUCK',
+        GRAPPLE: 'GRAPPLE',
+        STRUGGLE: 'STRUGGLE',
+        JUMP: 'JUMP',
+        DASH: 'DASH',
+        CAST: 'CAST',
+        RECOVER: 'RECOVER',
+    },
+
+    // Muscle pose (Muscles.js → POSES) held during each action; anything else uses `default`
+    // (RECOVER is left to Knockdown.js's get-up sequence)
+    poses: {
+        default: 'stance',
+        BLOCK: 'guard',
+        GRAPPLE: 'reach',
     },
 };
 
@@ -41,8 +66,7 @@ export const AI_CONFIG = {
 // =============================================================================
 
 export const debugState = {
-    vxA: 0,
-    vxB: 0,
+    vx: {},             // Fighter id -> pelvis x velocity
     forceApplied: 0,
 };
 
@@ -53,31 +77,53 @@ export const debugState = {
 // AI instances (fighter id -> AI state)
 const aiInstances = new Map();
 
-// Global tick timer
-let tickTimer = null;
+// Everyone in the arena (targets are picked from here)
+let fighters = [];
+
+// Whether updateAI() does anything (driven by Simulator ticks)
+let isActive = false;
 let tickCallback = null;
 
+// Decision listener: (tick, fighterId, action, data) — used for replay logging
+let decisionListener = null;
+
 /**
  * Create an AI controller for a fighter
  * @param {Object} fighter - The fighter entity
- * @param {Object} target - The target fighter entity
+ * @param {Object|null} target - Initial target (re-picked from setFighters()' list as the fight goes)
+ * @param {string|Object} profile - AI profile id or object (defaults to the fighter's loadout profile)
  * @returns {Object} AI controller
  */
-export function createAI(fighter, target) {
+export function createAI(fighter, target, profile = fighter.aiProfile) {
+    const { id, name, params } = resolveAIProfile(profile ?? undefined);
     const ai = {
         fighter,
         target,
+        retargetTick: 0,    // Next tick the target is re-picked
         state: AI_CONFIG.states.IDLE,
         enabled: true,
         lastDistance: 0,
+        profile: id,
+        params,
+        rng: getStream(`ai:${fighter.id}`),
+        tree: buildBehaviorTree(params),
+        blackboard: createBlackboard({ approaching: false, perceptions: [] }),
     };
 
     aiInstances.set(fighter.id, ai);
-    console.log(`[AI] Created AI for "${fighter.name}"`);
+    console.log(`[AI] Created ${name} AI for "${fighter.name}"`);
 
     return ai;
 }
 
+/**
+ * Update the fighters AIs pick targets from (after respawn)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+}
+
 /**
  * Remove AI controller
  * @param {string} fighterId 
@@ -147,39 +193,36 @@ export function getDistance(fighterA, fighterB) {
 }
 
 /**
- * Clamp horizontal velocity only
- * @param {Matter.Body} body 
- * @param {number} maxVx 
+ * Set the listener notified whenever an AI changes action or casts
+ * @param {Function|null} listener - Called with (tick, fighterId, action, data)
  */
-function clampHorizontalVelocity(body, maxVx) {
-    const vx = body.velocity.x;
-    if (Math.abs(vx) > maxVx) {
-        Body.setVelocity(body, {
-            x: Math.sign(vx) * maxVx,
-            y: body.velocity.y,
-        });
-    }
+export function setDecisionListener(listener) {
+    decisionListener = listener;
 }
 
 /**
- * Apply damping to horizontal velocity only
- * @param {Matter.Body} body 
- * @param {number} factor 
+ * Re-pick an AI's target on its profile's interval (at once if the current one is out)
+ * @param {Object} ai
+ * @param {number} tick
+ * @param {number} fixedDelta - ms per tick
  */
-function dampHorizontalVelocity(body, factor) {
-    Body.setVelocity(body, {
-        x: body.velocity.x * factor,
-        y: body.velocity.y,
-    });
+function updateTarget(ai, tick, fixedDelta) {
+    if (tick < ai.retargetTick && isTargetable(ai.target)) return;
+
+    const { strategy, interval } = ai.params.targeting;
+    ai.retargetTick = tick + Math.max(1, Math.round(interval / fixedDelta));
+    ai.target = selectTarget(ai.fighter, fighters, strategy) ?? ai.target;
 }
 
 /**
  * Process one AI tick for a single AI controller
  * @param {Object} ai 
- * @param {number} index - Fighter index (0 or 1)
+ * @param {number} tick - Simulation tick
+ * @param {number} fixedDelta - ms per tick
  */
-function processAITick(ai, index) {
-    const { fighter, target } = ai;
+function processAITick(ai, tick, fixedDelta) {
+    updateTarget(ai, tick, fixedDelta);
+    const { fighter, target, blackboard } = ai;
 
     // Get bodies
     if (!fighter?.ragdoll?.bodies?.pelvis || !target?.ragdoll?.bodies?.pelvis) {
@@ -190,77 +233,57 @@ function processAITick(ai, index) {
     const torso = fighter.ragdoll.bodies.torso;
 
     // Update debug state
-    if (index === 0) {
-        debugState.vxA = pelvis.velocity.x;
-    } else {
-        debugState.vxB = pelvis.velocity.x;
-    }
+    debugState.vx[fighter.id] = pelvis.velocity.x;
 
-    // If AI is disabled, apply damping and return
-    if (!ai.enabled) {
+    // A player is driving this fighter
+    if (isPlayerControlled(fighter.id)) return;
+
+    // If AI is disabled, the fighter is KO'd or stunned, apply damping and return
+    if (!ai.enabled || fighter.health <= 0 || isStunned(fighter)) {
         dampHorizontalVelocity(pelvis, AI_CONFIG.disabledDamping);
         dampHorizontalVelocity(torso, AI_CONFIG.disabledDamping);
+        setCrouching(fighter, false);
         return;
     }
 
-    const myPos = pelvis.position;
-    const targetPos = target.ragdoll.bodies.pelvis.position;
-
-    // Calculate distance
-    const dx = targetPos.x - myPos.x;
-    const dy = targetPos.y - myPos.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    // Sense, then let the tree pick and perform an action
+    const ctx = { ai, fighter, target, blackboard, rng: ai.rng, tick, time: tick * fixedDelta, fixedDelta };
+    sense(ctx, ai.params);
+    ai.tree.run(ctx);
 
-    ai.lastDistance = distance;
+    ai.lastDistance = blackboard.distance;
+    debugState.forceApplied = blackboard.force;
 
-    // Determine state with hysteresis
-    if (distance > AI_CONFIG.approachDistance) {
-        ai.state = AI_CONFIG.states.APPROACH;
-    } else if (distance < AI_CONFIG.idleDistance) {
-        ai.state = AI_CONFIG.states.IDLE;
+    // Log action changes (and every cast) for replays
+    const previousState = ai.state;
+    ai.state = blackboard.action || AI_CONFIG.states.IDLE;
+    if ((ai.state !== previousState || blackboard.actionData) && decisionListener) {
+        decisionListener(tick, fighter.id, ai.state, blackboard.actionData ?? {});
     }
-    // Keep current state if in between (hysteresis)
-
-    // Apply movement force if approaching
-    if (ai.state === AI_CONFIG.states.APPROACH) {
-        const direction = dx > 0 ? 1 : -1;
-        const force = AI_CONFIG.moveForce * direction;
-
-        // Apply to pelvis for stable walking
-        Body.applyForce(
-            pelvis,
-            pelvis.position,
-            { x: force, y: 0 }
-        );
-
-        // Also apply to torso for faster response
-        Body.applyForce(
-            torso,
-            torso.position,
-            { x: force * 0.5, y: 0 }
-        );
-
-        debugState.forceApplied = force;
-    } else if (ai.state === AI_CONFIG.states.IDLE) {
-        // Apply braking when IDLE to stop drift
-        dampHorizontalVelocity(pelvis, AI_CONFIG.idleDamping);
-        dampHorizontalVelocity(torso, AI_CONFIG.idleDamping);
-        debugState.forceApplied = 0;
+
+    // Only DUCK crouches (Locomotion.js blends in the crouch pose and lowers the stance)
+    if (ai.state !== AI_CONFIG.states.DUCK) setCrouching(fighter, false);
+
+    // Blend into the action's pose (the get-up sequence poses itself)
+    if (ai.state !== previousState && ai.state !== AI_CONFIG.states.RECOVER) {
+        setPose(fighter, AI_CONFIG.poses[ai.state] ?? AI_CONFIG.poses.default);
     }
 
-    // Clamp horizontal velocity
-    clampHorizontalVelocity(pelvis, AI_CONFIG.maxVx);
-    clampHorizontalVelocity(torso, AI_CONFIG.maxVx);
+    // Clamp horizontal velocity (slows, agility and armor scale the limit; not mid-dash)
+    clampHorizontalSpeed(fighter, AI_CONFIG.maxVx * blackboard.speed);
 }
 
 /**
- * Process all AI ticks
+ * Process all AI ticks — register as a Simulator pre-step hook
+ * @param {Matter.Engine} engine
+ * @param {number} tick - Tick about to be simulated
+ * @param {number} fixedDelta - ms per tick
  */
-function processAllAI() {
-    let index = 0;
+export function updateAI(engine, tick, fixedDelta) {
+    if (!isActive) return;
+
     aiInstances.forEach(ai => {
-        processAITick(ai, index);
-        index++;
+        processAITick(ai, tick, fixedDelta);
     });
 
     // Call the tick callback if set (for debug updates)
@@ -270,26 +293,25 @@ function processAllAI() {
 }
 
 /**
- * Start the AI tick loop
+ * Start running AI on simulation ticks
  * @param {Function} onTick - Optional callback after each tick
  */
 export function startAI(onTick = null) {
-    if (tickTimer) return;
+    if (isActive) return;
 
+    isActive = true;
     tickCallback = onTick;
-    tickTimer = setInterval(processAllAI, AI_CONFIG.tickInterval);
-    console.log('[AI] AI tick loop started');
+    console.log('[AI] AI started');
 }
 
 /**
- * Stop the AI tick loop
+ * Stop running AI on simulation ticks
  */
 export function stopAI() {
-    if (tickTimer) {
-        clearInterval(tickTimer);
-        tickTimer = null;
+    if (isActive) {
+        isActive = false;
         tickCallback = null;
-        console.log('[AI] AI tick loop stopped');
+        console.log('[AI] AI stopped');
     }
 }
 
@@ -299,4 +321,5 @@ export function stopAI() {
 export function resetAI() {
     stopAI();
     clearAllAI();
+    debugState.vx = {};
 }
@@ -0,0 +1,196 @@
+/**
+ * AIProfiles.js — AI Personalities and Difficulty Profiles
+ *
+ * A profile is a handful of high-level knobs (BALANCE.md → AI parameters) that
+ * resolveAIProfile() turns into a full BEHAVIOR_CONFIG-shaped parameter set for
+ * one AI instance. Knobs a profile leaves out keep the BEHAVIOR_CONFIG value, so
+ * `balanced` plays exactly like the default tree.
+ *
+ *   aggression      0..1   Strike chance per tick; lower = retreats earlier when hurt
+ *   preferredRange  px     Where it likes to stand (approach stop / circle band / keep-away)
+ *   attackFrequency ×      Strike cooldown divisor (2 = strikes twice as often)
+ *   reactionDelay   ms     How stale its view of the opponent is
+ *   errorRate       0..1   Strike aim scatter, missed blocks and ducks
+ *   castChance      0..1   Chance to cast per cast decision
+ *   targeting       id     Enemy it goes after with several around: nearest, lowestHealth, threat (Targeting.js)
+ *   params          {}     Raw BEHAVIOR_CONFIG overrides, applied last
+ */
+
+import { BEHAVIOR_CONFIG } from './Behaviors.js';
+
+// =============================================================================
+// PROFILES — Easy to tweak!
+// =============================================================================
+
+export const AI_PROFILES = {
+    balanced: {
+        id: 'balanced',
+        name: 'Balanced',
+    },
+    aggressive: {
+        id: 'aggressive',
+        name: 'Aggressive',
+        aggression: 0.85,
+        preferredRange: 60,
+        attackFrequency: 1.4,
+        reactionDelay: 150,
+        targeting: 'lowestHealth',
+    },
+    defensive: {
+        id: 'defensive',
+        name: 'Defensive',
+        aggression: 0.35,
+        preferredRange: 110,
+        attackFrequency: 0.8,
+        reactionDelay: 120,
+        targeting: 'threat',
+        params: { block: { chance: 0.9 } },
+    },
+    zoner: {
+        id: 'zoner',
+        name: 'Zoner',
+        aggression: 0.4,
+        preferredRange: 260,
+        castChance: 0.6,
+        reactionDelay: 150,
+        params: { jump: { chance: 0 } },
+    },
+    berserker: {
+        id: 'berserker',
+        name: 'Berserker',
+        aggression: 1.0,
+        preferredRange: 50,
+        attackFrequency: 2.0,
+        errorRate: 0.3,
+        params: { block: { chance: 0 }, duck: { chance: 0 }, jump: { chance: 0.03 } },
+    },
+    novice: {
+        id: 'novice',
+        name: 'Novice',
+        aggression: 0.4,
+        attackFrequency: 0.6,
+        reactionDelay: 450,
+        errorRate: 0.5,
+        castChance: 0.15,
+    },
+    expert: {
+        id: 'expert',
+        name: 'Expert',
+        aggression: 0.7,
+        attackFrequency: 1.2,
+        reactionDelay: 80,
+        errorRate: 0.02,
+        targeting: 'threat',
+        params: { block: { chance: 0.85 } },
+    },
+};
+
+export const DEFAULT_AI_PROFILE = 'balanced';
+
+// Circle band / approach restart sit this far beyond the preferred range
+const RANGE_BAND = 70;
+
+// Keep-away distance as a fraction of preferred range (ranged profiles only)
+const KEEP_AWAY_SHARE = 0.6;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Copy BEHAVIOR_CONFIG-shaped params with per-section overrides
+ * @param {Object} params
+ * @param {Object} overrides - { section: { key: value } }
+ * @returns {Object}
+ */
+function mergeParams(params, overrides = {}) {
+    const merged = { ...params };
+    Object.entries(overrides).forEach(([section, values]) => {
+        merged[section] = { ...(params[section] || {}), ...values };
+    });
+    return merged;
+}
+
+/**
+ * Turn a profile's knobs into BEHAVIOR_CONFIG section overrides
+ * @param {Object} profile
+ * @param {Object} base - Params the knobs are relative to
+ * @returns {Object}
+ */
+function knobOverrides(profile, base) {
+    const overrides = {};
+    const set = (section, values) => {
+        overrides[section] = { ...(overrides[section] || {}), ...values };
+    };
+
+    if (profile.aggression !== undefined) {
+        set('strike', { chance: profile.aggression });
+        set('retreat', { healthBelow: base.retreat.healthBelow * 2 * (1 - profile.aggression) });
+    }
+    if (profile.preferredRange !== undefined) {
+        const range = profile.preferredRange;
+        set('approach', { stopDistance: range, startDistance: range + RANGE_BAND });
+        set('circle', { maxDistance: range + RANGE_BAND });
+        set('retreat', { keepAway: range > base.strike.range ? range * KEEP_AWAY_SHARE : 0 });
+    }
+    if (profile.attackFrequency !== undefined) {
+        set('strike', { cooldown: base.strike.cooldown / profile.attackFrequency });
+    }
+    if (profile.castChance !== undefined) {
+        set('cast', { chance: profile.castChance });
+    }
+    if (profile.reactionDelay !== undefined) {
+        set('perception', { reactionDelay: profile.reactionDelay });
+    }
+    if (profile.errorRate !== undefined) {
+        set('perception', { errorRate: profile.errorRate });
+    }
+    if (profile.targeting !== undefined) {
+        set('targeting', { strategy: profile.targeting });
+    }
+
+    return overrides;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get a profile definition by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getAIProfile(id) {
+    return AI_PROFILES[id] || null;
+}
+
+/**
+ * Resolve a profile into per-instance behaviour parameters
+ * @param {string|Object} profile - Profile id, or a profile object (may name a `base` profile id to extend)
+ * @returns {Object} { id, name, params } — params has the BEHAVIOR_CONFIG shape
+ */
+export function resolveAIProfile(profile = DEFAULT_AI_PROFILE) {
+    let def = typeof profile === 'string' ? getAIProfile(profile) : profile;
+    if (!def) {
+        console.warn(`[AI] Unknown AI profile "${profile}" — using ${DEFAULT_AI_PROFILE}`);
+        def = AI_PROFILES[DEFAULT_AI_PROFILE];
+    }
+
+    // Extend a named profile (e.g. { base: 'zoner', aggression: 0.9 })
+    if (def.base) {
+        const parent = getAIProfile(def.base) || AI_PROFILES[DEFAULT_AI_PROFILE];
+        def = {
+            ...parent,
+            ...def,
+            params: mergeParams(parent.params || {}, def.params),
+        };
+    }
+
+    const knobbed = mergeParams(BEHAVIOR_CONFIG, knobOverrides(def, BEHAVIOR_CONFIG));
+    return {
+        id: def.id || def.base || 'custom',
+        name: def.name || def.id || 'Custom',
+        params: mergeParams(knobbed, def.params),
+    };
+}
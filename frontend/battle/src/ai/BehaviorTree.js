@@ -0,0 +1,227 @@
+/**
+ * BehaviorTree.js — Minimal Behaviour Tree
+ *
+ * Nodes are plain objects `{ type, name, children, run(ctx) }` built with the
+ * factories below and ticked from the root once per simulation tick. Each run
+ * returns SUCCESS, FAILURE or RUNNING. The tree itself is stateless and can be
+ * shared; per-fighter memory lives in the blackboard passed in `ctx`.
+ *
+ * ctx: { ai, fighter, target, blackboard, rng, tick, time, fixedDelta }
+ */
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+export const STATUS = {
+    SUCCESS: 'SUCCESS',
+    FAILURE: 'FAILURE',
+    RUNNING: 'RUNNING',
+};
+
+// =============================================================================
+// COMPOSITES
+// =============================================================================
+
+/**
+ * Run children in order until one doesn't fail (priority list)
+ * @param {string} name
+ * @param {Array} children
+ * @returns {Object} Node
+ */
+export function selector(name, children) {
+    return {
+        type: 'selector',
+        name,
+        children,
+        run(ctx) {
+            for (const child of children) {
+                const status = child.run(ctx);
+                if (status !== STATUS.FAILURE) return status;
+            }
+            return STATUS.FAILURE;
+        },
+    };
+}
+
+/**
+ * Run children in order until one doesn't succeed
+ * @param {string} name
+ * @param {Array} children
+ * @returns {Object} Node
+ */
+export function sequence(name, children) {
+    return {
+        type: 'sequence',
+        name,
+        children,
+        run(ctx) {
+            for (const child of children) {
+                const status = child.run(ctx);
+                if (status !== STATUS.SUCCESS) return status;
+            }
+            return STATUS.SUCCESS;
+        },
+    };
+}
+
+// =============================================================================
+// LEAVES
+// =============================================================================
+
+/**
+ * Succeed when a test passes
+ * @param {string} name
+ * @param {Function} test - (ctx) => boolean
+ * @returns {Object} Node
+ */
+export function condition(name, test) {
+    return {
+        type: 'condition',
+        name,
+        children: [],
+        run(ctx) {
+            return test(ctx) ? STATUS.SUCCESS : STATUS.FAILURE;
+        },
+    };
+}
+
+/**
+ * Do something; when it doesn't fail, its name becomes the blackboard's current action
+ * @param {string} name - Action name (shown in the debug overlay, logged to replays)
+ * @param {Function} perform - (ctx) => STATUS (undefined counts as SUCCESS)
+ * @returns {Object} Node
+ */
+export function action(name, perform) {
+    return {
+        type: 'action',
+        name,
+        children: [],
+        run(ctx) {
+            const status = perform(ctx) ?? STATUS.SUCCESS;
+            if (status !== STATUS.FAILURE) ctx.blackboard.action = name;
+            return status;
+        },
+    };
+}
+
+/**
+ * Succeed with a probability (drawn from the AI's seeded stream)
+ * @param {string} name
+ * @param {number|Function} probability - Number, or (ctx) => number
+ * @returns {Object} Node
+ */
+export function chance(name, probability) {
+    return condition(name, ctx => {
+        const p = typeof probability === 'function' ? probability(ctx) : probability;
+        return ctx.rng.chance(p);
+    });
+}
+
+/**
+ * An action that lasts several ticks: RUNNING until `ticks` have passed, then SUCCESS.
+ * Restarts from the first tick if it was interrupted (not run on the previous tick).
+ * @param {string} name - Action name
+ * @param {number} ticks - Duration
+ * @param {Function} perform - (ctx, step) => void|STATUS, step counts 0..ticks-1 (FAILURE aborts)
+ * @returns {Object} Node
+ */
+export function timedAction(name, ticks, perform) {
+    return action(name, ctx => {
+        const { timers } = ctx.blackboard;
+        const timer = timers[name];
+        const step = timer && timer.lastTick === ctx.tick - 1 ? timer.step + 1 : 0;
+
+        if (perform(ctx, step) === STATUS.FAILURE) {
+            delete timers[name];
+            return STATUS.FAILURE;
+        }
+        if (step + 1 >= ticks) {
+            delete timers[name];
+            return STATUS.SUCCESS;
+        }
+        timers[name] = { step, lastTick: ctx.tick };
+        return STATUS.RUNNING;
+    });
+}
+
+/**
+ * Check if a timed action ran on the previous tick (i.e. is mid-way)
+ * @param {Object} ctx
+ * @param {string} name - Timed action name
+ * @returns {boolean}
+ */
+export function isRunning(ctx, name) {
+    return ctx.blackboard.timers[name]?.lastTick === ctx.tick - 1;
+}
+
+// =============================================================================
+// DECORATORS
+// =============================================================================
+
+/**
+ * Block a child for `ms` of simulation time after it last succeeded or started running
+ * (a child still RUNNING from the previous tick isn't blocked; an interrupted one is)
+ * @param {string} name - Cooldown key in the blackboard
+ * @param {number} ms
+ * @param {Object} child
+ * @returns {Object} Node
+ */
+export function cooldown(name, ms, child) {
+    return {
+        type: 'cooldown',
+        name,
+        children: [child],
+        run(ctx) {
+            const { cooldowns, running } = ctx.blackboard;
+            const continuing = running[name] === ctx.tick - 1;
+            if (!continuing && ctx.time < (cooldowns[name] ?? 0)) return STATUS.FAILURE;
+
+            const status = child.run(ctx);
+            if (status !== STATUS.FAILURE && !continuing) cooldowns[name] = ctx.time + ms;
+            running[name] = status === STATUS.RUNNING ? ctx.tick : null;
+            return status;
+        },
+    };
+}
+
+/**
+ * Invert a child's result (RUNNING passes through)
+ * @param {string} name
+ * @param {Object} child
+ * @returns {Object} Node
+ */
+export function invert(name, child) {
+    return {
+        type: 'invert',
+        name,
+        children: [child],
+        run(ctx) {
+            const status = child.run(ctx);
+            if (status === STATUS.SUCCESS) return STATUS.FAILURE;
+            if (status === STATUS.FAILURE) return STATUS.SUCCESS;
+            return status;
+        },
+    };
+}
+
+// =============================================================================
+// BLACKBOARD
+// =============================================================================
+
+/**
+ * Create an empty blackboard (per-fighter tree memory)
+ * @param {Object} initial - Extra fields
+ * @returns {Object}
+ */
+export function createBlackboard(initial = {}) {
+    return {
+        action: null,       // Name of the action that ran this tick
+        lastAction: null,   // ...and the tick before (set by sense())
+        actionData: null,   // Extra data for the decision log (e.g. { spell })
+        cooldowns: {},      // Cooldown name -> sim time when ready
+        running: {},        // Cooldown name -> last tick its child was RUNNING
+        timers: {},         // Timed action name -> { step, lastTick }
+        ...initial,
+    };
+}
@@ -0,0 +1,675 @@
+/**
+ * Behaviors.js — AI Behaviour Nodes
+ *
+ * Sensing (blackboard refresh) plus the leaf behaviours the AI is built from:
+ * approach, retreat, circle, strike (punches/kicks via AttackMotions.js), block,
+ * grapple and struggle (Grapple.js), duck, jump, dash (via Locomotion.js), cast
+ * spell, recover and idle.
+ * Every behaviour reads its parameters from one entry of BEHAVIOR_CONFIG, and
+ * buildBehaviorTree() assembles them into the default priority tree:
+ *
+ *   Recover → Struggle → Duck → Block → Grapple → Strike → Cast → Retreat → Jump
+ *     → Dash → Approach → Circle → Idle
+ *
+ * Missing limbs (Dismemberment.js) degrade them: no moves for a limb that's gone,
+ * no block without arms, slower walking and no jumps on fewer legs. An injured
+ * leg (Injuries.js) makes the walk limp.
+ * walk() and sense() are shared with PlayerController.js, and both move through
+ * Locomotion.js and block through Guard.js, so a human-driven fighter moves
+ * exactly like an AI one. The AI blocks when it sees a strike coming in or the
+ * opponent winding one up, crouches under a head-high wind-up, and once it has
+ * hold of the opponent drags them back for a moment before throwing them.
+ * All randomness comes from the AI's seeded stream (ctx.rng), so fights replay.
+ */
+
+import {
+    STATUS,
+    selector,
+    sequence,
+    condition,
+    action,
+    timedAction,
+    cooldown,
+    isRunning,
+} from './BehaviorTree.js';
+import { castSpell, getReadySpells, isInSpellRange } from '../engine/SpellSystem.js';
+import { getSpeedMultiplier } from '../engine/StatusEffects.js';
+import { getAgilityMultiplier } from '../entities/Stats.js';
+import { getSpellDef } from '../items/spells.js';
+import { getRingBounds } from '../engine/World.js';
+import {
+    startAttack,
+    isAttacking,
+    getAttackMotion,
+    getAttackState,
+    ATTACK_CONFIG,
+} from '../physics/AttackMotions.js';
+import { isKnockedDown } from '../physics/Knockdown.js';
+import { hasLimb, isDetached } from '../physics/Dismemberment.js';
+import { getLimpMultiplier } from '../physics/Injuries.js';
+import { move, jump, dash, setCrouching, isGrounded, canJump, canDash } from '../physics/Locomotion.js';
+import { raiseGuard } from '../physics/Guard.js';
+import { grab, throwHeld, struggle, getGrappleState } from '../physics/Grapple.js';
+
+const { Body } = Matter;
+
+// =============================================================================
+// BEHAVIOUR CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const BEHAVIOR_CONFIG = {
+    // How the AI sees its opponent (AIProfiles.js sets these per instance)
+    perception: {
+        reactionDelay: 0,       // ms — target distance/threat are read this stale (BALANCE.md reaction time)
+        errorRate: 0,           // 0..1 — strike aim scatter, chance to miss a block
+    },
+
+    // Which enemy to fight when there's more than one (Targeting.js; AIBrain.js re-picks on the interval)
+    targeting: {
+        strategy: 'nearest',    // 'nearest' | 'lowestHealth' | 'threat'
+        interval: 500,          // ms between re-picks (sooner if the target is KO'd or eliminated)
+    },
+
+    // Walk toward the target; starts past startDistance, stops inside stopDistance (hysteresis)
+    approach: {
+        startDistance: 150,
+        stopDistance: 80,
+        force: 0.007,           // Applied to the pelvis every tick
+        torsoShare: 0.5,        // Fraction also applied to the torso
+        jitter: 0.15,           // ± fraction of force, drawn from the AI's seeded stream
+    },
+
+    // Back away when hurt and the target is close
+    retreat: {
+        distance: 150,          // BALANCE.md retreat distance
+        hold: 40,               // Once retreating, keep going this much further (so approach doesn't flap)
+        healthBelow: 0.3,       // Fraction of max health
+        keepAway: 0,            // Also back off inside this distance regardless of health (0 = never)
+        edgeMargin: 80,         // Never back off within this of the ring edge behind us
+        force: 0.006,
+    },
+
+    // Shuffle in and out at mid range instead of standing still
+    circle: {
+        maxDistance: 150,
+        force: 0.003,
+        period: 45,             // Ticks per direction change
+        edgeMargin: 80,         // Only shuffle forward within this of the ring edge behind us
+    },
+
+    // Brake when there's nothing better to do
+    idle: {
+        damping: 0.85,          // X velocity multiplier per tick
+    },
+
+    // Punch or kick (AttackMotions.js); picks one of `moves` whose reach covers the distance
+    strike: {
+        range: 120,             // Start attacking inside this (longest reach in moves)
+        chance: 0.5,            // Per tick once off cooldown (BALANCE.md aggression-ish)
+        cooldown: 700,          // ms of simulation time between attack starts
+        moves: ['jab', 'hook', 'frontKick'],
+        finisher: 'stomp',      // Used instead when the target is down and in reach
+        aimError: 40,           // px of aim scatter at errorRate 1
+    },
+
+    // Raise the guard (Guard.js) against an incoming hand/foot/weapon or a wind-up
+    block: {
+        range: 70,              // Threat must be this close to head or torso
+        threatSpeed: 5,         // ...and closing at least this fast (px/tick)
+        windupRange: 150,       // Or the target winding up an attack within this distance
+        chance: 0.5,
+        ticks: 10,
+    },
+
+    // Crouch (Locomotion.js) under a head-high attack (jab, hook) being wound up
+    duck: {
+        windupRange: 130,       // Target winding up within this distance
+        chance: 0.2,            // Per wind-up tick (× 1 - errorRate)
+        ticks: 20,              // Stay down this long
+    },
+
+    // Step in and grab the target, drag it back, then throw it (reach, grip and throw: GRAPPLE_CONFIG)
+    grapple: {
+        range: 120,             // Pelvis distance to go for a grab from
+        chance: 0.01,           // Per tick in range
+        lunge: 600,             // ms spent closing in for the grab before giving up
+        force: 0.008,           // Walk force closing in
+        hold: 600,              // ms of dragging before the throw
+        dragForce: 0.006,       // Walk force backing away with the target in hand
+    },
+
+    // Break out of a hold
+    struggle: {
+        chance: 0.2,            // Per tick while held (× 1 - errorRate)
+    },
+
+    // Hop in from mid range (impulse, coyote time and legs needed: LOCOMOTION_CONFIG.jump)
+    jump: {
+        minDistance: 120,
+        maxDistance: 260,
+        chance: 0.01,
+        cooldown: 2500,
+    },
+
+    // Dash in from long range (speed and cooldown: LOCOMOTION_CONFIG.dash)
+    dash: {
+        minDistance: 200,
+        maxDistance: 400,
+        chance: 0.01,
+    },
+
+    // Spell casting (fighters with spells in their loadout)
+    cast: {
+        interval: 30,           // Ticks between cast decisions
+        chance: 0.3,            // BALANCE.md cast frequency
+        minRange: 60,           // Aimed spells only when the target is this far away...
+        maxRange: 600,          // ...and no further (status spells use their own radius)
+    },
+
+    // Missing limbs (Dismemberment.js)
+    crippled: {
+        legSpeed: [0.25, 0.6, 1],   // Walk speed multiplier by legs left (0, 1, 2)
+    },
+};
+
+// Bodies the opponent can hurt us with
+const STRIKING_BODIES = ['leftHand', 'rightHand', 'leftFoot', 'rightFoot'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Apply damping to horizontal velocity only
+ * @param {Matter.Body} body
+ * @param {number} factor
+ */
+export function dampHorizontalVelocity(body, factor) {
+    Body.setVelocity(body, {
+        x: body.velocity.x * factor,
+        y: body.velocity.y,
+    });
+}
+
+/**
+ * Walk (Locomotion.move), limping on an injured leg
+ * @param {Object} ctx
+ * @param {number} force - Signed force on the pelvis (before speed multiplier)
+ * @param {number} torsoShare
+ */
+export function walk(ctx, force, torsoShare) {
+    const scaled = force * ctx.blackboard.speed * getLimpMultiplier(ctx.fighter, ctx.tick);
+    ctx.blackboard.force = move(ctx.fighter, scaled, torsoShare);
+}
+
+/**
+ * Check if any of the target's striking parts is coming at us
+ * @param {Object} fighter
+ * @param {Object} target
+ * @param {Object} params - BEHAVIOR_CONFIG.block
+ * @returns {boolean}
+ */
+function isThreatened(fighter, target, params) {
+    const { head, torso } = fighter.ragdoll.bodies;
+    const parts = STRIKING_BODIES.map(label => target.ragdoll.bodies[label]);
+    if (target.weapon) parts.push(target.weapon.body);
+    const attached = parts.filter(part => !isDetached(part));
+
+    return attached.some(part => [head, torso].some(body => {
+        const dx = body.position.x - part.position.x;
+        const dy = body.position.y - part.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > params.range || distance === 0) return false;
+
+        // Closing speed: relative velocity along the line toward our body
+        const vx = part.velocity.x - body.velocity.x;
+        const vy = part.velocity.y - body.velocity.y;
+        return (vx * dx + vy * dy) / distance >= params.threatSpeed;
+    }));
+}
+
+/**
+ * Check if the target is winding up an attack close enough to land
+ * @param {Object} target
+ * @param {number} distance - Pelvis to pelvis
+ * @param {Object} params - BEHAVIOR_CONFIG.block
+ * @returns {boolean}
+ */
+function isWindingUp(target, distance, params) {
+    return getAttackState(target)?.phase === ATTACK_CONFIG.phases.WINDUP && distance <= params.windupRange;
+}
+
+/**
+ * Check if the target is winding up a head-high attack close enough to duck under
+ * @param {Object} target
+ * @param {number} distance - Pelvis to pelvis
+ * @param {Object} params - BEHAVIOR_CONFIG.duck
+ * @returns {boolean}
+ */
+function isWindingUpHigh(target, distance, params) {
+    const attack = getAttackState(target);
+    return attack?.phase === ATTACK_CONFIG.phases.WINDUP && distance <= params.windupRange
+        && getAttackMotion(attack.type).aim === 'head';
+}
+
+/**
+ * Check there's ring left behind us (backing off any further would risk a ring-out)
+ * @param {Object} ctx
+ * @param {number} margin - px from the ring edge
+ * @returns {boolean}
+ */
+function hasRoomBehind(ctx, margin) {
+    const x = ctx.fighter.ragdoll.bodies.pelvis.position.x;
+    const ring = getRingBounds();
+    return ctx.blackboard.facing > 0 ? x - ring.left > margin : ring.right - x > margin;
+}
+
+/**
+ * Check there's still a limb left to throw an attack with
+ * @param {Object} ctx
+ * @param {string} type - Attack type
+ * @returns {boolean}
+ */
+function canThrow(ctx, type) {
+    const { arms, legs } = ctx.blackboard;
+    return getAttackMotion(type).limb === 'arm' ? arms > 0 : legs > 0;
+}
+
+/**
+ * Choose an attack for the current distance (finisher on a downed target)
+ * @param {Object} ctx
+ * @param {Object} params - BEHAVIOR_CONFIG.strike
+ * @returns {string|null} Attack type
+ */
+function pickAttack(ctx, params) {
+    const { distance, targetDown } = ctx.blackboard;
+    if (targetDown && params.finisher && canThrow(ctx, params.finisher)
+        && distance <= getAttackMotion(params.finisher).reach) {
+        return params.finisher;
+    }
+    const reachable = params.moves.filter(type => canThrow(ctx, type) && distance <= getAttackMotion(type).reach);
+    return reachable.length > 0 ? ctx.rng.pick(reachable) : null;
+}
+
+/**
+ * Gate for a timed action: passes while it's mid-way, otherwise runs the start test
+ * @param {string} name - Timed action name
+ * @param {Function} test - (ctx) => boolean, checked only when starting
+ * @returns {Object} Node
+ */
+function startOrContinue(name, test) {
+    return condition(`${name}?`, ctx => isRunning(ctx, name) || test(ctx));
+}
+
+// =============================================================================
+// SENSING
+// =============================================================================
+
+/**
+ * Refresh the blackboard from the world (call once per tick before the tree)
+ * @param {Object} ctx
+ * @param {Object} params - Behaviour parameters (BEHAVIOR_CONFIG shape)
+ */
+export function sense(ctx, params = BEHAVIOR_CONFIG) {
+    const { fighter, target, blackboard: bb } = ctx;
+    const me = fighter.ragdoll.bodies;
+    const them = target.ragdoll.bodies;
+
+    // What we know about the target lags by the reaction delay
+    const dx = them.pelvis.position.x - me.pelvis.position.x;
+    const dy = them.pelvis.position.y - me.pelvis.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    bb.perceptions.push({
+        dx,
+        distance,
+        targetDown: isKnockedDown(target),
+        threat: isThreatened(fighter, target, params.block),
+        windup: isWindingUp(target, distance, params.block),
+        highWindup: isWindingUpHigh(target, distance, params.duck),
+    });
+    const keep = Math.round(params.perception.reactionDelay / ctx.fixedDelta) + 1;
+    if (bb.perceptions.length > keep) bb.perceptions.splice(0, bb.perceptions.length - keep);
+    const seen = bb.perceptions[0];
+
+    bb.dx = seen.dx;
+    bb.distance = seen.distance;
+    bb.facing = seen.dx >= 0 ? 1 : -1;
+    bb.targetDown = seen.targetDown;
+    bb.threat = seen.threat;
+    bb.windup = seen.windup;
+    bb.highWindup = seen.highWindup;
+    bb.errorRate = params.perception.errorRate;
+
+    // Approach hysteresis (keep walking in until close, don't restart until far)
+    if (bb.distance > params.approach.startDistance) bb.approaching = true;
+    else if (bb.distance < params.approach.stopDistance) bb.approaching = false;
+
+    bb.down = isKnockedDown(fighter);
+
+    // Limbs left (Dismemberment.js)
+    bb.arms = ['leftArm', 'rightArm'].filter(limb => hasLimb(fighter, limb)).length;
+    bb.legs = ['leftLeg', 'rightLeg'].filter(limb => hasLimb(fighter, limb)).length;
+
+    bb.grounded = isGrounded(fighter);
+
+    // Holds (Grapple.js)
+    const grapple = getGrappleState(fighter);
+    bb.holding = !!grapple?.holding;
+    bb.held = !!grapple?.heldBy;
+    bb.holdTime = grapple?.time ?? 0;
+
+    bb.health = fighter.maxHealth ? fighter.health / fighter.maxHealth : 1;
+    bb.speed = getSpeedMultiplier(fighter) * getAgilityMultiplier(fighter.stats) * params.crippled.legSpeed[bb.legs];
+
+    // Per-tick outputs
+    bb.lastAction = bb.action;
+    bb.action = null;
+    bb.actionData = null;
+    bb.force = 0;
+}
+
+// =============================================================================
+// BEHAVIOURS
+// =============================================================================
+
+/**
+ * Stay down while knocked down (Knockdown.js stands the ragdoll back up)
+ * @returns {Object} Node
+ */
+export function recoverBehavior() {
+    return sequence('Recover', [
+        condition('Down?', ctx => ctx.blackboard.down),
+        action('RECOVER', () => STATUS.RUNNING),
+    ]);
+}
+
+/**
+ * Guard the head against an incoming strike or a wind-up (raising it as the strike comes parries)
+ * @param {Object} params - BEHAVIOR_CONFIG.block
+ * @returns {Object} Node
+ */
+export function blockBehavior(params) {
+    return sequence('Block', [
+        startOrContinue('BLOCK', ctx => (
+            (ctx.blackboard.threat || ctx.blackboard.windup) && !ctx.blackboard.down && ctx.blackboard.arms > 0
+            && !ctx.blackboard.holding
+            && ctx.rng.chance(params.chance * (1 - ctx.blackboard.errorRate))
+        )),
+        timedAction('BLOCK', params.ticks, ctx => raiseGuard(ctx.fighter, ctx.blackboard.facing)),
+    ]);
+}
+
+/**
+ * Crouch under a head-high attack the target is winding up (AIBrain.js keeps the
+ * fighter crouched only while this runs)
+ * @param {Object} params - BEHAVIOR_CONFIG.duck
+ * @returns {Object} Node
+ */
+export function duckBehavior(params) {
+    return sequence('Duck', [
+        startOrContinue('DUCK', ctx => (
+            ctx.blackboard.highWindup && !ctx.blackboard.down && ctx.blackboard.grounded && ctx.blackboard.legs > 0
+            && !ctx.blackboard.holding && !ctx.blackboard.held
+            && ctx.rng.chance(params.chance * (1 - ctx.blackboard.errorRate))
+        )),
+        timedAction('DUCK', params.ticks, ctx => setCrouching(ctx.fighter, true)),
+    ]);
+}
+
+/**
+ * Fight out of a hold (each struggle fills the escape meter and jerks away)
+ * @param {Object} params - BEHAVIOR_CONFIG.struggle
+ * @returns {Object} Node
+ */
+export function struggleBehavior(params) {
+    return sequence('Struggle', [
+        condition('Held?', ctx => ctx.blackboard.held),
+        action('STRUGGLE', ctx => {
+            if (ctx.rng.chance(params.chance * (1 - ctx.blackboard.errorRate))) struggle(ctx.fighter);
+            return STATUS.RUNNING;
+        }),
+    ]);
+}
+
+/**
+ * Step in and grab the target, drag it back, then throw it forward
+ * @param {Object} params - BEHAVIOR_CONFIG.grapple
+ * @returns {Object} Node
+ */
+export function grappleBehavior(params) {
+    return sequence('Grapple', [
+        condition('GRAPPLE?', ctx => {
+            const bb = ctx.blackboard;
+            if (bb.holding || ctx.time < (bb.lungeUntil ?? 0)) return true;
+            if (bb.distance > params.range || bb.arms === 0 || bb.targetDown || !ctx.rng.chance(params.chance)) {
+                return false;
+            }
+            bb.lungeUntil = ctx.time + params.lunge;
+            return true;
+        }),
+        action('GRAPPLE', ctx => {
+            const { fighter, target, blackboard: bb } = ctx;
+            if (!bb.holding) {
+                // Close in until a hand is in reach (or the lunge runs out)
+                if (grab(fighter, target)) {
+                    bb.lungeUntil = 0;
+                    bb.actionData = { grab: getGrappleState(fighter).part };
+                    return STATUS.RUNNING;
+                }
+                if (bb.targetDown || ctx.time >= bb.lungeUntil) {
+                    bb.lungeUntil = 0;
+                    return STATUS.FAILURE;
+                }
+                walk(ctx, bb.facing * params.force, 0.5);
+                return STATUS.RUNNING;
+            }
+            if (bb.holdTime >= params.hold) {
+                throwHeld(fighter, bb.facing);
+                bb.actionData = { throw: true };
+                return STATUS.SUCCESS;
+            }
+            walk(ctx, -bb.facing * params.dragForce, 0.5);
+            return STATUS.RUNNING;
+        }),
+    ]);
+}
+
+/**
+ * Punch or kick the target (AttackMotions.js plays the motion; RUNNING until it's done)
+ *
+ * One attack per run: the tick after the motion ends the strike SUCCEEDs, so the
+ * next attack is a fresh start the cooldown has to allow (bb.strikeTick = last tick
+ * a strike was RUNNING).
+ * @param {Object} params - BEHAVIOR_CONFIG.strike
+ * @returns {Object} Node
+ */
+export function strikeBehavior(params) {
+    const isStriking = ctx => ctx.blackboard.strikeTick === ctx.tick - 1;
+
+    return cooldown('strike', params.cooldown, sequence('Strike', [
+        condition('STRIKE?', ctx => isAttacking(ctx.fighter) || isStriking(ctx) || (
+            ctx.blackboard.distance <= params.range && ctx.rng.chance(params.chance)
+        )),
+        action('STRIKE', ctx => {
+            const { fighter, target, blackboard: bb } = ctx;
+            if (isAttacking(fighter)) {
+                bb.strikeTick = ctx.tick;
+                return STATUS.RUNNING;
+            }
+            if (isStriking(ctx)) return STATUS.SUCCESS;
+
+            const type = pickAttack(ctx, params);
+            if (!type) return STATUS.FAILURE;
+
+            // Armed fighters punch with the weapon hand; sloppy AIs aim off-target
+            const side = fighter.weapon && getAttackMotion(type).limb === 'arm' ? 'right' : undefined;
+            const scatter = params.aimError * bb.errorRate;
+            const aimOffset = scatter > 0
+                ? { x: ctx.rng.range(-scatter, scatter), y: ctx.rng.range(-scatter, scatter) }
+                : { x: 0, y: 0 };
+
+            if (!startAttack(fighter, type, target, { side, aimOffset })) return STATUS.FAILURE;
+            bb.actionData = { attack: type };
+            bb.strikeTick = ctx.tick;
+            return STATUS.RUNNING;
+        }),
+    ]));
+}
+
+/**
+ * Cast a ready spell that can reach the target
+ * @param {Object} params - BEHAVIOR_CONFIG.cast
+ * @returns {Object} Node
+ */
+export function castBehavior(params) {
+    // Aimed spells keep to the cast range; status spells need the target inside their radius
+    const canReach = (spellId, distance) => {
+        if (getSpellDef(spellId)?.type === 'status') return isInSpellRange(spellId, distance);
+        return distance >= params.minRange && distance <= params.maxRange;
+    };
+
+    return sequence('Cast', [
+        condition('castTick', ctx => (
+            ctx.fighter.spells?.length > 0
+            && ctx.tick % params.interval === 0
+            && ctx.target.health > 0
+        )),
+        condition('spellReady', ctx => {
+            ctx.blackboard.castable = getReadySpells(ctx.fighter)
+                .filter(spellId => canReach(spellId, ctx.blackboard.distance));
+            return ctx.blackboard.castable.length > 0;
+        }),
+        condition('castChance', ctx => ctx.rng.chance(params.chance)),
+        action('CAST', ctx => {
+            const spellId = ctx.rng.pick(ctx.blackboard.castable);
+            if (!castSpell(ctx.fighter, spellId, ctx.target)) return STATUS.FAILURE;
+            ctx.blackboard.actionData = { spell: spellId };
+            return STATUS.SUCCESS;
+        }),
+    ]);
+}
+
+/**
+ * Back off when hurt and the target is close (or always inside keepAway)
+ * @param {Object} params - BEHAVIOR_CONFIG.retreat
+ * @returns {Object} Node
+ */
+export function retreatBehavior(params) {
+    return sequence('Retreat', [
+        condition('hurtAndClose', ctx => {
+            const bb = ctx.blackboard;
+            const distance = bb.lastAction === 'RETREAT' ? params.distance + params.hold : params.distance;
+            return (bb.health < params.healthBelow && bb.distance < distance) || bb.distance < params.keepAway;
+        }),
+        condition('roomBehind', ctx => hasRoomBehind(ctx, params.edgeMargin)),
+        action('RETREAT', ctx => walk(ctx, -ctx.blackboard.facing * params.force, 0.5)),
+    ]);
+}
+
+/**
+ * Jump toward the target from mid range
+ * @param {Object} params - BEHAVIOR_CONFIG.jump
+ * @returns {Object} Node
+ */
+export function jumpBehavior(params) {
+    return cooldown('jump', params.cooldown, sequence('Jump', [
+        condition('canJump', ctx => {
+            const bb = ctx.blackboard;
+            return canJump(ctx.fighter)
+                && bb.distance >= params.minDistance && bb.distance <= params.maxDistance
+                && ctx.rng.chance(params.chance);
+        }),
+        action('JUMP', ctx => (jump(ctx.fighter, ctx.blackboard.facing) ? STATUS.SUCCESS : STATUS.FAILURE)),
+    ]));
+}
+
+/**
+ * Dash toward the target from long range
+ * @param {Object} params - BEHAVIOR_CONFIG.dash
+ * @returns {Object} Node
+ */
+export function dashBehavior(params) {
+    return sequence('Dash', [
+        condition('canDash', ctx => {
+            const bb = ctx.blackboard;
+            return canDash(ctx.fighter)
+                && bb.distance >= params.minDistance && bb.distance <= params.maxDistance
+                && ctx.rng.chance(params.chance);
+        }),
+        action('DASH', ctx => (dash(ctx.fighter, ctx.blackboard.facing) ? STATUS.SUCCESS : STATUS.FAILURE)),
+    ]);
+}
+
+/**
+ * Walk toward the target (with hysteresis, see sense())
+ * @param {Object} params - BEHAVIOR_CONFIG.approach
+ * @returns {Object} Node
+ */
+export function approachBehavior(params) {
+    return sequence('Approach', [
+        condition('approaching', ctx => ctx.blackboard.approaching),
+        action('APPROACH', ctx => {
+            const jitter = 1 + ctx.rng.range(-params.jitter, params.jitter);
+            walk(ctx, ctx.blackboard.facing * params.force * jitter, params.torsoShare);
+        }),
+    ]);
+}
+
+/**
+ * Shuffle forward and back at mid range
+ * @param {Object} params - BEHAVIOR_CONFIG.circle
+ * @param {number} strikeRange - Inside this there's no need to circle
+ * @returns {Object} Node
+ */
+export function circleBehavior(params, strikeRange) {
+    return sequence('Circle', [
+        condition('midRange', ctx => (
+            ctx.blackboard.distance > strikeRange && ctx.blackboard.distance <= params.maxDistance
+        )),
+        action('CIRCLE', ctx => {
+            const backward = Math.floor(ctx.tick / params.period) % 2 === 1;
+            const phase = backward && hasRoomBehind(ctx, params.edgeMargin) ? -1 : 1;
+            walk(ctx, ctx.blackboard.facing * phase * params.force, 0.5);
+        }),
+    ]);
+}
+
+/**
+ * Brake horizontal drift
+ * @param {Object} params - BEHAVIOR_CONFIG.idle
+ * @returns {Object} Node
+ */
+export function idleBehavior(params) {
+    return action('IDLE', ctx => {
+        const { pelvis, torso } = ctx.fighter.ragdoll.bodies;
+        dampHorizontalVelocity(pelvis, params.damping);
+        dampHorizontalVelocity(torso, params.damping);
+    });
+}
+
+// =============================================================================
+// TREE
+// =============================================================================
+
+/**
+ * Build the default fighting tree
+ * @param {Object} params - Behaviour parameters (defaults to BEHAVIOR_CONFIG)
+ * @returns {Object} Root node
+ */
+export function buildBehaviorTree(params = BEHAVIOR_CONFIG) {
+    return selector('Fight', [
+        recoverBehavior(),
+        struggleBehavior(params.struggle),
+        duckBehavior(params.duck),
+        blockBehavior(params.block),
+        grappleBehavior(params.grapple),
+        strikeBehavior(params.strike),
+        castBehavior(params.cast),
+        retreatBehavior(params.retreat),
+        jumpBehavior(params.jump),
+        dashBehavior(params.dash),
+        approachBehavior(params.approach),
+        circleBehavior(params.circle, params.strike.range),
+        idleBehavior(params.idle),
+    ]);
+}
@@ -0,0 +1,130 @@
+/**
+ * Targeting.js — Picking Which Enemy to Fight
+ *
+ * With more than two fighters (free-for-all or team battles) every controller
+ * has to choose an opponent. selectTarget() scores the living, un-eliminated
+ * enemies (Fighter.js → isEnemy, MatchController.js → isEliminated) with one of:
+ *
+ *   nearest       closest pelvis
+ *   lowestHealth  smallest health fraction — finish off the weak
+ *   threat        biggest danger right now: close, healthy, strong, and
+ *                 swinging at us (AttackMotions.js) or holding us (Grapple.js)
+ *
+ * Ties go to the nearer enemy, then the earlier slot, so the pick is the same on
+ * every run. A fighter holding someone keeps fighting the one in its hands.
+ * AIBrain.js re-picks on the profile's `targeting` interval; PlayerController.js
+ * always faces the nearest enemy. In 1v1 every strategy picks the opponent.
+ */
+
+import { isEnemy } from '../entities/Fighter.js';
+import { getStrengthMultiplier } from '../entities/Stats.js';
+import { isEliminated } from '../engine/MatchController.js';
+import { getGrappleState } from '../physics/Grapple.js';
+
+// =============================================================================
+// TARGETING CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const TARGETING_CONFIG = {
+    // Strategy ids (BEHAVIOR_CONFIG.targeting.strategy, AIProfiles.js → targeting)
+    strategies: {
+        NEAREST: 'nearest',
+        LOWEST_HEALTH: 'lowestHealth',
+        THREAT: 'threat',
+    },
+
+    // threat score = health fraction × strength × range / (range + distance) × multipliers
+    threat: {
+        range: 150,         // px — danger halves at this distance
+        attacking: 2,       // × while its punch/kick is aimed at us
+        holding: 3,         // × while it holds us
+    },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Pelvis-to-pelvis distance
+ * @param {Object} fighter
+ * @param {Object} other
+ * @returns {number}
+ */
+function getPelvisDistance(fighter, other) {
+    const a = fighter.ragdoll.bodies.pelvis.position;
+    const b = other.ragdoll.bodies.pelvis.position;
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * How dangerous an enemy is to a fighter right now
+ * @param {Object} fighter
+ * @param {Object} enemy
+ * @param {number} distance
+ * @returns {number}
+ */
+function getThreat(fighter, enemy, distance) {
+    const { range, attacking, holding } = TARGETING_CONFIG.threat;
+    let threat = (enemy.health / enemy.maxHealth) * getStrengthMultiplier(enemy.stats) * range / (range + distance);
+    if (enemy.attack?.target?.id === fighter.id) threat *= attacking;
+    if (getGrappleState(enemy)?.holding === fighter.id) threat *= holding;
+    return threat;
+}
+
+// Strategy -> (fighter, enemy, distance) => score (higher is picked)
+const SCORES = {
+    [TARGETING_CONFIG.strategies.NEAREST]: () => 0,
+    [TARGETING_CONFIG.strategies.LOWEST_HEALTH]: (fighter, enemy) => -enemy.health / enemy.maxHealth,
+    [TARGETING_CONFIG.strategies.THREAT]: getThreat,
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Check if a fighter can still be fought this round
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isTargetable(fighter) {
+    return !!fighter?.ragdoll && fighter.health > 0 && !isEliminated(fighter);
+}
+
+/**
+ * Get every enemy still in the round
+ * @param {Object} fighter
+ * @param {Array} fighters
+ * @returns {Array}
+ */
+export function getLivingEnemies(fighter, fighters) {
+    return fighters.filter(other => isEnemy(fighter, other) && isTargetable(other));
+}
+
+/**
+ * Pick the enemy to fight
+ * @param {Object} fighter
+ * @param {Array} fighters - Everyone in the arena
+ * @param {string} strategy - TARGETING_CONFIG.strategies value
+ * @returns {Object|null} Enemy fighter, or null if none is left
+ */
+export function selectTarget(fighter, fighters, strategy = TARGETING_CONFIG.strategies.NEAREST) {
+    if (!fighter?.ragdoll) return null;
+
+    // Keep hold of whoever is in our hands
+    const holding = getGrappleState(fighter)?.holding;
+    const held = holding ? fighters.find(other => other?.id === holding) : null;
+    if (held && isTargetable(held)) return held;
+
+    const score = SCORES[strategy] ?? SCORES[TARGETING_CONFIG.strategies.NEAREST];
+    let best = null;
+    getLivingEnemies(fighter, fighters).forEach(enemy => {
+        const distance = getPelvisDistance(fighter, enemy);
+        const value = score(fighter, enemy, distance);
+        if (!best || value > best.value || (value === best.value && distance < best.distance)) {
+            best = { enemy, value, distance };
+        }
+    });
+    return best ? best.enemy : null;
+}
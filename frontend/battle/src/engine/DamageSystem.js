@@ -0,0 +1,390 @@
+/**
+ * DamageSystem.js — Impact → Health Loss
+ *
+ * Converts ImpactTracker impact scores into HP loss on the struck fighter.
+ * Each body is mapped to the fighter that owns it. A striking part (hand/foot)
+ * hitting anything else marks its owner as the attacker; otherwise the faster
+ * of the two colliding bodies is the attacker. Damage is scaled by the hit
+ * zone of the struck body (see HitZones.js) and tallied per zone. Hits landed
+ * with a weapon use its damage and knockback multipliers. Every hit is scaled
+ * by the attacker's strength and the victim's defense stat (Stats.js), and by
+ * the knockdown vulnerability multiplier while the victim is down (Knockdown.js);
+ * the victim's armor then subtracts its flat defense and scales the knockback taken.
+ * Severed limbs (Dismemberment.js) neither deal nor take damage; hits on attached
+ * arms and legs drain that limb's damage pool and injure the part (Injuries.js).
+ * Hits on a raised guard's forearms (Guard.js) are blocked (less damage and
+ * knockback) or, just after it went up, parried (no damage, knockback reflected).
+ * Teammates (Fighter.js → team) still collide but don't hurt each other unless
+ * `friendlyFire` is on.
+ * Emits damage events for the HUD, match logic and replay kill log.
+ *
+ * Knockback is queued during the collision event and applied on the next
+ * pre-step hook (forces applied inside collision events are cleared by Matter).
+ */
+
+import { onImpact, offImpact } from './ImpactTracker.js';
+import { getHitZone, getZoneMultiplier, isStrikingPart, createZoneStats } from './HitZones.js';
+import { getDamageScale, getKnockbackScale } from '../entities/Weapon.js';
+import { getDefense, getKnockbackReduction } from '../entities/Armor.js';
+import { getStrengthMultiplier, getDefenseMultiplier } from '../entities/Stats.js';
+import { getDamageTakenMultiplier } from '../physics/Knockdown.js';
+import { isDetached, damageLimb } from '../physics/Dismemberment.js';
+import { injurePart } from '../physics/Injuries.js';
+import { resolveGuardHit, GUARD_CONFIG } from '../physics/Guard.js';
+import { isEnemy } from '../entities/Fighter.js';
+
+const { Body } = Matter;
+
+// =============================================================================
+// DAMAGE CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const DAMAGE_CONFIG = {
+    // Impacts below this deal no damage (grazes, leaning on each other)
+    minImpact: 80,
+
+    // Damage curve: damage = scale × (impact - minImpact) ^ exponent
+    // exponent < 1 flattens big hits, > 1 rewards them
+    scale: 0.05,
+    exponent: 1.0,
+
+    // Cap per single hit
+    maxDamage: 40,
+
+    // Extra push on the struck body: force = scale × impact × knockback multipliers
+    knockback: {
+        minImpact: 100,
+        scale: 0.00003,
+    },
+
+    // Teammates' hits (and area spells) hurt each other
+    friendlyFire: false,
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Body id -> owning fighter
+const bodyOwners = new Map();
+
+// Damage listeners
+const damageListeners = [];
+
+// All damage events since the last reset
+let damageLog = [];
+
+// Knockback forces waiting for the next pre-step hook: { body, force }
+let pendingKnockback = [];
+
+// Fighter id -> per-zone stats of damage taken ({ head: { hits, damage }, ... })
+const zoneStats = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Get body speed
+ * @param {Matter.Body} body
+ * @returns {number}
+ */
+function getSpeed(body) {
+    return Math.sqrt(body.velocity.x * body.velocity.x + body.velocity.y * body.velocity.y);
+}
+
+/**
+ * Rebuild the body -> fighter lookup
+ */
+function buildBodyOwners() {
+    bodyOwners.clear();
+    fighters.forEach(fighter => {
+        Object.values(fighter.ragdoll.bodies).forEach(body => {
+            bodyOwners.set(body.id, fighter);
+        });
+        if (fighter.weapon) {
+            bodyOwners.set(fighter.weapon.body.id, fighter);
+        }
+        if (!zoneStats.has(fighter.id)) {
+            zoneStats.set(fighter.id, createZoneStats());
+        }
+    });
+}
+
+/**
+ * Decide whether bodyA is the attacking body
+ * @param {Matter.Body} bodyA
+ * @param {Matter.Body} bodyB
+ * @returns {boolean}
+ */
+function isAttackingBody(bodyA, bodyB) {
+    const strikingA = isStrikingPart(bodyA.label);
+    const strikingB = isStrikingPart(bodyB.label);
+
+    // A fist/foot landing on a non-striking part is always the attack
+    if (strikingA !== strikingB) return strikingA;
+
+    // Otherwise the faster body
+    return getSpeed(bodyA) >= getSpeed(bodyB);
+}
+
+/**
+ * Check if one fighter's hits and spells can hurt another (never itself; teammates only with friendlyFire)
+ * @param {Object} attacker
+ * @param {Object} victim
+ * @returns {boolean}
+ */
+export function canHurt(attacker, victim) {
+    if (!attacker || !victim || attacker.id === victim.id) return false;
+    return DAMAGE_CONFIG.friendlyFire || isEnemy(attacker, victim);
+}
+
+/**
+ * Convert an impact score to damage using the configured curve
+ * @param {number} impact
+ * @returns {number}
+ */
+export function impactToDamage(impact) {
+    const { minImpact, scale, exponent, maxDamage } = DAMAGE_CONFIG;
+    if (impact < minImpact) return 0;
+
+    const damage = scale * Math.pow(impact - minImpact, exponent);
+    return Math.min(damage, maxDamage);
+}
+
+/**
+ * Queue a knockback push on the struck body, along the attacker's relative velocity
+ * @param {Matter.Body} attackerBody
+ * @param {Matter.Body} victimBody
+ * @param {number} impact
+ * @param {number} multiplier - Weapon × armor knockback multiplier
+ */
+function queueKnockback(attackerBody, victimBody, impact, multiplier) {
+    const { minImpact, scale } = DAMAGE_CONFIG.knockback;
+    if (impact < minImpact || multiplier <= 0) return;
+
+    const dx = attackerBody.velocity.x - victimBody.velocity.x;
+    const dy = attackerBody.velocity.y - victimBody.velocity.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return;
+
+    const magnitude = scale * impact * multiplier;
+    pendingKnockback.push({
+        body: victimBody,
+        force: { x: dx / length * magnitude, y: dy / length * magnitude },
+    });
+}
+
+// =============================================================================
+// IMPACT HANDLER
+// =============================================================================
+
+/**
+ * Handle an impact from ImpactTracker
+ * @param {Object} event - { bodyA, bodyB, impact, point, tick }
+ */
+function handleImpact({ bodyA, bodyB, impact, point, tick }) {
+    const ownerA = bodyOwners.get(bodyA.id);
+    const ownerB = bodyOwners.get(bodyB.id);
+
+    // Only fighter-vs-fighter contacts deal damage (not loose severed parts or teammates)
+    if (!ownerA || !ownerB || !canHurt(ownerA, ownerB)) return;
+    if (isDetached(bodyA) || isDetached(bodyB)) return;
+
+    const aIsAttacker = isAttackingBody(bodyA, bodyB);
+    const attacker = aIsAttacker ? ownerA : ownerB;
+    const victim = aIsAttacker ? ownerB : ownerA;
+    const attackerBody = aIsAttacker ? bodyA : bodyB;
+    const victimBody = aIsAttacker ? bodyB : bodyA;
+
+    // Weapon multipliers only when the blow was landed with the weapon itself
+    const weapon = attacker.weapon && attacker.weapon.body === attackerBody ? attacker.weapon : null;
+
+    const multiplier = getZoneMultiplier(victimBody.label);
+    const damage = impactToDamage(impact) * multiplier * getDamageScale(weapon);
+
+    // A real hit on the guard's forearms: parried (pushed back onto the attacker) or blocked
+    const guard = damage > 0 ? resolveGuardHit(victim, attacker, victimBody.label, tick) : null;
+    if (guard === GUARD_CONFIG.results.PARRY) {
+        queueKnockback(victimBody, attackerBody, impact, GUARD_CONFIG.parry.reflect * getKnockbackScale(weapon));
+        return;
+    }
+    const blocked = guard === GUARD_CONFIG.results.BLOCK;
+    const { block } = GUARD_CONFIG;
+
+    queueKnockback(attackerBody, victimBody, impact,
+        getKnockbackScale(weapon) * getKnockbackReduction(victim.armor) * (blocked ? block.knockback : 1));
+
+    if (damage <= 0) return;
+
+    applyDamage(victim, damage * (blocked ? block.damage : 1), {
+        tick,
+        attacker,
+        impact,
+        point,
+        bodyLabel: victimBody.label,
+        attackerBodyLabel: attackerBody.label,
+        weapon: weapon ? weapon.def.id : null,
+        multiplier,
+        blocked,
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the damage system
+ * @param {Array} fighterList
+ */
+export function initDamageSystem(fighterList) {
+    zoneStats.clear();
+    setFighters(fighterList);
+    damageLog = [];
+    pendingKnockback = [];
+    onImpact(handleImpact);
+    console.log('[DamageSystem] Initialized');
+}
+
+/**
+ * Stop listening to impacts and clear state
+ */
+export function destroyDamageSystem() {
+    offImpact(handleImpact);
+    fighters = [];
+    bodyOwners.clear();
+    zoneStats.clear();
+    damageLog = [];
+    pendingKnockback = [];
+}
+
+/**
+ * Apply queued knockback — register as a Simulator pre-step hook
+ */
+export function updateDamageSystem() {
+    pendingKnockback.forEach(({ body, force }) => {
+        Body.applyForce(body, body.position, force);
+    });
+    pendingKnockback = [];
+}
+
+/**
+ * Update fighter references (after respawn)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    buildBodyOwners();
+}
+
+/**
+ * Apply damage to a fighter and emit a damage event
+ * @param {Object} victim - Fighter taking damage
+ * @param {number} amount - HP to remove (before stats and armor)
+ * @param {Object} info - { tick, attacker, impact, point, bodyLabel, attackerBodyLabel, weapon, spell, status, multiplier, blocked }
+ * @returns {Object|null} Damage event, or null if the victim is already down or armor absorbed it
+ */
+export function applyDamage(victim, amount, info = {}) {
+    if (!victim || victim.health <= 0) return null;
+
+    // Hits: strength × defense stat × knockdown vulnerability, minus armor (per hit);
+    // damage over time (status effects) goes through
+    const vulnerability = info.status ? 1 : getDamageTakenMultiplier(victim);
+    const mitigated = info.status
+        ? amount
+        : amount * getStrengthMultiplier(info.attacker?.stats) * getDefenseMultiplier(victim.stats) * vulnerability
+            - getDefense(victim.armor);
+    if (mitigated <= 0) return null;
+
+    const dealt = Math.min(mitigated, victim.health);
+    victim.health -= dealt;
+
+    const bodyLabel = info.bodyLabel ?? null;
+    const zone = bodyLabel ? getHitZone(bodyLabel) : null;
+
+    const event = {
+        tick: info.tick ?? 0,
+        attacker: info.attacker?.id ?? null,
+        victim: victim.id,
+        damage: dealt,
+        impact: info.impact ?? 0,
+        point: info.point ?? null,
+        bodyLabel,
+        attackerBodyLabel: info.attackerBodyLabel ?? null,
+        weapon: info.weapon ?? null,
+        spell: info.spell ?? null,
+        status: info.status ?? null,
+        zone,
+        multiplier: info.multiplier ?? 1,
+        blocked: !!info.blocked,
+        vulnerable: vulnerability > 1,
+        health: victim.health,
+        ko: victim.health <= 0,
+    };
+
+    // Per-zone tally (damage without a body, e.g. scripted, isn't zoned)
+    const stats = zoneStats.get(victim.id);
+    if (stats && zone && stats[zone]) {
+        stats[zone].hits++;
+        stats[zone].damage += dealt;
+    }
+    if (bodyLabel) {
+        damageLimb(victim, bodyLabel, dealt);
+        injurePart(victim, bodyLabel, dealt);
+    }
+
+    damageLog.push(event);
+    damageListeners.forEach(listener => listener(event));
+
+    if (event.ko) {
+        console.log(`[DamageSystem] "${victim.name}" KO at tick ${event.tick}`);
+    }
+
+    return event;
+}
+
+/**
+ * Subscribe to damage events
+ * @param {Function} listener - Called with the damage event
+ */
+export function onDamage(listener) {
+    if (!damageListeners.includes(listener)) damageListeners.push(listener);
+}
+
+/**
+ * Unsubscribe from damage events
+ * @param {Function} listener
+ */
+export function offDamage(listener) {
+    const index = damageListeners.indexOf(listener);
+    if (index !== -1) damageListeners.splice(index, 1);
+}
+
+/**
+ * Get all damage events since the last reset
+ * @returns {Array}
+ */
+export function getDamageLog() {
+    return damageLog;
+}
+
+/**
+ * Get per-zone stats of damage taken by a fighter
+ * @param {string} fighterId
+ * @returns {Object} { head: { hits, damage }, torso: ..., limb: ..., striking: ... }
+ */
+export function getZoneStats(fighterId) {
+    return zoneStats.get(fighterId) || createZoneStats();
+}
+
+/**
+ * Get the fighter that owns a body
+ * @param {Matter.Body} body
+ * @returns {Object|null}
+ */
+export function getBodyOwner(body) {
+    return bodyOwners.get(body.id) || null;
+}
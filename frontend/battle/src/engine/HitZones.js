@@ -0,0 +1,91 @@
+/**
+ * HitZones.js — Body Part → Hit Zone Table
+ *
+ * Groups Ragdoll body labels into hit zones with a damage multiplier each.
+ * Hands, feet and weapons are striking parts: landing a blow with them marks
+ * their owner as the attacker, and getting hit on them does little or no damage.
+ */
+
+// =============================================================================
+// HIT ZONE CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const HIT_ZONE_CONFIG = {
+    // Zone -> damage multiplier applied to the struck body
+    // striking: hits landed with this zone count as attacks
+    zones: {
+        head: { multiplier: 2.0 },
+        torso: { multiplier: 1.0 },
+        limb: { multiplier: 0.6 },
+        striking: { multiplier: 0.3, striking: true },
+        weapon: { multiplier: 0.0, striking: true },   // Blade on blade: no damage
+    },
+
+    // Ragdoll body label -> zone
+    bodies: {
+        head: 'head',
+        torso: 'torso',
+        pelvis: 'torso',
+        leftUpperArm: 'limb',
+        leftLowerArm: 'limb',
+        rightUpperArm: 'limb',
+        rightLowerArm: 'limb',
+        leftUpperLeg: 'limb',
+        leftLowerLeg: 'limb',
+        rightUpperLeg: 'limb',
+        rightLowerLeg: 'limb',
+        leftHand: 'striking',
+        rightHand: 'striking',
+        leftFoot: 'striking',
+        rightFoot: 'striking',
+        weapon: 'weapon',
+    },
+
+    // Zone for labels not in the table
+    defaultZone: 'torso',
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get the hit zone for a body label
+ * @param {string} label - Ragdoll body label (e.g. 'leftLowerLeg')
+ * @returns {string} Zone name
+ */
+export function getHitZone(label) {
+    return HIT_ZONE_CONFIG.bodies[label] || HIT_ZONE_CONFIG.defaultZone;
+}
+
+/**
+ * Get the damage multiplier for a body label
+ * @param {string} label
+ * @returns {number}
+ */
+export function getZoneMultiplier(label) {
+    const zone = HIT_ZONE_CONFIG.zones[getHitZone(label)];
+    return zone ? zone.multiplier : 1.0;
+}
+
+/**
+ * Check if a body label is a striking part (hand/foot/weapon)
+ * @param {string} label
+ * @returns {boolean}
+ */
+export function isStrikingPart(label) {
+    const zone = HIT_ZONE_CONFIG.zones[getHitZone(label)];
+    return Boolean(zone && zone.striking);
+}
+
+/**
+ * Create an empty per-zone stats object
+ * @returns {Object} { head: { hits, damage }, torso: ..., ... }
+ */
+export function createZoneStats() {
+    const stats = {};
+    Object.keys(HIT_ZONE_CONFIG.zones).forEach(zone => {
+        stats[zone] = { hits: 0, damage: 0 };
+    });
+    return stats;
+}
@@ -3,6 +3,8 @@
  * 
  * Listens to Matter.js collision events and calculates impact scores.
  * Triggers floating numbers for significant impacts.
+ * The impact counter runs on the simulation clock (Simulator post-step hook),
+ * so it freezes while paused and advances exactly one tick per step.
  */
 
 const { Events } = Matter;
@@ -28,7 +30,7 @@ export const IMPACT_CONFIG = {
     // How long floating numbers last (ms)
     floatDuration: 1500,
 
-    // Counter window (how long to track impacts, ms)
+    // Counter window (how long to track impacts, ms of simulation time)
     counterWindow: 5000,
 
     // Ignore collisions with static bodies (walls, floor)
@@ -54,6 +56,13 @@ let showImpacts = true;
 // Engine reference
 let engine = null;
 
+// Simulation clock (ticks and ms), updated by updateImpactTracker()
+let simTick = 0;
+let simTime = 0;
+
+// Impact listeners (called for every impact above minImpact, even when display is off)
+const impactListeners = [];
+
 // =============================================================================
 // FLOATING NUMBER CLASS
 // =============================================================================
@@ -171,8 +180,6 @@ function shouldIgnore(pair) {
  * @param {Object} event 
  */
 function onCollisionStart(event) {
-    if (!showImpacts) return;
-
     event.pairs.forEach(pair => {
         // Skip ignored collisions
         if (shouldIgnore(pair)) return;
@@ -186,6 +193,18 @@ function onCollisionStart(event) {
         // Get collision point
         const point = getCollisionPoint(pair);
 
+        // Notify listeners
+        impactListeners.forEach(listener => listener({
+            bodyA: pair.bodyA,
+            bodyB: pair.bodyB,
+            impact,
+            point,
+            tick: simTick,
+            time: simTime,
+        }));
+
+        if (!showImpacts) return;
+
         // Get color
         const color = getImpactColor(impact);
 
@@ -196,13 +215,9 @@ function onCollisionStart(event) {
 
         // Add to history
         impactHistory.push({
-            time: performance.now(),
+            time: simTime,
             impact,
         });
-
-        // Clean old history
-        const now = performance.now();
-        impactHistory = impactHistory.filter(h => now - h.time < IMPACT_CONFIG.counterWindow);
     });
 }
 
@@ -220,6 +235,8 @@ export function initImpactTracker(matterEngine) {
     // Clear state
     floatingNumbers = [];
     impactHistory = [];
+    simTick = 0;
+    simTime = 0;
 
     // Listen to collision events
     Events.on(engine, 'collisionStart', onCollisionStart);
@@ -237,6 +254,37 @@ export function destroyImpactTracker() {
     }
     floatingNumbers = [];
     impactHistory = [];
+    simTick = 0;
+    simTime = 0;
+}
+
+/**
+ * Advance the simulation clock and expire old history — register as a Simulator post-step hook
+ * @param {Matter.Engine} matterEngine
+ * @param {number} tick - Completed tick count
+ * @param {number} fixedDelta - ms per tick
+ */
+export function updateImpactTracker(matterEngine, tick, fixedDelta) {
+    simTick = tick;
+    simTime = tick * fixedDelta;
+    impactHistory = impactHistory.filter(h => simTime - h.time < IMPACT_CONFIG.counterWindow);
+}
+
+/**
+ * Subscribe to impacts
+ * @param {Function} listener - Called with { bodyA, bodyB, impact, point, tick, time }
+ */
+export function onImpact(listener) {
+    if (!impactListeners.includes(listener)) impactListeners.push(listener);
+}
+
+/**
+ * Unsubscribe from impacts
+ * @param {Function} listener
+ */
+export function offImpact(listener) {
+    const index = impactListeners.indexOf(listener);
+    if (index !== -1) impactListeners.splice(index, 1);
 }
 
 /**
@@ -264,8 +312,7 @@ export function getFloatingNumbers() {
  * @returns {number}
  */
 export function getImpactCount() {
-    const now = performance.now();
-    return impactHistory.filter(h => now - h.time < IMPACT_CONFIG.counterWindow).length;
+    return impactHistory.filter(h => simTime - h.time < IMPACT_CONFIG.counterWindow).length;
 }
 
 /**
@@ -304,4 +351,6 @@ export function setEngine(matterEngine) {
     // Clear state
     floatingNumbers = [];
     impactHistory = [];
+    simTick = 0;
+    simTime = 0;
 }
@@ -0,0 +1,414 @@
+/**
+ * MatchController.js — Rounds, Timer, KO and Victory
+ *
+ * Turns the endless physics loop into a match: best-of-N rounds between sides —
+ * teams, or every fighter for itself (Fighter.js → team). A fighter is eliminated
+ * for the rest of the round on KO (health zero) or ring-out (torso leaves the
+ * ring); the round ends when one side is left standing, or on timeout (decision
+ * by the remaining sides' health or damage dealt). Rounds and the match are won
+ * by side (team id, or fighter id in a free-for-all). Runs as a Simulator
+ * post-step hook, so round timing is on the simulation clock and identical in
+ * replays and headless runs. Between rounds the caller's spawnFighters() resets
+ * positions and health.
+ */
+
+import { isOutOfRing } from './World.js';
+import { onDamage, offDamage, getZoneStats } from './DamageSystem.js';
+import { createZoneStats } from './HitZones.js';
+import { getTeamName } from '../entities/Fighter.js';
+
+// =============================================================================
+// MATCH CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const MATCH_CONFIG = {
+    // Best-of-N (first to ceil(N/2) round wins takes the match)
+    rounds: 3,
+
+    // Round length in seconds of simulation time
+    roundTime: 60,
+
+    // Pause after a round ends before the next one starts (ms of simulation time)
+    // Lets the KO'd ragdoll drop and the result banner show
+    roundEndDelay: 2000,
+
+    // Timeout decision order: 'health' (side's mean remaining HP fraction, eliminated = 0)
+    // and/or 'damage' (dealt by the side this round)
+    // The first criterion that separates the sides still standing decides; otherwise the round is a draw
+    decision: ['health', 'damage'],
+
+    // Phases
+    phases: {
+        IDLE: 'IDLE',
+        FIGHTING: 'FIGHTING',
+        ROUND_OVER: 'ROUND_OVER',
+        MATCH_OVER: 'MATCH_OVER',
+    },
+
+    // Round end reasons
+    reasons: {
+        KO: 'ko',
+        RING_OUT: 'ringout',
+        TIMEOUT: 'timeout',
+    },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+let callbacks = {};
+
+// Damage dealt this round (fighter id -> damage)
+const roundDamage = new Map();
+
+// Fighters out of the current round (fighter id -> MATCH_CONFIG.reasons KO / RING_OUT)
+const eliminated = new Map();
+
+// ...and when (fighter id -> ticks into the round)
+const eliminatedAt = new Map();
+
+// Ticks elapsed in the current phase
+let phaseTicks = 0;
+
+// Match state (exported for HUD / overlay)
+export const matchState = {
+    phase: MATCH_CONFIG.phases.IDLE,
+    round: 0,
+    roundTime: 0,        // ms of simulation time elapsed this round
+    wins: {},            // side (team id / fighter id) -> rounds won
+    rounds: [],          // { round, winner, reason, ticks, health, damage, eliminated, eliminatedAt }
+    lastRound: null,     // Most recent round result
+    winner: null,        // Match winner side (null = draw / undecided)
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Track damage dealt this round
+ * @param {Object} event - DamageSystem damage event
+ */
+function handleDamage({ attacker, damage }) {
+    if (!attacker || matchState.phase !== MATCH_CONFIG.phases.FIGHTING) return;
+    roundDamage.set(attacker, (roundDamage.get(attacker) || 0) + damage);
+}
+
+/**
+ * Get the sides in the match, in slot order
+ * @returns {Array} Side ids (team ids, or fighter ids in a free-for-all)
+ */
+function getSides() {
+    return [...new Set(fighters.map(f => f.team))];
+}
+
+/**
+ * Display name for a side (team name, or the fighter's name in a free-for-all)
+ * @param {string} side
+ * @returns {string}
+ */
+function getSideName(side) {
+    return getTeamName(side) ?? fighters.find(f => f.id === side)?.name ?? side;
+}
+
+/**
+ * Get the sides with at least one fighter not eliminated
+ * @returns {Array} Side ids
+ */
+function getStandingSides() {
+    return getSides().filter(side => fighters.some(f => f.team === side && !eliminated.has(f.id)));
+}
+
+/**
+ * Pick the single side with the highest score
+ * @param {Array} sides
+ * @param {Function} score - side -> number
+ * @returns {string|null} Side, or null on a tie
+ */
+function pickHighest(sides, score) {
+    const scores = sides.map(side => ({ side, value: score(side) }));
+    const best = Math.max(...scores.map(s => s.value));
+    const leaders = scores.filter(s => s.value === best);
+    return leaders.length === 1 ? leaders[0].side : null;
+}
+
+/**
+ * Decide a timed-out round between the sides still standing
+ * @returns {string|null} Winning side, or null for a draw
+ */
+function decideTimeout() {
+    const members = side => fighters.filter(f => f.team === side);
+    const criteria = {
+        health: side => {
+            const team = members(side);
+            return team.reduce((sum, f) => sum + (eliminated.has(f.id) ? 0 : f.health / f.maxHealth), 0) / team.length;
+        },
+        damage: side => members(side).reduce((sum, f) => sum + (roundDamage.get(f.id) || 0), 0),
+    };
+
+    const sides = getStandingSides();
+    for (const name of MATCH_CONFIG.decision) {
+        const winner = criteria[name] ? pickHighest(sides, criteria[name]) : null;
+        if (winner) return winner;
+    }
+    return null;
+}
+
+/**
+ * Eliminate every fighter matching a check (each is only eliminated once)
+ * @param {Function} isOut - fighter -> boolean
+ * @param {string} reason - MATCH_CONFIG.reasons value
+ * @returns {boolean} Whether anyone was eliminated
+ */
+function eliminate(isOut, reason) {
+    const out = fighters.filter(f => !eliminated.has(f.id) && isOut(f));
+    out.forEach(f => {
+        eliminated.set(f.id, reason);
+        eliminatedAt.set(f.id, phaseTicks);
+        console.log(`[Match] "${f.name}" out (${reason})`);
+    });
+    return out.length > 0;
+}
+
+/**
+ * Check whether the current round has ended
+ * @returns {Object|null} { winner, reason } or null while the round goes on
+ */
+function checkRoundEnd() {
+    const { reasons } = MATCH_CONFIG;
+
+    // KOs first, then ring-outs — last side standing wins (none left = draw)
+    const checks = [
+        [f => f.health <= 0, reasons.KO],
+        [f => isOutOfRing(f.ragdoll.bodies.torso.position), reasons.RING_OUT],
+    ];
+    for (const [isOut, reason] of checks) {
+        if (!eliminate(isOut, reason)) continue;
+        const standing = getStandingSides();
+        if (standing.length <= 1) {
+            return { winner: standing.length === 1 ? standing[0] : null, reason };
+        }
+    }
+
+    // Timeout
+    if (matchState.roundTime >= MATCH_CONFIG.roundTime * 1000) {
+        return { winner: decideTimeout(), reason: reasons.TIMEOUT };
+    }
+
+    return null;
+}
+
+/**
+ * Get the match winner if one is decided
+ * @returns {{ decided: boolean, winner: string|null }}
+ */
+function getMatchOutcome() {
+    const winsNeeded = Math.ceil(MATCH_CONFIG.rounds / 2);
+    const ids = getSides();
+    const leader = ids.find(id => matchState.wins[id] >= winsNeeded);
+    if (leader) return { decided: true, winner: leader };
+
+    // All rounds played — most wins, otherwise a draw
+    if (matchState.round >= MATCH_CONFIG.rounds) {
+        const best = Math.max(...ids.map(id => matchState.wins[id]));
+        const leaders = ids.filter(id => matchState.wins[id] === best);
+        return { decided: true, winner: leaders.length === 1 ? leaders[0] : null };
+    }
+
+    return { decided: false, winner: null };
+}
+
+/**
+ * Begin the next round
+ * @param {number} tick
+ */
+function startRound(tick) {
+    matchState.round++;
+    matchState.roundTime = 0;
+    matchState.phase = MATCH_CONFIG.phases.FIGHTING;
+    phaseTicks = 0;
+    roundDamage.clear();
+    eliminated.clear();
+    eliminatedAt.clear();
+
+    console.log(`[Match] Round ${matchState.round} — fight!`);
+    if (callbacks.onRoundStart) callbacks.onRoundStart(matchState.round, tick);
+}
+
+/**
+ * Finish the current round
+ * @param {Object} outcome - { winner: side or null, reason }
+ * @param {number} tick
+ */
+function endRound({ winner, reason }, tick) {
+    const result = {
+        round: matchState.round,
+        winner,
+        reason,
+        ticks: phaseTicks,
+        health: Object.fromEntries(fighters.map(f => [f.id, f.health])),
+        damage: Object.fromEntries(fighters.map(f => [f.id, roundDamage.get(f.id) || 0])),
+        eliminated: Object.fromEntries(eliminated),
+        eliminatedAt: Object.fromEntries(eliminatedAt),
+    };
+
+    if (winner) matchState.wins[winner]++;
+    matchState.rounds.push(result);
+    matchState.lastRound = result;
+    matchState.phase = MATCH_CONFIG.phases.ROUND_OVER;
+    phaseTicks = 0;
+
+    console.log(`[Match] Round ${result.round}: ${winner ? `"${getSideName(winner)}" wins` : 'draw'} (${reason})`);
+    if (callbacks.onRoundEnd) callbacks.onRoundEnd(result, tick);
+}
+
+/**
+ * Finish the match
+ * @param {string|null} winner - Winning side
+ * @param {number} tick
+ */
+function endMatch(winner, tick) {
+    matchState.phase = MATCH_CONFIG.phases.MATCH_OVER;
+    matchState.winner = winner;
+
+    console.log(`[Match] Match over: ${winner ?? 'draw'}`);
+    if (callbacks.onMatchEnd) callbacks.onMatchEnd(getMatchResult(), tick);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Start a new match (fighters must already be spawned for round 1)
+ * @param {Array} fighterList
+ * @param {Object} options - { spawnFighters() -> fighters, onRoundStart, onRoundEnd, onMatchEnd }
+ */
+export function initMatch(fighterList, options = {}) {
+    fighters = fighterList;
+    callbacks = options;
+
+    matchState.round = 0;
+    matchState.wins = Object.fromEntries(getSides().map(side => [side, 0]));
+    matchState.rounds = [];
+    matchState.lastRound = null;
+    matchState.winner = null;
+
+    onDamage(handleDamage);
+    startRound(0);
+}
+
+/**
+ * Stop tracking the match
+ */
+export function destroyMatch() {
+    offDamage(handleDamage);
+    fighters = [];
+    callbacks = {};
+    roundDamage.clear();
+    eliminated.clear();
+    eliminatedAt.clear();
+    matchState.phase = MATCH_CONFIG.phases.IDLE;
+}
+
+/**
+ * Update fighter references (after respawn). Respawned fighters are all back at full
+ * health, so the round's eliminations and damage are cleared with them; the timer runs on.
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList;
+    roundDamage.clear();
+    eliminated.clear();
+    eliminatedAt.clear();
+}
+
+/**
+ * Advance the match — register as a Simulator post-step hook
+ * @param {Matter.Engine} engine
+ * @param {number} tick - Tick just simulated
+ * @param {number} fixedDelta - ms per tick
+ */
+export function updateMatch(engine, tick, fixedDelta) {
+    const { phases } = MATCH_CONFIG;
+    phaseTicks++;
+
+    if (matchState.phase === phases.FIGHTING) {
+        matchState.roundTime = phaseTicks * fixedDelta;
+        const outcome = checkRoundEnd();
+        if (outcome) endRound(outcome, tick);
+        return;
+    }
+
+    if (matchState.phase === phases.ROUND_OVER && phaseTicks * fixedDelta >= MATCH_CONFIG.roundEndDelay) {
+        const { decided, winner } = getMatchOutcome();
+        if (decided) {
+            endMatch(winner, tick);
+            return;
+        }
+
+        // Reset positions + health for the next round
+        if (callbacks.spawnFighters) {
+            fighters = callbacks.spawnFighters() || fighters;
+        }
+        startRound(tick);
+    }
+}
+
+/**
+ * Check if a fighter is out of the current round (KO'd or rung out)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isEliminated(fighter) {
+    return !!fighter && eliminated.has(fighter.id);
+}
+
+/**
+ * Check if the match has finished
+ * @returns {boolean}
+ */
+export function isMatchOver() {
+    return matchState.phase === MATCH_CONFIG.phases.MATCH_OVER;
+}
+
+/**
+ * Get seconds left in the current round
+ * @returns {number}
+ */
+export function getRoundTimeLeft() {
+    return Math.max(0, MATCH_CONFIG.roundTime - matchState.roundTime / 1000);
+}
+
+/**
+ * Get per-zone damage taken this match (DamageSystem tallies), per fighter and combined
+ * @returns {Object} { fighters: { id: { head: { hits, damage }, ... } }, total: { head: { hits, damage }, ... } }
+ */
+function getZoneResult() {
+    const total = createZoneStats();
+    const perFighter = {};
+    fighters.forEach(f => {
+        perFighter[f.id] = structuredClone(getZoneStats(f.id));
+        Object.entries(perFighter[f.id]).forEach(([zone, { hits, damage }]) => {
+            total[zone].hits += hits;
+            total[zone].damage += damage;
+        });
+    });
+    return { fighters: perFighter, total };
+}
+
+/**
+ * Get a snapshot of the match result
+ * @returns {Object} { winner, rounds, wins, bestOf, zones }
+ */
+export function getMatchResult() {
+    return {
+        winner: matchState.winner,
+        bestOf: MATCH_CONFIG.rounds,
+        wins: { ...matchState.wins },
+        rounds: matchState.rounds.map(round => ({ ...round })),
+        zones: getZoneResult(),
+    };
+}
@@ -3,6 +3,10 @@
  * 
  * Manages the simulation loop with fixed timestep for determinism.
  * Provides pause/resume/step/reset controls.
+ *
+ * Controllers (AI, balance, impact tracking) register pre-step/post-step hooks
+ * instead of running their own timers, so each runs exactly once per fixed
+ * tick — pause, single-step and slow frames all produce identical forces.
  */
 
 const { Engine } = Matter;
@@ -28,6 +32,11 @@ let tickCount = 0;
 let onRender = null;
 let onReset = null;
 
+// Per-tick hooks: hook(engine, tick, fixedDelta)
+// Pre-step hooks see the tick about to be simulated, post-step hooks the tick just completed.
+const preStepHooks = [];
+const postStepHooks = [];
+
 /**
  * Initialize the simulator with an engine and callbacks
  * @param {Matter.Engine} matterEngine - The physics engine
@@ -57,6 +66,61 @@ export function setEngine(matterEngine) {
     engine = matterEngine;
 }
 
+/**
+ * Register a hook to run before every physics step
+ * @param {Function} hook - Called with (engine, tick, fixedDelta)
+ */
+export function addPreStepHook(hook) {
+    if (!preStepHooks.includes(hook)) preStepHooks.push(hook);
+}
+
+/**
+ * Register a hook to run after every physics step
+ * @param {Function} hook - Called with (engine, tick, fixedDelta)
+ */
+export function addPostStepHook(hook) {
+    if (!postStepHooks.includes(hook)) postStepHooks.push(hook);
+}
+
+/**
+ * Unregister a pre-step hook
+ * @param {Function} hook
+ */
+export function removePreStepHook(hook) {
+    const index = preStepHooks.indexOf(hook);
+    if (index !== -1) preStepHooks.splice(index, 1);
+}
+
+/**
+ * Unregister a post-step hook
+ * @param {Function} hook
+ */
+export function removePostStepHook(hook) {
+    const index = postStepHooks.indexOf(hook);
+    if (index !== -1) postStepHooks.splice(index, 1);
+}
+
+/**
+ * Remove all registered hooks
+ */
+export function clearHooks() {
+    preStepHooks.length = 0;
+    postStepHooks.length = 0;
+}
+
+/**
+ * Advance the simulation by exactly one fixed tick (hooks + physics)
+ */
+function stepPhysics() {
+    // Copy so hooks may unregister themselves mid-tick
+    preStepHooks.slice().forEach(hook => hook(engine, tickCount, SIM_CONFIG.fixedDelta));
+
+    Engine.update(engine, SIM_CONFIG.fixedDelta);
+    tickCount++;
+
+    postStepHooks.slice().forEach(hook => hook(engine, tickCount, SIM_CONFIG.fixedDelta));
+}
+
 /**
  * Main simulation loop (called via requestAnimationFrame)
  */
@@ -88,11 +152,10 @@ function loop(currentTime) {
     if (!isPaused) {
         accumulator += deltaTime;
 
-        // Step physics with fixed delta
-        while (accumulator >= SIM_CONFIG.fixedDelta) {
-            Engine.update(engine, SIM_CONFIG.fixedDelta);
+        // Step physics with fixed delta (a hook may pause mid-frame, e.g. on match end)
+        while (!isPaused && accumulator >= SIM_CONFIG.fixedDelta) {
+            stepPhysics();
             accumulator -= SIM_CONFIG.fixedDelta;
-            tickCount++;
         }
     }
 
@@ -173,8 +236,7 @@ export function step() {
     }
 
     // Single physics step
-    Engine.update(engine, SIM_CONFIG.fixedDelta);
-    tickCount++;
+    stepPhysics();
 
     console.log(`[Simulator] Stepped to tick ${tickCount}`);
 
@@ -190,6 +252,21 @@ export function step() {
     }
 }
 
+/**
+ * Advance N ticks immediately, without rendering (headless / fast-forward)
+ * @param {number} ticks - Number of fixed ticks to simulate
+ * @returns {number} Tick count after advancing
+ */
+export function advance(ticks = 1) {
+    if (!engine) return tickCount;
+
+    for (let i = 0; i < ticks; i++) {
+        stepPhysics();
+    }
+
+    return tickCount;
+}
+
 /**
  * Reset the simulation (triggers reset callback)
  */
@@ -238,3 +315,19 @@ export function getFPS() {
 export function getTickCount() {
     return tickCount;
 }
+
+/**
+ * Get elapsed simulation time (ms of fixed ticks, not wall clock)
+ * @returns {number}
+ */
+export function getSimTime() {
+    return tickCount * SIM_CONFIG.fixedDelta;
+}
+
+/**
+ * Get the fixed physics timestep
+ * @returns {number} ms per tick
+ */
+export function getFixedDelta() {
+    return SIM_CONFIG.fixedDelta;
+}
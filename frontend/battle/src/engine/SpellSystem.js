@@ -0,0 +1,400 @@
+/**
+ * SpellSystem.js — Spell Casting, Projectiles and Cooldowns
+ *
+ * Fighters cast spells from their loadout (`fighter.spells`). Travelling spells
+ * spawn a Projectile that detonates on contact; instant strikes hit the target
+ * right away. Either way every ragdoll body in the radius is pushed with
+ * Body.applyForce (falling off toward the edge) and each fighter caught takes
+ * damage through DamageSystem. Spells with an `effect` also apply it through
+ * StatusEffects; status spells do only that, to every enemy around the caster.
+ * Teammates are left alone unless DAMAGE_CONFIG.friendlyFire is on.
+ * Cooldowns are per fighter, on the simulation clock.
+ *
+ * Contacts are only recorded in the collision event; detonations happen on the
+ * next pre-step hook (forces applied inside collision events are cleared by Matter).
+ */
+
+import { getSpellDef } from '../items/spells.js';
+import {
+    createProjectile,
+    steerProjectile,
+    isProjectileExpired,
+    removeProjectile,
+} from '../entities/Projectile.js';
+import { applyDamage, canHurt } from './DamageSystem.js';
+import { applyStatus } from './StatusEffects.js';
+import { getKnockbackReduction } from '../entities/Armor.js';
+import { getSimTime, getFixedDelta, getTickCount } from './Simulator.js';
+
+const { Body, Events } = Matter;
+
+// =============================================================================
+// SPELL CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const SPELL_CONFIG = {
+    // BALANCE.md impulse -> Body.applyForce magnitude at the center of the blast
+    impulseScale: 0.000025,
+
+    // Damage at the center = impulse × damageScale × damagePerImpulse
+    damagePerImpulse: 0.02,
+
+    // BALANCE.md projectile speed (px/s) multiplier
+    speedScale: 2.0,
+
+    // Body the spell is cast from
+    castFrom: 'rightHand',
+
+    // How long blast / strike visuals last (ms of simulation time)
+    effectDuration: 400,
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let engine = null;
+let world = null;
+let fighters = [];
+
+// Projectiles in flight
+let projectiles = [];
+
+// Body id -> projectile (for collision lookup)
+const projectileBodies = new Map();
+
+// Fighter id -> { spellId: sim time when ready again }
+const cooldowns = new Map();
+
+// Visual effects: { type, x, y, radius, color, createdAt } — type 'blast' | 'strike' | 'fizzle' | 'pulse'
+let effects = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Unit vector from one point to another (straight up if they coincide)
+ * @param {Object} from - {x, y}
+ * @param {Object} to - {x, y}
+ * @returns {Object} {x, y}
+ */
+function directionTo(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : { x: 0, y: -1 };
+}
+
+/**
+ * Apply a spell's status effect (if it has one) to a fighter
+ * @param {Object} spell
+ * @param {Object} caster
+ * @param {Object} fighter
+ */
+function applySpellEffect(spell, caster, fighter) {
+    if (!spell.effect) return;
+    applyStatus(fighter, spell.effect, {
+        duration: spell.duration,
+        potency: spell.potency,
+        source: caster,
+    });
+}
+
+/**
+ * Apply a status spell to every enemy whose torso is within the radius of the caster
+ * @param {Object} spell
+ * @param {Object} caster
+ */
+function applyStatusSpell(spell, caster) {
+    const center = caster.ragdoll.bodies.torso.position;
+
+    fighters.forEach(fighter => {
+        if (!canHurt(caster, fighter)) return;
+        const { x, y } = fighter.ragdoll.bodies.torso.position;
+        if (Math.hypot(x - center.x, y - center.y) <= spell.radius) {
+            applySpellEffect(spell, caster, fighter);
+        }
+    });
+}
+
+/**
+ * Push every ragdoll body in the radius (less for armored fighters) and damage the fighters caught
+ * @param {Object} spell - Spell definition
+ * @param {Object} caster - Casting fighter (never hit by its own spell, nor teammates by default)
+ * @param {Object} center - {x, y}
+ * @param {Object|null} direction - Fixed push direction, or null for radial
+ */
+function applySpellArea(spell, caster, center, direction) {
+    const { impulseScale, damagePerImpulse } = SPELL_CONFIG;
+
+    fighters.forEach(fighter => {
+        if (!canHurt(caster, fighter)) return;
+
+        let strongest = 0;
+        const reduction = getKnockbackReduction(fighter.armor);
+        Object.values(fighter.ragdoll.bodies).forEach(body => {
+            const dx = body.position.x - center.x;
+            const dy = body.position.y - center.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > spell.radius) return;
+
+            const falloff = 1 - distance / spell.radius;
+            const push = direction || directionTo(center, body.position);
+            const magnitude = spell.impulse * impulseScale * falloff * reduction;
+            Body.applyForce(body, body.position, { x: push.x * magnitude, y: push.y * magnitude });
+
+            strongest = Math.max(strongest, falloff);
+        });
+
+        if (strongest > 0) {
+            applyDamage(fighter, spell.impulse * spell.damageScale * damagePerImpulse * strongest, {
+                tick: getTickCount(),
+                attacker: caster,
+                point: { ...center },
+                spell: spell.id,
+            });
+            applySpellEffect(spell, caster, fighter);
+        }
+    });
+}
+
+/**
+ * Add a visual effect
+ * @param {string} type - 'blast' | 'strike' | 'fizzle' | 'pulse'
+ * @param {Object} spell
+ * @param {Object} point - {x, y}
+ * @param {number} time
+ */
+function addEffect(type, spell, point, time) {
+    effects.push({
+        type,
+        x: point.x,
+        y: point.y,
+        radius: spell.radius,
+        color: spell.color,
+        createdAt: time,
+    });
+}
+
+/**
+ * Remove a projectile from the world and lookups
+ * @param {Object} projectile
+ */
+function dropProjectile(projectile) {
+    removeProjectile(world, projectile);
+    projectileBodies.delete(projectile.body.id);
+}
+
+/**
+ * Detonate a projectile that touched something
+ * @param {Object} projectile
+ * @param {number} time
+ */
+function detonate(projectile, time) {
+    const { spell, caster, body, velocity } = projectile;
+    const center = { ...body.position };
+
+    // Blasts push outward; projectiles push along their flight path
+    const direction = spell.type === 'projectile' ? directionTo({ x: 0, y: 0 }, velocity) : null;
+    applySpellArea(spell, caster, center, direction);
+
+    addEffect('blast', spell, center, time);
+    dropProjectile(projectile);
+}
+
+// =============================================================================
+// COLLISION HANDLER
+// =============================================================================
+
+/**
+ * Mark projectiles that touched something (detonated next tick)
+ * @param {Object} event
+ */
+function onCollisionStart(event) {
+    event.pairs.forEach(({ bodyA, bodyB }) => {
+        [bodyA, bodyB].forEach(body => {
+            const projectile = projectileBodies.get(body.id);
+            if (projectile) projectile.detonated = true;
+        });
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the spell system (call after every world reset)
+ * @param {Matter.Engine} matterEngine
+ * @param {Matter.World} matterWorld
+ * @param {Array} fighterList
+ */
+export function initSpellSystem(matterEngine, matterWorld, fighterList) {
+    destroySpellSystem();
+
+    engine = matterEngine;
+    world = matterWorld;
+    setFighters(fighterList);
+
+    Events.on(engine, 'collisionStart', onCollisionStart);
+    console.log('[SpellSystem] Initialized');
+}
+
+/**
+ * Stop listening for collisions and clear all state
+ */
+export function destroySpellSystem() {
+    if (engine) {
+        Events.off(engine, 'collisionStart', onCollisionStart);
+    }
+    if (world) {
+        projectiles.forEach(dropProjectile);
+    }
+    engine = null;
+    world = null;
+    fighters = [];
+    projectiles = [];
+    projectileBodies.clear();
+    cooldowns.clear();
+    effects = [];
+}
+
+/**
+ * Update fighter references (after respawn) — clears projectiles and cooldowns
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    if (world) {
+        projectiles.forEach(dropProjectile);
+    }
+    projectiles = [];
+    cooldowns.clear();
+    fighters = fighterList || [];
+}
+
+/**
+ * Check if a fighter can cast a spell right now (a known spell in its loadout, off cooldown)
+ * @param {Object} fighter
+ * @param {string} spellId
+ * @returns {boolean}
+ */
+export function isSpellReady(fighter, spellId) {
+    if (!getSpellDef(spellId) || !fighter.spells || !fighter.spells.includes(spellId)) return false;
+    const readyAt = cooldowns.get(fighter.id)?.[spellId] ?? 0;
+    return getSimTime() >= readyAt;
+}
+
+/**
+ * Get the spells a fighter can cast right now
+ * @param {Object} fighter
+ * @returns {Array} Spell ids
+ */
+export function getReadySpells(fighter) {
+    return (fighter.spells || []).filter(spellId => isSpellReady(fighter, spellId));
+}
+
+/**
+ * Check if a target at this distance is inside a spell's reach
+ * (status spells only reach `radius` around the caster; everything else is aimed)
+ * @param {string} spellId
+ * @param {number} distance - Caster to target
+ * @returns {boolean}
+ */
+export function isInSpellRange(spellId, distance) {
+    const spell = getSpellDef(spellId);
+    if (!spell) return false;
+    return spell.type !== 'status' || distance <= spell.radius;
+}
+
+/**
+ * Get ms of simulation time until a spell is ready again
+ * @param {Object} fighter
+ * @param {string} spellId
+ * @returns {number}
+ */
+export function getCooldownRemaining(fighter, spellId) {
+    const readyAt = cooldowns.get(fighter.id)?.[spellId] ?? 0;
+    return Math.max(0, readyAt - getSimTime());
+}
+
+/**
+ * Cast a spell at a target
+ * @param {Object} caster - Fighter casting (must have the spell in its loadout)
+ * @param {string} spellId
+ * @param {Object} target - Fighter or {x, y} point to aim at
+ * @returns {boolean} True if the spell was cast
+ */
+export function castSpell(caster, spellId, target) {
+    const spell = getSpellDef(spellId);
+    if (!spell || !world || caster.health <= 0 || !isSpellReady(caster, spellId)) return false;
+
+    const time = getSimTime();
+    const aim = target.ragdoll ? target.ragdoll.bodies.torso.position : target;
+    const origin = caster.ragdoll.bodies[SPELL_CONFIG.castFrom].position;
+
+    if (spell.type === 'status') {
+        applyStatusSpell(spell, caster);
+        addEffect('pulse', spell, caster.ragdoll.bodies.torso.position, time);
+    } else if (spell.projectileSpeed > 0) {
+        const speed = spell.projectileSpeed * SPELL_CONFIG.speedScale * getFixedDelta() / 1000;
+        const projectile = createProjectile(world, caster, spell, origin, directionTo(origin, aim), speed, time);
+        projectiles.push(projectile);
+        projectileBodies.set(projectile.body.id, projectile);
+    } else {
+        applySpellArea(spell, caster, aim, null);
+        addEffect('strike', spell, aim, time);
+    }
+
+    if (!cooldowns.has(caster.id)) cooldowns.set(caster.id, {});
+    cooldowns.get(caster.id)[spellId] = time + spell.cooldown;
+
+    console.log(`[SpellSystem] "${caster.name}" cast ${spell.name}`);
+    return true;
+}
+
+/**
+ * Fly, detonate and expire projectiles — register as a Simulator pre-step hook
+ * @param {Matter.Engine} matterEngine
+ * @param {number} tick - Tick about to be simulated
+ * @param {number} fixedDelta - ms per tick
+ */
+export function updateSpellSystem(matterEngine, tick, fixedDelta) {
+    const time = tick * fixedDelta;
+
+    projectiles = projectiles.filter(projectile => {
+        if (projectile.detonated) {
+            detonate(projectile, time);
+            return false;
+        }
+        if (isProjectileExpired(projectile, time)) {
+            addEffect('fizzle', projectile.spell, projectile.body.position, time);
+            dropProjectile(projectile);
+            return false;
+        }
+        steerProjectile(projectile);
+        return true;
+    });
+
+    effects = effects.filter(effect => time - effect.createdAt < SPELL_CONFIG.effectDuration);
+}
+
+/**
+ * Get projectiles and effects for rendering
+ * @returns {Object} { projectiles: [{ x, y, radius, color }], effects: [{ type, x, y, radius, color, progress }] }
+ */
+export function getSpellVisuals() {
+    const time = getSimTime();
+    return {
+        projectiles: projectiles.map(({ body, spell }) => ({
+            x: body.position.x,
+            y: body.position.y,
+            radius: body.circleRadius,
+            color: spell.color,
+        })),
+        effects: effects.map(effect => ({
+            ...effect,
+            progress: Math.min(1, (time - effect.createdAt) / SPELL_CONFIG.effectDuration),
+        })),
+    };
+}
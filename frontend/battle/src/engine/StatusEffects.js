@@ -0,0 +1,319 @@
+/**
+ * StatusEffects.js — Timed Modifiers on Fighters
+ *
+ * Effects live on the fighter (`fighter.statusEffects`) as stacks with their own
+ * expiry time. Every tick (Simulator pre-step hook) the combined potency of each
+ * effect type is applied to the fighter's ragdoll bodies:
+ *
+ *   slow    — horizontal velocity scaled down (AI also walks slower)
+ *   stun    — frictionAir multiplied (AI stops acting)
+ *   gravity — extra gravity on this fighter only
+ *   burn    — damage over time through DamageSystem
+ *
+ * Armor resistances (`fighter.armor.resistances[type]`, 0..1) shorten and
+ * weaken incoming effects; 1 makes the fighter immune.
+ */
+
+import { applyDamage } from './DamageSystem.js';
+import { getSimTime } from './Simulator.js';
+
+const { Body } = Matter;
+
+// =============================================================================
+// STATUS CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const STATUS_CONFIG = {
+    // Max stacks per effect type (a new stack past this replaces the oldest)
+    maxStacks: 3,
+
+    // Per-tick blend toward the slowed velocity (1 = snap, lower = gentler)
+    slowStrength: 0.1,
+
+    // Slow never takes a fighter below this speed multiplier
+    minSpeedMultiplier: 0.2,
+
+    // Burn deals its damage in chunks this far apart (ms of simulation time)
+    burnInterval: 500,
+
+    // Effect types
+    // stacking: 'multiply' (potencies multiply, neutral 1) or 'add' (potencies add, neutral 0)
+    types: {
+        slow: { stacking: 'multiply', color: '#67e8f9', icon: '❄' },
+        stun: { stacking: 'multiply', color: '#fde047', icon: '★' },
+        gravity: { stacking: 'multiply', color: '#a78bfa', icon: '▼' },
+        burn: { stacking: 'add', color: '#f97316', icon: '♨' },   // potency = damage per second
+    },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Body id -> frictionAir before any stun touched it
+const baseFrictionAir = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Neutral potency for an effect type (what "no effect" combines to)
+ * @param {string} type
+ * @returns {number}
+ */
+function getNeutral(type) {
+    return STATUS_CONFIG.types[type].stacking === 'add' ? 0 : 1;
+}
+
+/**
+ * Get a fighter's resistance to an effect type (from armor)
+ * @param {Object} fighter
+ * @param {string} type
+ * @returns {number} 0..1
+ */
+function getResistance(fighter, type) {
+    const resistance = fighter.armor?.resistances?.[type] ?? 0;
+    return Math.min(1, Math.max(0, resistance));
+}
+
+/**
+ * Drop stacks that have run out
+ * @param {Object} fighter
+ * @param {number} time - Current simulation time (ms)
+ */
+function expireEffects(fighter, time) {
+    fighter.statusEffects = fighter.statusEffects.filter(effect => effect.expiresAt > time);
+}
+
+/**
+ * Scale horizontal velocity of every ragdoll body toward the slowed speed
+ * @param {Object} fighter
+ * @param {number} multiplier - Speed multiplier (< 1)
+ */
+function applySlow(fighter, multiplier) {
+    const factor = 1 - (1 - multiplier) * STATUS_CONFIG.slowStrength;
+    Object.values(fighter.ragdoll.bodies).forEach(body => {
+        Body.setVelocity(body, { x: body.velocity.x * factor, y: body.velocity.y });
+    });
+}
+
+/**
+ * Set frictionAir of every ragdoll body to base × multiplier
+ * @param {Object} fighter
+ * @param {number} multiplier - 1 restores the base value
+ */
+function applyDamping(fighter, multiplier) {
+    Object.values(fighter.ragdoll.bodies).forEach(body => {
+        if (!baseFrictionAir.has(body.id)) {
+            if (multiplier === 1) return;
+            baseFrictionAir.set(body.id, body.frictionAir);
+        }
+        body.frictionAir = baseFrictionAir.get(body.id) * multiplier;
+    });
+}
+
+/**
+ * Add (multiplier - 1) × world gravity to every ragdoll body
+ * @param {Object} fighter
+ * @param {Object} gravity - engine.gravity { x, y, scale }
+ * @param {number} multiplier
+ */
+function applyGravity(fighter, gravity, multiplier) {
+    const extra = (multiplier - 1) * gravity.scale;
+    Object.values(fighter.ragdoll.bodies).forEach(body => {
+        Body.applyForce(body, body.position, {
+            x: body.mass * gravity.x * extra,
+            y: body.mass * gravity.y * extra,
+        });
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the status effect system
+ * @param {Array} fighterList
+ */
+export function initStatusEffects(fighterList) {
+    setFighters(fighterList);
+    console.log('[StatusEffects] Initialized');
+}
+
+/**
+ * Clear all state
+ */
+export function destroyStatusEffects() {
+    fighters = [];
+    baseFrictionAir.clear();
+}
+
+/**
+ * Update fighter references (after respawn)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    baseFrictionAir.clear();
+}
+
+/**
+ * Apply a status effect stack to a fighter
+ * @param {Object} fighter
+ * @param {string} type - 'slow' | 'stun' | 'gravity' | 'burn'
+ * @param {Object} options - { duration (ms), potency, source (fighter or null) }
+ * @returns {Object|null} The new stack, or null if unknown type / fully resisted
+ */
+export function applyStatus(fighter, type, options = {}) {
+    if (!STATUS_CONFIG.types[type]) {
+        console.warn(`[StatusEffects] Unknown effect "${type}"`);
+        return null;
+    }
+    if (!fighter || fighter.health <= 0) return null;
+
+    const resistance = getResistance(fighter, type);
+    if (resistance >= 1) return null;
+
+    // Resistance shortens the effect and pulls its potency toward neutral
+    const neutral = getNeutral(type);
+    const potency = neutral + ((options.potency ?? neutral) - neutral) * (1 - resistance);
+    const duration = (options.duration ?? 0) * (1 - resistance);
+    const time = getSimTime();
+
+    const effect = {
+        type,
+        potency,
+        expiresAt: time + duration,
+        source: options.source?.id ?? null,
+    };
+
+    // Past the stack cap, the stack closest to expiring is replaced
+    const stacks = fighter.statusEffects.filter(e => e.type === type);
+    if (stacks.length >= STATUS_CONFIG.maxStacks) {
+        const oldest = stacks.reduce((a, b) => (b.expiresAt < a.expiresAt ? b : a));
+        fighter.statusEffects.splice(fighter.statusEffects.indexOf(oldest), 1);
+    }
+    fighter.statusEffects.push(effect);
+
+    console.log(`[StatusEffects] "${fighter.name}" ${type} ×${potency.toFixed(2)} for ${duration}ms`);
+    return effect;
+}
+
+/**
+ * Remove effects from a fighter
+ * @param {Object} fighter
+ * @param {string} type - Effect type, or omit to clear everything
+ */
+export function clearStatus(fighter, type) {
+    fighter.statusEffects = type ? fighter.statusEffects.filter(e => e.type !== type) : [];
+}
+
+/**
+ * Combined potency of every active stack of a type
+ * @param {Object} fighter
+ * @param {string} type
+ * @returns {number} Neutral value (1 or 0) when the type isn't active
+ */
+export function getStatusPotency(fighter, type) {
+    const stacking = STATUS_CONFIG.types[type]?.stacking;
+    return (fighter.statusEffects || [])
+        .filter(effect => effect.type === type)
+        .reduce((total, effect) => (
+            stacking === 'add' ? total + effect.potency : total * effect.potency
+        ), getNeutral(type));
+}
+
+/**
+ * Check if a fighter has at least one stack of an effect
+ * @param {Object} fighter
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasStatus(fighter, type) {
+    return (fighter.statusEffects || []).some(effect => effect.type === type);
+}
+
+/**
+ * Check if a fighter is stunned (AI skips its turn)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isStunned(fighter) {
+    return hasStatus(fighter, 'stun');
+}
+
+/**
+ * Movement speed multiplier from slows (used by AI walking force and max speed)
+ * @param {Object} fighter
+ * @returns {number} 1 when not slowed
+ */
+export function getSpeedMultiplier(fighter) {
+    return Math.max(STATUS_CONFIG.minSpeedMultiplier, getStatusPotency(fighter, 'slow'));
+}
+
+/**
+ * Get a fighter's active effects for rendering (one entry per type)
+ * @param {Object} fighter
+ * @returns {Array} [{ type, stacks, remaining, color, icon }]
+ */
+export function getActiveEffects(fighter) {
+    const time = getSimTime();
+    const byType = new Map();
+
+    (fighter.statusEffects || []).forEach(effect => {
+        if (effect.expiresAt <= time) return;
+        const entry = byType.get(effect.type) || {
+            type: effect.type,
+            stacks: 0,
+            remaining: 0,
+            color: STATUS_CONFIG.types[effect.type].color,
+            icon: STATUS_CONFIG.types[effect.type].icon,
+        };
+        entry.stacks++;
+        entry.remaining = Math.max(entry.remaining, effect.expiresAt - time);
+        byType.set(effect.type, entry);
+    });
+
+    return Array.from(byType.values());
+}
+
+/**
+ * Expire and apply effects — register as a Simulator pre-step hook
+ * @param {Matter.Engine} engine
+ * @param {number} tick - Tick about to be simulated
+ * @param {number} fixedDelta - ms per tick
+ */
+export function updateStatusEffects(engine, tick, fixedDelta) {
+    const time = tick * fixedDelta;
+    const burnTicks = Math.max(1, Math.round(STATUS_CONFIG.burnInterval / fixedDelta));
+
+    fighters.forEach(fighter => {
+        if (!fighter.statusEffects) return;
+        expireEffects(fighter, time);
+
+        // Damping is always re-applied so it resets once a stun ends
+        applyDamping(fighter, getStatusPotency(fighter, 'stun'));
+
+        if (fighter.statusEffects.length === 0) return;
+
+        const slow = getSpeedMultiplier(fighter);
+        if (slow < 1) applySlow(fighter, slow);
+
+        const gravity = getStatusPotency(fighter, 'gravity');
+        if (gravity !== 1) applyGravity(fighter, engine.gravity, gravity);
+
+        const burn = getStatusPotency(fighter, 'burn');
+        if (burn > 0 && tick % burnTicks === 0) {
+            const source = fighter.statusEffects.filter(e => e.type === 'burn').pop().source;
+            applyDamage(fighter, burn * burnTicks * fixedDelta / 1000, {
+                tick,
+                attacker: fighters.find(f => f.id === source) ?? null,
+                status: 'burn',
+            });
+        }
+    });
+}
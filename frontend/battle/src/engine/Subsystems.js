@@ -0,0 +1,244 @@
+/**
+ * Subsystems.js — Shared Wiring for the Battle Systems
+ *
+ * The browser sandbox (index.js) and headless runs (HeadlessBattle.js) build the
+ * same battle: the same fighters and AI from a roster, the same per-fighter
+ * systems and the same per-tick hooks in the same order. Keeping that list here
+ * means a seed plays the same fight in both, and a new system is wired into
+ * both by adding it once.
+ *
+ *   spawnRoster()      — (re)spawn the roster's fighters and AI, hand them to every system
+ *   initSubsystems()   — initialize every system on a fresh engine
+ *   registerHooks()    — add every system's Simulator hook, in tick order
+ *   destroySubsystems()— tear every system down (headless runs)
+ *
+ * The caller owns the world, impact tracking, the match and anything UI-only
+ * (renderer, player input, replays).
+ */
+
+import { getArenaConfig, getSpawnPositions } from './World.js';
+import * as Simulator from './Simulator.js';
+import { updateImpactTracker } from './ImpactTracker.js';
+import {
+    initDamageSystem,
+    destroyDamageSystem,
+    setFighters as setDamageFighters,
+    updateDamageSystem,
+} from './DamageSystem.js';
+import {
+    initSpellSystem,
+    destroySpellSystem,
+    setFighters as setSpellFighters,
+    updateSpellSystem,
+} from './SpellSystem.js';
+import {
+    initStatusEffects,
+    destroyStatusEffects,
+    setFighters as setStatusFighters,
+    updateStatusEffects,
+} from './StatusEffects.js';
+import { setFighters as setMatchFighters, updateMatch } from './MatchController.js';
+import { createFighterFromLoadout, removeFighter } from '../entities/Fighter.js';
+import {
+    createAI,
+    resetAI,
+    startAI,
+    stopAI,
+    updateAI,
+    setFighters as setAIFighters,
+} from '../ai/AIBrain.js';
+import { selectTarget } from '../ai/Targeting.js';
+import {
+    initAttackMotions,
+    destroyAttackMotions,
+    setFighters as setAttackFighters,
+    updateAttackMotions,
+} from '../physics/AttackMotions.js';
+import {
+    initKnockdown,
+    destroyKnockdown,
+    setFighters as setKnockdownFighters,
+    updateKnockdown,
+} from '../physics/Knockdown.js';
+import {
+    initMuscles,
+    destroyMuscles,
+    setFighters as setMuscleFighters,
+    updateMuscles,
+} from '../physics/Muscles.js';
+import {
+    initBalanceAssist,
+    startBalanceAssist,
+    resetBalanceAssist,
+    updateBalanceAssist,
+    setFighters as setBalanceFighters,
+} from '../physics/BalanceAssist.js';
+import {
+    initDismemberment,
+    destroyDismemberment,
+    setFighters as setDismemberFighters,
+    updateDismemberment,
+} from '../physics/Dismemberment.js';
+import {
+    initInjuries,
+    destroyInjuries,
+    setFighters as setInjuryFighters,
+} from '../physics/Injuries.js';
+import {
+    initLocomotion,
+    destroyLocomotion,
+    setFighters as setLocomotionFighters,
+    updateLocomotion,
+} from '../physics/Locomotion.js';
+import {
+    initGuard,
+    destroyGuard,
+    setFighters as setGuardFighters,
+    updateGuard,
+} from '../physics/Guard.js';
+import {
+    initGrapple,
+    destroyGrapple,
+    setFighters as setGrappleFighters,
+    updateGrapple,
+} from '../physics/Grapple.js';
+import {
+    initSpawnProtection,
+    destroySpawnProtection,
+    setFighters as setSpawnProtectionFighters,
+    updateSpawnProtection,
+} from '../physics/SpawnProtection.js';
+import { getStream } from '../utils/SeededRNG.js';
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Spawn the roster's fighters (removing the previous ones), give each an AI on its
+ * nearest enemy, hand the fighters to every system and start the AI and balance assist
+ * @param {Matter.World} world
+ * @param {Array} loadouts - Roster, in slot order
+ * @param {Array} previous - Fighters to remove first
+ * @param {Object} options - { onAITick } (AI debug callback)
+ * @returns {Array} Fighters in slot order
+ */
+export function spawnRoster(world, loadouts, previous = [], options = {}) {
+    const spawn = getSpawnPositions(getStream('spawn'), loadouts.length);
+
+    // Remove existing fighters
+    previous.forEach(f => removeFighter(world, f));
+
+    // Clear AI
+    resetAI();
+
+    // Create fighters with UNIQUE collision groups (one per loadout)
+    // Negative groups: parts within same group don't collide with each other
+    // Different negative groups: parts DO collide with each other
+    const fighters = loadouts.map((loadout, index) => (
+        createFighterFromLoadout(world, spawn[index].x, spawn[index].y, loadout, getStream(`ragdoll:${loadout.id}`))
+    ));
+
+    // Create AI controllers (each starts on its nearest enemy and re-picks as the fight goes)
+    setAIFighters(fighters);
+    fighters.forEach(f => createAI(f, selectTarget(f, fighters)));
+
+    // Balance supports, body ownership, KO / ring-out checks
+    setBalanceFighters(fighters);
+    setDamageFighters(fighters);
+    setMatchFighters(fighters);
+
+    // Spells (clears projectiles in flight and cooldowns) and status effects
+    setSpellFighters(fighters);
+    setStatusFighters(fighters);
+
+    // Punch/kick motions, knockdowns (everyone starts standing), muscles (base pose)
+    setAttackFighters(fighters);
+    setKnockdownFighters(fighters);
+    setMuscleFighters(fighters);
+
+    // Fresh ragdolls have every limb and no injuries
+    setDismemberFighters(fighters);
+    setInjuryFighters(fighters);
+
+    // Foot contacts, guards down, no grips; fresh fighters pass through each other for a moment
+    setLocomotionFighters(fighters);
+    setGuardFighters(fighters);
+    setGrappleFighters(fighters);
+    setSpawnProtectionFighters(fighters);
+
+    // Run AI and balance assist on simulation ticks
+    startAI(options.onAITick ?? null);
+    startBalanceAssist();
+
+    return fighters;
+}
+
+/**
+ * Initialize every system on a fresh engine (after spawnRoster)
+ * @param {Matter.Engine} engine
+ * @param {Matter.World} world
+ * @param {Array} fighters
+ */
+export function initSubsystems(engine, world, fighters) {
+    initBalanceAssist(fighters, getArenaConfig().floorY, world);
+    initDamageSystem(fighters);
+    initSpellSystem(engine, world, fighters);
+    initStatusEffects(fighters);
+    initAttackMotions(fighters);
+    initKnockdown(fighters);
+    initMuscles(fighters);
+    initDismemberment(fighters);
+    initInjuries(fighters);
+    initLocomotion(engine, fighters);
+    initGuard(fighters);
+    initGrapple(engine, fighters);
+    initSpawnProtection(fighters);
+}
+
+/**
+ * Add every system's per-tick hook to the Simulator, in the order they must run
+ * @param {Object} options - { beforeAI: [hooks], afterAI: [hooks] } (e.g. replay toggles, player input)
+ */
+export function registerHooks(options = {}) {
+    const { beforeAI = [], afterAI = [] } = options;
+
+    beforeAI.forEach(hook => Simulator.addPreStepHook(hook));
+    Simulator.addPreStepHook(updateAI);
+    afterAI.forEach(hook => Simulator.addPreStepHook(hook));
+    Simulator.addPreStepHook(updateSpawnProtection);
+    Simulator.addPreStepHook(updateLocomotion);
+    Simulator.addPreStepHook(updateGuard);
+    Simulator.addPreStepHook(updateGrapple);
+    Simulator.addPreStepHook(updateAttackMotions);
+    Simulator.addPreStepHook(updateKnockdown);
+    Simulator.addPreStepHook(updateMuscles);
+    Simulator.addPreStepHook(updateBalanceAssist);
+    Simulator.addPreStepHook(updateSpellSystem);
+    Simulator.addPreStepHook(updateStatusEffects);
+    Simulator.addPreStepHook(updateDamageSystem);
+    Simulator.addPostStepHook(updateImpactTracker);
+    Simulator.addPostStepHook(updateDismemberment);
+    Simulator.addPostStepHook(updateMatch);
+}
+
+/**
+ * Tear every system down (headless runs; safe to call after a partial init)
+ */
+export function destroySubsystems() {
+    destroySpellSystem();
+    destroyStatusEffects();
+    destroyAttackMotions();
+    destroyKnockdown();
+    destroyMuscles();
+    destroyDismemberment();
+    destroyInjuries();
+    destroyLocomotion();
+    destroyGuard();
+    destroyGrapple();
+    destroySpawnProtection();
+    destroyDamageSystem();
+    stopAI();
+    setAIFighters([]);
+    resetBalanceAssist();
+}
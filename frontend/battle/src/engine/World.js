@@ -14,9 +14,25 @@ const ARENA = {
   height: 600,
   wallThickness: 20,
   floorY: 580,      // Floor position from top
+  floorThickness: 100, // Floor extends below the canvas so hard landings can't push limbs through it
   ceilingY: 20,     // Ceiling position from top
 };
 
+// Spawn configuration
+const SPAWN = {
+  spawnHeightAboveCenter: 50,   // Spawn above center so fighters fall
+  slotGap: 0.4,                 // Fraction of arena width between neighbouring slots (1v1: 0.3 / 0.7)...
+  edgeMargin: 120,              // ...squeezed so the outer slots stay this far inside the ring edges
+  jitterX: 20,                  // ± px of seeded horizontal offset...
+  jitterShare: 0.25,            // ...but at most this fraction of the gap, so crowded slots don't touch
+};
+
+// Ring configuration (leaving the ring = ring-out)
+const RING = {
+  insetX: 50,        // Ring edge distance from the inner face of each side wall
+  fallMarginY: 40,   // Below the floor surface by this much = fell out
+};
+
 // Physics configuration
 const PHYSICS = {
   gravity: { x: 0, y: 1.0 },
@@ -34,14 +50,14 @@ let bounds = null;
  * Create arena boundary walls (static bodies)
  */
 function createArenaBounds() {
-  const { width, height, wallThickness } = ARENA;
+  const { width, height, wallThickness, floorY, floorThickness } = ARENA;
   
-  // Floor
+  // Floor (top face at floorY)
   const floor = Bodies.rectangle(
     width / 2, 
-    height - wallThickness / 2, 
+    floorY + floorThickness / 2, 
     width + wallThickness * 2, 
-    wallThickness, 
+    floorThickness, 
     { 
       isStatic: true, 
       label: 'floor',
@@ -177,3 +193,45 @@ export function setGravity(x, y) {
     console.log(`[World] Gravity set to (${x}, ${y})`);
   }
 }
+
+/**
+ * Get spawn positions for N fighter slots, evenly spaced left to right
+ * @param {Object} rng - SeededRNG stream used for horizontal jitter
+ * @param {number} count - Number of fighters
+ * @returns {Array} [{x, y}, ...] in slot order
+ */
+export function getSpawnPositions(rng, count = 2) {
+  const spawnY = ARENA.height / 2 - SPAWN.spawnHeightAboveCenter;
+  const ring = getRingBounds();
+  const span = ring.right - ring.left - 2 * SPAWN.edgeMargin;
+  const gap = count > 1 ? Math.min(SPAWN.slotGap * ARENA.width, span / (count - 1)) : 0;
+  const jitter = count > 1 ? Math.min(SPAWN.jitterX, gap * SPAWN.jitterShare) : SPAWN.jitterX;
+
+  return Array.from({ length: count }, (_, index) => {
+    const slotX = ARENA.width / 2 + (index - (count - 1) / 2) * gap;
+    return { x: slotX + rng.range(-jitter, jitter), y: spawnY };
+  });
+}
+
+/**
+ * Get the ring edges (inside the walls)
+ * @returns {Object} { left, right, bottom }
+ */
+export function getRingBounds() {
+  const inner = ARENA.wallThickness;
+  return {
+    left: inner + RING.insetX,
+    right: ARENA.width - inner - RING.insetX,
+    bottom: ARENA.floorY + RING.fallMarginY,
+  };
+}
+
+/**
+ * Check if a point is outside the ring
+ * @param {Object} position - {x, y}
+ * @returns {boolean}
+ */
+export function isOutOfRing(position) {
+  const ring = getRingBounds();
+  return position.x < ring.left || position.x > ring.right || position.y > ring.bottom;
+}
@@ -0,0 +1,81 @@
+/**
+ * Armor.js — Armor Entity
+ *
+ * Resolves an armor definition (items/armor.js) for a fighter and exposes the
+ * modifiers the rest of the game reads: extra torso/pelvis density for the
+ * ragdoll, flat defense (DamageSystem), knockback reduction (DamageSystem,
+ * SpellSystem) and speed penalty (Stats agility). Every getter takes `null` for an
+ * unarmored fighter and returns the neutral value.
+ */
+
+import { getArmorDef } from '../items/armor.js';
+
+// =============================================================================
+// ARMOR CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const ARMOR_CONFIG = {
+    // BALANCE.md weight -> extra density on torso + pelvis (base density is 0.001)
+    densityPerWeight: 0.0005,
+
+    // BALANCE.md defense -> HP subtracted from each hit (damage is on a 0-40 scale, not raw impulse)
+    defenseScale: 0.5,
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Resolve armor for a fighter
+ * @param {string|Object} armor - Armor id (e.g. 'armor_heavy') or definition
+ * @returns {Object|null} Armor { def, resistances }, or null for an unknown id
+ */
+export function createArmor(armor) {
+    const def = typeof armor === 'string' ? getArmorDef(armor) : armor;
+    if (!def) {
+        console.warn(`[Armor] Unknown armor "${armor}" — fighting unarmored`);
+        return null;
+    }
+
+    return {
+        def,
+        resistances: { ...(def.resistances || {}) },
+    };
+}
+
+/**
+ * Get the extra torso/pelvis density the armor adds
+ * @param {Object|null} armor
+ * @returns {number}
+ */
+export function getArmorDensity(armor) {
+    return armor ? armor.def.weight * ARMOR_CONFIG.densityPerWeight : 0;
+}
+
+/**
+ * Get the flat HP reduction per hit (0 when unarmored)
+ * @param {Object|null} armor
+ * @returns {number}
+ */
+export function getDefense(armor) {
+    return armor ? armor.def.defense * ARMOR_CONFIG.defenseScale : 0;
+}
+
+/**
+ * Get the multiplier on knockback taken (1.0 when unarmored)
+ * @param {Object|null} armor
+ * @returns {number}
+ */
+export function getKnockbackReduction(armor) {
+    return armor ? armor.def.knockbackReduction : 1.0;
+}
+
+/**
+ * Get the multiplier on movement speed (1.0 when unarmored)
+ * @param {Object|null} armor
+ * @returns {number}
+ */
+export function getSpeedPenalty(armor) {
+    return armor ? armor.def.speedPenalty : 1.0;
+}
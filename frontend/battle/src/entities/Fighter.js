@@ -3,12 +3,84 @@
  * 
  * Wraps a ragdoll with game-related properties.
  * Manages spawning, respawning, and provides access to the ragdoll.
+ * Every fighter is on a team; without one (free-for-all) its team is its own id,
+ * so isEnemy() is true for everyone else.
  */
 
 import { createRagdoll, removeRagdoll, getJointPositions } from '../physics/Ragdoll.js';
+import { createWeapon } from './Weapon.js';
+import { createArmor, getArmorDensity } from './Armor.js';
+import { createStats } from './Stats.js';
+import { getSpellDef } from '../items/spells.js';
 
 const { Composite } = Matter;
 
+// Fighter defaults
+export const FIGHTER_DEFAULTS = {
+    level: 1,
+};
+
+// Default 1v1 loadouts (what the sandbox spawns; replays store these)
+export const DEFAULT_LOADOUTS = [
+    { id: 'fighter_a', name: 'Fighter A', collisionGroup: -1 },
+    { id: 'fighter_b', name: 'Fighter B', collisionGroup: -2 },
+];
+
+// Free-for-all / team battle sizes (createLoadouts)
+export const ROSTER_LIMITS = {
+    fighters: 8,        // Max fighters (one slot letter each: A..H)
+};
+
+// Teams in slot order (team battles fill them left to right; Renderer colours them the same way)
+export const TEAMS = [
+    { id: 'blue', name: 'Blue Team' },
+    { id: 'red', name: 'Red Team' },
+    { id: 'green', name: 'Green Team' },
+    { id: 'gold', name: 'Gold Team' },
+];
+
+/**
+ * Build default loadouts for N fighters (fighter_a, fighter_b, ... each in its own collision group)
+ * @param {number} count - Fighters (2..ROSTER_LIMITS.fighters)
+ * @param {number} teams - 0/1 = free-for-all, otherwise split into this many teams (up to TEAMS.length)
+ * @returns {Array} Loadouts (2 fighters, no teams = DEFAULT_LOADOUTS)
+ */
+export function createLoadouts(count = DEFAULT_LOADOUTS.length, teams = 0) {
+    const fighters = Math.max(2, Math.min(ROSTER_LIMITS.fighters, Math.floor(count) || 2));
+    const teamCount = Math.min(TEAMS.length, fighters, Math.floor(teams) || 0);
+
+    return Array.from({ length: fighters }, (_, index) => {
+        const letter = String.fromCharCode(97 + index);
+        const loadout = {
+            id: `fighter_${letter}`,
+            name: `Fighter ${letter.toUpperCase()}`,
+            collisionGroup: -(index + 1),
+        };
+        // Neighbouring slots share a team, so teammates spawn side by side
+        if (teamCount > 1) loadout.team = TEAMS[Math.floor(index * teamCount / fighters)].id;
+        return loadout;
+    });
+}
+
+/**
+ * Display name for a team id
+ * @param {string} teamId
+ * @returns {string|null} null if it isn't one of TEAMS (free-for-all)
+ */
+export function getTeamName(teamId) {
+    return TEAMS.find(team => team.id === teamId)?.name ?? null;
+}
+
+/**
+ * Check if two fighters are on opposing sides
+ * @param {Object} fighter
+ * @param {Object} other
+ * @returns {boolean}
+ */
+export function isEnemy(fighter, other) {
+    return !!fighter && !!other && fighter.id !== other.id && fighter.team !== other.team;
+}
+
 /**
  * Create a new fighter
  * @param {Matter.World} world - The physics world
@@ -21,8 +93,32 @@ export function createFighter(world, x, y, options = {}) {
     const id = options.id || `fighter_${Date.now()}`;
     const name = options.name || 'Fighter';
 
+    // Armor (id from items/armor.js) — its weight goes onto torso + pelvis
+    const armor = options.armor ? createArmor(options.armor) : null;
+
+    // Stats from level, base stats and equipment; health stat sets max HP unless overridden
+    const stats = createStats({
+        level: options.level ?? FIGHTER_DEFAULTS.level,
+        base: options.baseStats,
+        armor,
+    });
+    const maxHealth = options.maxHealth ?? stats.health;
+
     // Create the ragdoll
-    const ragdoll = createRagdoll(x, y, options.ragdollConfig);
+    const ragdoll = createRagdoll(x, y, {
+        ...options.ragdollConfig,
+        coreDensity: getArmorDensity(armor),
+    });
+
+    // Spells (ids from items/spells.js); unknown ids are dropped so they never count as ready
+    const spells = (options.spells || []).filter(spellId => {
+        if (getSpellDef(spellId)) return true;
+        console.warn(`[Fighter] Unknown spell "${spellId}" — not castable`);
+        return false;
+    });
+
+    // Weapon (id from items/weapons.js) welded to the hand(s)
+    const weapon = options.weapon ? createWeapon(ragdoll, options.weapon) : null;
 
     // Add to world
     Composite.add(world, ragdoll.composite);
@@ -30,10 +126,32 @@ export function createFighter(world, x, y, options = {}) {
     const fighter = {
         id,
         name,
+        team: options.team ?? id,   // Own id = free-for-all
         ragdoll,
         spawnPoint: { x, y },
 
-        // Future: stats, weapon, armor, etc.
+        // Health (reduced by DamageSystem)
+        maxHealth,
+        health: maxHealth,
+
+        // Level + derived stats (strength, defense, agility — see Stats.js)
+        level: stats.level,
+        baseStats: { ...(options.baseStats || {}) },
+        stats,
+
+        // Equipment
+        weapon,
+        armor,
+        spells,                 // Spell ids (items/spells.js) castable via SpellSystem
+
+        // AI personality (ai/AIProfiles.js id or object) used when an AI takes control
+        aiProfile: options.aiProfile ?? null,
+
+        // Timed modifiers (managed by StatusEffects)
+        statusEffects: [],
+
+        // Punch/kick in progress (managed by AttackMotions)
+        attack: null,
     };
 
     console.log(`[Fighter] Created "${name}" at (${x}, ${y})`);
@@ -41,6 +159,31 @@ export function createFighter(world, x, y, options = {}) {
     return fighter;
 }
 
+/**
+ * Create a fighter from a loadout (plain data, safe to serialize into replays)
+ * @param {Matter.World} world
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} loadout - { id, name, collisionGroup, team?, level?, baseStats?, maxHealth?, weapon?, armor?, spells?, aiProfile? }
+ * @param {Object} rng - SeededRNG stream for ragdoll jitter (the fighter's own 'ragdoll:<id>')
+ * @returns {Object} Fighter instance
+ */
+export function createFighterFromLoadout(world, x, y, loadout, rng) {
+    return createFighter(world, x, y, {
+        id: loadout.id,
+        name: loadout.name,
+        team: loadout.team,
+        level: loadout.level,
+        baseStats: loadout.baseStats,
+        maxHealth: loadout.maxHealth,
+        weapon: loadout.weapon,
+        armor: loadout.armor,
+        spells: loadout.spells,
+        aiProfile: loadout.aiProfile,
+        ragdollConfig: { collisionGroup: loadout.collisionGroup, rng },
+    });
+}
+
 /**
  * Remove fighter from world
  * @param {Matter.World} world 
@@ -69,6 +212,14 @@ export function respawnFighter(world, fighter, x, y) {
     const newFighter = createFighter(world, x, y, {
         id: fighter.id,
         name: fighter.name,
+        team: fighter.team,
+        level: fighter.level,
+        baseStats: fighter.baseStats,
+        maxHealth: fighter.maxHealth,
+        weapon: fighter.weapon?.def.id,
+        armor: fighter.armor?.def.id,
+        spells: fighter.spells,
+        aiProfile: fighter.aiProfile,
     });
 
     console.log(`[Fighter] Respawned "${fighter.name}" at (${x}, ${y})`);
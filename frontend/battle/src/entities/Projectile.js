@@ -0,0 +1,104 @@
+/**
+ * Projectile.js — Spell Projectile Entity
+ *
+ * A small circle body that flies in a straight line (gravity is
+ * cancelled by re-applying its launch velocity every tick) until it touches
+ * something or runs out of range. Uses the caster's collision group, so it
+ * never hits the fighter who cast it.
+ */
+
+const { Bodies, Body, Composite } = Matter;
+
+// =============================================================================
+// PROJECTILE CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const PROJECTILE_CONFIG = {
+    // Body radius (px)
+    radius: 8,
+
+    // Light so it doesn't shove fighters by mass alone (the spell impulse does that)
+    mass: 0.05,
+
+    // Max flight time before it fizzles (ms of simulation time)
+    maxLifetime: 4000,
+
+    // Spawn distance in front of the casting hand (px)
+    spawnOffset: 14,
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Create a projectile and add it to the world
+ * @param {Matter.World} world
+ * @param {Object} caster - Fighter casting the spell
+ * @param {Object} spell - Spell definition (items/spells.js)
+ * @param {Object} origin - {x, y} launch point
+ * @param {Object} direction - Unit vector {x, y}
+ * @param {number} speed - px per tick
+ * @param {number} time - Simulation time of the cast (ms)
+ * @returns {Object} Projectile { spell, caster, body, velocity, createdAt, detonated }
+ */
+export function createProjectile(world, caster, spell, origin, direction, speed, time) {
+    const { radius, mass, spawnOffset } = PROJECTILE_CONFIG;
+
+    const body = Bodies.circle(
+        origin.x + direction.x * spawnOffset,
+        origin.y + direction.y * spawnOffset,
+        radius,
+        {
+            label: 'projectile',
+            frictionAir: 0,
+            friction: 0,
+            restitution: 0,
+            collisionFilter: {
+                group: caster.ragdoll.config.collisionGroup,
+            },
+        }
+    );
+    Body.setMass(body, mass);
+
+    const velocity = { x: direction.x * speed, y: direction.y * speed };
+    Body.setVelocity(body, velocity);
+
+    Composite.add(world, body);
+
+    return {
+        spell,
+        caster,
+        body,
+        velocity,
+        createdAt: time,
+        detonated: false,
+    };
+}
+
+/**
+ * Keep a projectile on its straight flight path (call once per tick)
+ * @param {Object} projectile
+ */
+export function steerProjectile(projectile) {
+    Body.setVelocity(projectile.body, projectile.velocity);
+}
+
+/**
+ * Check if a projectile has flown for too long
+ * @param {Object} projectile
+ * @param {number} time - Current simulation time (ms)
+ * @returns {boolean}
+ */
+export function isProjectileExpired(projectile, time) {
+    return time - projectile.createdAt >= PROJECTILE_CONFIG.maxLifetime;
+}
+
+/**
+ * Remove a projectile from the world
+ * @param {Matter.World} world
+ * @param {Object} projectile
+ */
+export function removeProjectile(world, projectile) {
+    Composite.remove(world, projectile.body);
+}
@@ -0,0 +1,92 @@
+/**
+ * Stats.js — Fighter Stats From Level and Equipment
+ *
+ * Derives health/strength/defense/agility from base stats (API.md baseHealth,
+ * baseStrength, ...) plus per-level growth (BALANCE.md), then applies equipment:
+ * armor's speed penalty lowers agility. The rest of the game reads multipliers
+ * relative to the level-1 base, so a default fighter plays exactly as before:
+ *
+ *   strength → outgoing damage   (DamageSystem)
+ *   defense  → incoming damage   (DamageSystem)
+ *   agility  → AI walk force and max speed (AIBrain)
+ *   health   → max HP            (Fighter)
+ */
+
+import { getSpeedPenalty } from './Armor.js';
+
+// =============================================================================
+// STATS CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const STATS_CONFIG = {
+    // Level-1 stats (BALANCE.md → Base stats)
+    base: {
+        health: 100,
+        strength: 10,
+        defense: 5,
+        agility: 7,
+    },
+
+    // Added per level above 1 (BALANCE.md → Stat growth per level)
+    growth: {
+        health: 10,
+        strength: 0.5,
+        defense: 0.3,
+        agility: 0.2,
+    },
+
+    maxLevel: 50,
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Derive a fighter's stats
+ * @param {Object} options - { level, base: { health?, strength?, defense?, agility? }, armor }
+ * @returns {Object} Stats { level, health, strength, defense, agility }
+ */
+export function createStats(options = {}) {
+    const { growth, maxLevel } = STATS_CONFIG;
+    // Non-numeric levels (bad CLI args, old loadouts) fall back to level 1
+    const requested = Number(options.level);
+    const level = Number.isFinite(requested) ? Math.min(maxLevel, Math.max(1, Math.floor(requested))) : 1;
+    const base = { ...STATS_CONFIG.base, ...(options.base || {}) };
+    const levels = level - 1;
+
+    return {
+        level,
+        health: base.health + growth.health * levels,
+        strength: base.strength + growth.strength * levels,
+        defense: base.defense + growth.defense * levels,
+        agility: (base.agility + growth.agility * levels) * getSpeedPenalty(options.armor ?? null),
+    };
+}
+
+/**
+ * Outgoing damage multiplier (1.0 at base strength or without stats)
+ * @param {Object|null} stats
+ * @returns {number}
+ */
+export function getStrengthMultiplier(stats) {
+    return stats ? stats.strength / STATS_CONFIG.base.strength : 1.0;
+}
+
+/**
+ * Incoming damage multiplier (1.0 at base defense, lower with more defense)
+ * @param {Object|null} stats
+ * @returns {number}
+ */
+export function getDefenseMultiplier(stats) {
+    return stats && stats.defense > 0 ? STATS_CONFIG.base.defense / stats.defense : 1.0;
+}
+
+/**
+ * Movement speed multiplier (1.0 at base agility or without stats)
+ * @param {Object|null} stats
+ * @returns {number}
+ */
+export function getAgilityMultiplier(stats) {
+    return stats ? stats.agility / STATS_CONFIG.base.agility : 1.0;
+}
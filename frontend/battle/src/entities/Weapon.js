@@ -0,0 +1,154 @@
+/**
+ * Weapon.js — Weapon Entity
+ *
+ * Builds a physics body for a weapon definition (items/weapons.js) and welds it
+ * to the ragdoll's right hand at the grip offset. Two-handed weapons also pull
+ * the left hand onto the handle with a softer constraint.
+ * The body uses the fighter's collision group (never hits its own wielder)
+ * and is added to the ragdoll composite, so removing the ragdoll removes it too.
+ */
+
+import { getWeaponDef } from '../items/weapons.js';
+
+const { Bodies, Body, Composite, Constraint } = Matter;
+
+// =============================================================================
+// WEAPON CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const WEAPON_CONFIG = {
+    // BALANCE.md mass -> Matter mass (a ragdoll hand is ~0.06, the head ~1.0)
+    massScale: 0.2,
+
+    // Body thickness per weapon type (px)
+    thickness: {
+        sword: 6,
+        spear: 4,
+        hammer: 10,
+    },
+    defaultThickness: 6,
+
+    // Weld between right hand and handle (two points keep the angle locked)
+    weld: {
+        span: 3,           // ± px along the handle from the grip point
+        stiffness: 0.9,
+        damping: 0.1,
+    },
+
+    // Off hand (two-handed weapons): where it grabs and how hard it pulls
+    offHand: {
+        gap: 10,           // px behind the main grip, toward the pommel
+        stiffness: 0.05,
+        damping: 0.1,
+    },
+
+    // Physics
+    physics: {
+        friction: 0.4,
+        frictionAir: 0.02,
+        restitution: 0.1,
+    },
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Create a weapon and weld it to a ragdoll (call before the ragdoll is added to the world)
+ * @param {Object} ragdoll - Ragdoll from createRagdoll()
+ * @param {string|Object} weapon - Weapon id (e.g. 'sword_1') or definition
+ * @returns {Object|null} Weapon { def, body, constraints, length, scale }, or null for an unknown id
+ */
+export function createWeapon(ragdoll, weapon) {
+    const def = typeof weapon === 'string' ? getWeaponDef(weapon) : weapon;
+    if (!def) {
+        console.warn(`[Weapon] Unknown weapon "${weapon}" — fighting bare-handed`);
+        return null;
+    }
+
+    const { rightHand, leftHand } = ragdoll.bodies;
+    const { weld, offHand, physics } = WEAPON_CONFIG;
+    const s = ragdoll.config.scale;
+    const length = def.length * s;
+    const thickness = (WEAPON_CONFIG.thickness[def.type] ?? WEAPON_CONFIG.defaultThickness) * s;
+
+    // Grip point in weapon-local space (weapon points along its local +x, pommel at -length/2)
+    const gripX = -length / 2 + def.gripOffset * s;
+
+    // Spawn aligned with the right hand, blade pointing away from the body
+    const angle = rightHand.angle;
+    const offset = -gripX;
+    const body = Bodies.rectangle(
+        rightHand.position.x + Math.cos(angle) * offset,
+        rightHand.position.y + Math.sin(angle) * offset,
+        length, thickness,
+        {
+            label: 'weapon',
+            angle,
+            friction: physics.friction,
+            frictionAir: physics.frictionAir,
+            restitution: physics.restitution,
+            collisionFilter: {
+                group: ragdoll.config.collisionGroup,
+            },
+        }
+    );
+    Body.setMass(body, def.mass * WEAPON_CONFIG.massScale);
+
+    // Weld to the right hand at two points along the handle
+    const constraints = [-weld.span, weld.span].map(dx => Constraint.create({
+        bodyA: rightHand,
+        bodyB: body,
+        pointA: { x: dx, y: 0 },
+        pointB: { x: gripX + dx, y: 0 },
+        length: 0,
+        stiffness: weld.stiffness,
+        damping: weld.damping,
+        render: { visible: false },
+    }));
+
+    // Two-handed: left hand grabs the handle behind the right
+    if (def.hands === 2 && leftHand) {
+        constraints.push(Constraint.create({
+            bodyA: leftHand,
+            bodyB: body,
+            pointB: { x: Math.max(-length / 2, gripX - offHand.gap * s), y: 0 },
+            length: 0,
+            stiffness: offHand.stiffness,
+            damping: offHand.damping,
+            render: { visible: false },
+        }));
+    }
+
+    Composite.add(ragdoll.composite, body);
+    Composite.add(ragdoll.composite, constraints);
+
+    console.log(`[Weapon] Equipped "${def.name}"`);
+
+    return {
+        def,
+        body,
+        constraints,
+        length,     // Body length after the ragdoll scale
+        scale: s,
+    };
+}
+
+/**
+ * Get the weapon's damage multiplier (1.0 when unarmed)
+ * @param {Object|null} weapon
+ * @returns {number}
+ */
+export function getDamageScale(weapon) {
+    return weapon ? weapon.def.damageScale : 1.0;
+}
+
+/**
+ * Get the weapon's knockback multiplier (1.0 when unarmed)
+ * @param {Object|null} weapon
+ * @returns {number}
+ */
+export function getKnockbackScale(weapon) {
+    return weapon ? weapon.def.knockbackScale : 1.0;
+}
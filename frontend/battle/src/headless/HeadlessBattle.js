@@ -0,0 +1,209 @@
+/**
+ * HeadlessBattle.js — Battle Runner Without Canvas or DOM
+ *
+ * Builds the world, spawns the loadouts' fighters (1v1 by default; more for a
+ * free-for-all, or with `team`s for a team battle) and plays a full match
+ * (MatchController rounds, KO, ring-out, timeout decisions) as fast as possible,
+ * up to a tick cap.
+ * Uses the same Simulator hooks, spawn layout and seeded streams as the browser
+ * sandbox, so a seed produces the same fight here.
+ *
+ * Requires a global `Matter` — in Node, import from headless/index.js.
+ */
+
+import { resetWorld } from '../engine/World.js';
+import * as Simulator from '../engine/Simulator.js';
+import { spawnRoster, initSubsystems, registerHooks, destroySubsystems } from '../engine/Subsystems.js';
+import { DEFAULT_LOADOUTS } from '../entities/Fighter.js';
+import { getAIState } from '../ai/AIBrain.js';
+import {
+    initImpactTracker,
+    destroyImpactTracker,
+    onImpact,
+    offImpact,
+} from '../engine/ImpactTracker.js';
+import { onDamage, offDamage } from '../engine/DamageSystem.js';
+import { onKnockdown, offKnockdown } from '../physics/Knockdown.js';
+import {
+    initMatch,
+    destroyMatch,
+    isMatchOver,
+    getMatchResult,
+} from '../engine/MatchController.js';
+import {
+    resetBalanceAssist,
+    setBalanceEnabled,
+    setBalanceMode,
+    getBalanceMode,
+    BALANCE_CONFIG,
+} from '../physics/BalanceAssist.js';
+import {
+    setDismembermentEnabled,
+    onDismember,
+    offDismember,
+    DISMEMBER_CONFIG,
+} from '../physics/Dismemberment.js';
+import { getInjuryState } from '../physics/Injuries.js';
+import { onParry, offParry } from '../physics/Guard.js';
+import { onGrapple, offGrapple, GRAPPLE_CONFIG } from '../physics/Grapple.js';
+import { setSeed } from '../utils/SeededRNG.js';
+
+// =============================================================================
+// HEADLESS CONFIGURATION
+// =============================================================================
+
+export const HEADLESS_CONFIG = {
+    // Safety cap on match length (4 min of simulation at 60 ticks/s)
+    ticks: 14400,
+
+    // Silence module console.log spam while running
+    quiet: true,
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Run a complete battle headlessly
+ * @param {Object} options - { seed, ticks, loadouts, quiet, balanceMode, dismemberment }
+ * @returns {Object} Result { seed, ticks, duration, complete, winner (side), balanceMode, dismemberment, match, fighters, zones, impacts }
+ */
+export function runHeadlessBattle(options = {}) {
+    const seed = options.seed ?? 0;
+    const ticks = options.ticks ?? HEADLESS_CONFIG.ticks;
+    const loadouts = options.loadouts ?? DEFAULT_LOADOUTS;
+    const quiet = options.quiet ?? HEADLESS_CONFIG.quiet;
+    const balanceMode = options.balanceMode ?? BALANCE_CONFIG.mode;
+    const dismemberment = options.dismemberment ?? DISMEMBER_CONFIG.enabled;
+
+    const log = console.log;
+    if (quiet) console.log = () => {};
+
+    // Impact + damage stats (by fighter id, summed over all rounds)
+    const stats = new Map();
+    const impacts = { count: 0, total: 0, max: 0 };
+
+    const handleImpact = ({ impact }) => {
+        impacts.count++;
+        impacts.total += impact;
+        impacts.max = Math.max(impacts.max, impact);
+    };
+    const handleDamage = ({ attacker, victim, damage, blocked, bodyLabel, spell, status }) => {
+        if (attacker) {
+            // hits = blows landed on a body; spell blasts and damage over time are tallied apart
+            const dealt = stats.get(attacker);
+            dealt.damageDealt += damage;
+            if (status) dealt.dotDamage += damage;
+            else if (spell) dealt.spellDamage += damage;
+            else if (bodyLabel) dealt.hits++;
+        }
+        stats.get(victim).damageTaken += damage;
+        if (blocked) stats.get(victim).blocked++;
+    };
+    const handleKnockdown = ({ fighter }) => {
+        stats.get(fighter).knockdowns++;
+    };
+    const handleDismember = ({ fighter }) => {
+        stats.get(fighter).severed++;
+    };
+    const handleParry = ({ fighter }) => {
+        stats.get(fighter).parries++;
+    };
+    const handleGrapple = ({ type, fighter, target }) => {
+        const { GRAB, THROW, ESCAPE } = GRAPPLE_CONFIG.events;
+        if (type === GRAB) stats.get(fighter).grabs++;
+        if (type === THROW) stats.get(fighter).throws++;
+        if (type === ESCAPE) stats.get(target).escapes++;
+    };
+
+    try {
+        // Seed before anything draws from the RNG
+        setSeed(seed);
+
+        // World + impact tracking
+        const { engine, world } = resetWorld();
+        initImpactTracker(engine);
+
+        // Fighters (same ids, groups and spawn layout as the sandbox)
+        let fighters = [];
+        const spawnFighters = () => {
+            fighters = spawnRoster(world, loadouts, fighters);
+            return fighters;
+        };
+
+        // Controllers
+        resetBalanceAssist();
+        setBalanceEnabled(true);
+        setBalanceMode(balanceMode);
+        setDismembermentEnabled(dismemberment);
+        spawnFighters();
+        initSubsystems(engine, world, fighters);
+
+        fighters.forEach(f => stats.set(f.id, { damageDealt: 0, spellDamage: 0, dotDamage: 0, damageTaken: 0, hits: 0, blocked: 0, parries: 0, grabs: 0, throws: 0, escapes: 0, knockdowns: 0, severed: 0 }));
+        onImpact(handleImpact);
+        onDamage(handleDamage);
+        onKnockdown(handleKnockdown);
+        onDismember(handleDismember);
+        onParry(handleParry);
+        onGrapple(handleGrapple);
+
+        initMatch(fighters, { spawnFighters });
+
+        // Simulate
+        Simulator.clearHooks();
+        Simulator.init(engine, null, null);
+        registerHooks();
+
+        // Run until the match is decided or the tick cap is hit
+        while (Simulator.getTickCount() < ticks && !isMatchOver()) {
+            Simulator.advance(1);
+        }
+
+        const complete = isMatchOver();
+        const match = getMatchResult();
+
+        // Injuries at the end of the last round — read before teardown
+        const injuries = new Map(fighters.map(f => [f.id, getInjuryState(f)]));
+
+        return {
+            seed,
+            ticks: Simulator.getTickCount(),
+            duration: Simulator.getSimTime(),
+            complete,
+            winner: complete ? match.winner : null,
+            balanceMode: getBalanceMode(),
+            dismemberment,
+            match,
+            fighters: fighters.map(f => ({
+                id: f.id,
+                name: f.name,
+                team: f.team,
+                stats: { ...f.stats },
+                aiProfile: getAIState(f.id)?.profile ?? null,
+                roundsWon: match.wins[f.team],
+                health: f.health,
+                maxHealth: f.maxHealth,
+                ...stats.get(f.id),
+                zones: match.zones.fighters[f.id],
+                injuries: injuries.get(f.id),
+                position: { ...f.ragdoll.bodies.torso.position },
+            })),
+            zones: match.zones.total,
+            impacts,
+        };
+    } finally {
+        // Tear down module state (also when a system threw, so nothing leaks into the next run)
+        offImpact(handleImpact);
+        offDamage(handleDamage);
+        offKnockdown(handleKnockdown);
+        offDismember(handleDismember);
+        offParry(handleParry);
+        offGrapple(handleGrapple);
+        destroyMatch();
+        destroySubsystems();
+        destroyImpactTracker();
+        Simulator.clearHooks();
+        console.log = log;
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * checks.js — Headless regression checks
+ *
+ * Usage: node src/headless/checks.js   (or `npm test`)
+ *
+ * Plays short seeded battles with runHeadlessBattle() and asserts properties
+ * every build must keep. Each check returns a list of failure messages; the
+ * process exits 1 if any check fails, so CI can run it as-is.
+ *
+ * Both runs of a determinism pair happen in the same process, which also
+ * catches module state that leaks from one battle into the next.
+ * The damage check needs no battle: it lands hand-picked hits and compares
+ * the HP lost with fixed numbers, so retuning damage has to update them.
+ */
+
+import { runHeadlessBattle } from './index.js';
+import { DEFAULT_LOADOUTS, createLoadouts, createFighter } from '../entities/Fighter.js';
+import { setDecisionListener, getAIState } from '../ai/AIBrain.js';
+import { getFixedDelta } from '../engine/Simulator.js';
+import { resetWorld } from '../engine/World.js';
+import { initImpactTracker, destroyImpactTracker } from '../engine/ImpactTracker.js';
+import { initDamageSystem, destroyDamageSystem, impactToDamage, applyDamage } from '../engine/DamageSystem.js';
+import { initStatusEffects, destroyStatusEffects } from '../engine/StatusEffects.js';
+import { initGuard, destroyGuard, raiseGuard, updateGuard } from '../physics/Guard.js';
+
+const { Body, Events } = Matter;
+
+// =============================================================================
+// CHECKS CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const CHECKS_CONFIG = {
+    // Seeds every check plays
+    seeds: [1, 7],
+
+    // Battle setups (options for runHeadlessBattle, minus the seed)
+    setups: {
+        duel: {},
+        com: { balanceMode: 'com', dismemberment: true },
+        ffa: { loadouts: createLoadouts(4, 0) },
+    },
+
+    // Strike cooldown check: berserkers (keenest to chain attacks) on a long cooldown
+    strikeCooldown: {
+        loadouts: DEFAULT_LOADOUTS.map(loadout => ({
+            ...loadout,
+            aiProfile: { base: 'berserker', params: { strike: { cooldown: 7000 } } },
+        })),
+    },
+
+    // Spawn check: full rosters, nobody out this early in a round
+    spawn: {
+        setups: {
+            ffa: { loadouts: createLoadouts(8, 0) },
+            teams: { loadouts: createLoadouts(8, 2) },
+        },
+        safeTicks: 120,
+    },
+
+    // Damage path: fixed numbers from the current tuning (minImpact 80, scale 0.05, cap 40,
+    // head 2× / torso 1× / limb 0.6×, block 0.3×, armor defense × 0.5)
+    damage: {
+        // impact -> damage (no zone, stats or armor)
+        curve: [[79, 0], [280, 10], [5000, 40]],
+
+        // Bare fist at `impact` on a base-stat, unarmored fighter: struck body -> HP lost
+        impact: 280,
+        zones: { head: 20, torso: 10, leftLowerLeg: 6 },
+
+        // The same hit on a raised guard's forearm: parried (no damage) or blocked (limb × block)
+        guard: { part: 'leftLowerArm', parry: 0, block: 1.8 },
+
+        // applyDamage(victim, amount) with these fighter options -> HP lost
+        amount: 10,
+        hits: [
+            { name: 'base stats', damage: 10 },
+            { name: 'strength 20', attacker: { level: 21 }, damage: 20 },
+            { name: 'defense 10', victim: { baseStats: { defense: 10 } }, damage: 5 },
+            { name: 'heavy armor', victim: { armor: 'armor_heavy' }, damage: 6 },
+            { name: 'burn through heavy armor', victim: { armor: 'armor_heavy' }, status: 'burn', damage: 10 },
+        ],
+    },
+};
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * The same seed and loadouts must give an identical result
+ * @returns {Array<string>} Failures
+ */
+function checkDeterminism() {
+    const failures = [];
+    Object.entries(CHECKS_CONFIG.setups).forEach(([setup, options]) => {
+        CHECKS_CONFIG.seeds.forEach(seed => {
+            const first = JSON.stringify(runHeadlessBattle({ ...options, seed }));
+            const second = JSON.stringify(runHeadlessBattle({ ...options, seed }));
+            if (first !== second) failures.push(`${setup} seed ${seed}: results differ between runs`);
+        });
+    });
+    return failures;
+}
+
+/**
+ * AI attack starts must be at least the strike cooldown apart
+ * @returns {Array<string>} Failures
+ */
+function checkStrikeCooldown() {
+    const failures = [];
+    CHECKS_CONFIG.seeds.forEach(seed => {
+        // AI instance -> tick of its last attack start (a new round brings a new AI)
+        const lastStart = new Map();
+        setDecisionListener((tick, fighterId, action, data) => {
+            if (!data.attack) return;
+            const ai = getAIState(fighterId);
+            const gap = (tick - (lastStart.get(ai) ?? -Infinity)) * getFixedDelta();
+            if (gap < ai.params.strike.cooldown) {
+                failures.push(`seed ${seed}: ${fighterId} attacked ${gap.toFixed(0)} ms after its last attack at tick ${tick}`);
+            }
+            lastStart.set(ai, tick);
+        });
+        runHeadlessBattle({ ...CHECKS_CONFIG.strikeCooldown, seed });
+        setDecisionListener(null);
+    });
+    return failures;
+}
+
+/**
+ * No fighter may be KO'd or rung out in the first `safeTicks` of a round
+ * (a crowded arena must not spawn anyone next to the ring edge)
+ * @returns {Array<string>} Failures
+ */
+function checkSpawn() {
+    const { setups, safeTicks } = CHECKS_CONFIG.spawn;
+    const failures = [];
+    Object.entries(setups).forEach(([setup, options]) => {
+        CHECKS_CONFIG.seeds.forEach(seed => {
+            runHeadlessBattle({ ...options, seed }).match.rounds.forEach(round => {
+                Object.entries(round.eliminatedAt).forEach(([id, ticks]) => {
+                    if (ticks >= safeTicks) return;
+                    failures.push(`${setup} seed ${seed} round ${round.round}: ${id} out (${round.eliminated[id]}) after ${ticks} ticks`);
+                });
+            });
+        });
+    });
+    return failures;
+}
+
+/**
+ * Land a bare-fist hit of a given impact score on one of the victim's bodies
+ * (a collision event the ImpactTracker → DamageSystem path handles as in a battle)
+ * @param {Matter.Engine} engine
+ * @param {Object} attacker
+ * @param {Object} victim
+ * @param {string} label - Struck body
+ * @param {number} impact
+ * @returns {number} HP lost
+ */
+function strike(engine, attacker, victim, label, impact) {
+    const fist = attacker.ragdoll.bodies.rightHand;
+    const target = victim.ragdoll.bodies[label];
+    const health = victim.health;
+
+    // ImpactTracker: impact = relative speed × combined mass × 10
+    Body.setVelocity(target, { x: 0, y: 0 });
+    Body.setVelocity(fist, { x: impact / ((fist.mass + target.mass) * 10), y: 0 });
+    Events.trigger(engine, 'collisionStart', { pairs: [{ bodyA: fist, bodyB: target }] });
+
+    return health - victim.health;
+}
+
+/**
+ * Impact curve, zone multipliers, stats, armor and guard must deal the configured damage
+ * @returns {Array<string>} Failures
+ */
+function checkDamage() {
+    const { curve, impact, zones, guard, amount, hits } = CHECKS_CONFIG.damage;
+    const failures = [];
+    const expect = (name, actual, expected) => {
+        if (Math.abs(actual - expected) > 1e-6) failures.push(`${name}: ${actual} damage, expected ${expected}`);
+    };
+
+    curve.forEach(([score, damage]) => expect(`impact ${score}`, impactToDamage(score), damage));
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const { engine, world } = resetWorld();
+        const spawn = (id, options = {}) => createFighter(world, 0, 0, { id, name: id, ...options });
+
+        // Struck zones and the guard, through the impact path
+        const attacker = spawn('attacker');
+        const victim = spawn('victim');
+        initImpactTracker(engine);
+        initDamageSystem([attacker, victim]);
+        initStatusEffects([attacker, victim]);
+        initGuard([attacker, victim]);
+
+        Object.entries(zones).forEach(([label, damage]) => {
+            victim.health = victim.maxHealth;
+            expect(label, strike(engine, attacker, victim, label, impact), damage);
+        });
+
+        // Raising the guard opens the parry window; well after it, the guard only blocks
+        raiseGuard(victim, -1);
+        updateGuard(engine, 0, getFixedDelta());
+        expect('parry', strike(engine, attacker, victim, guard.part, impact), guard.parry);
+        raiseGuard(victim, -1);
+        updateGuard(engine, 100, getFixedDelta());
+        expect('block', strike(engine, attacker, victim, guard.part, impact), guard.block);
+
+        // Stats and armor, through applyDamage
+        hits.forEach(hit => {
+            const from = spawn('hit_attacker', hit.attacker);
+            const to = spawn('hit_victim', hit.victim);
+            const event = applyDamage(to, amount, { attacker: from, status: hit.status });
+            expect(hit.name, event?.damage ?? 0, hit.damage);
+        });
+    } finally {
+        destroyGuard();
+        destroyStatusEffects();
+        destroyDamageSystem();
+        destroyImpactTracker();
+        console.log = log;
+    }
+    return failures;
+}
+
+// Name -> check
+const CHECKS = {
+    determinism: checkDeterminism,
+    strikeCooldown: checkStrikeCooldown,
+    spawn: checkSpawn,
+    damage: checkDamage,
+};
+
+// =============================================================================
+// RUN
+// =============================================================================
+
+let failed = 0;
+Object.entries(CHECKS).forEach(([name, check]) => {
+    const failures = check();
+    console.log(`[Checks] ${failures.length ? 'FAIL' : 'ok  '} ${name}`);
+    failures.forEach(failure => console.log(`         ${failure}`));
+    if (failures.length) failed++;
+});
+
+console.log(`[Checks] ${Object.keys(CHECKS).length - failed}/${Object.keys(CHECKS).length} passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,12 @@
+/**
+ * headless/index.js — Node entry point for headless battles
+ *
+ * Installs the Matter.js global first (import order matters), then exposes the runner.
+ *
+ *   import { runHeadlessBattle } from './src/headless/index.js';
+ *   const result = runHeadlessBattle({ seed: 12345, ticks: 3600 });
+ */
+
+import './matterGlobal.js';
+
+export { runHeadlessBattle, HEADLESS_CONFIG } from './HeadlessBattle.js';
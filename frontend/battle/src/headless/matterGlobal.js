@@ -0,0 +1,12 @@
+/**
+ * matterGlobal.js — Matter.js global for Node
+ *
+ * Battle modules read `Matter` from the global scope (the browser loads it from a CDN).
+ * Import this module before any of them to provide the local npm copy instead.
+ */
+
+import Matter from 'matter-js';
+
+if (!globalThis.Matter) {
+    globalThis.Matter = Matter;
+}
@@ -0,0 +1,68 @@
+/**
+ * run.js — Headless battle CLI
+ *
+ * Usage: node src/headless/run.js [--seed 12345] [--ticks 3600] [--weapon-a sword_1] [--weapon-b hammer_1]
+ *        [--armor-a armor_heavy] [--armor-b armor_light] [--level-a 5] [--level-b 1]
+ *        [--spells-a fireball,lightning] [--spells-b ice_spike] [--ai-a zoner] [--ai-b novice]
+ *        [--balance spring|com] [--gore] [--verbose] [--fighters 4] [--teams 2]
+ * --fighters N spawns a free-for-all of N (fighter_a .. fighter_h); --teams T splits them
+ * into T teams of neighbouring slots. Per-fighter options take the slot letter (--weapon-c, --ai-d, ...).
+ * Prints the result object as JSON.
+ */
+
+import { runHeadlessBattle } from './index.js';
+import { generateSeed } from '../utils/SeededRNG.js';
+import { DEFAULT_LOADOUTS, createLoadouts } from '../entities/Fighter.js';
+
+/**
+ * Read a `--name value` argument
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const seedArg = parseInt(getArg('seed'), 10);
+const ticksArg = parseInt(getArg('ticks'), 10);
+const fightersArg = parseInt(getArg('fighters'), 10);
+const teamsArg = parseInt(getArg('teams'), 10);
+
+/**
+ * Apply CLI equipment/AI profile overrides to a default loadout
+ * @param {Object} loadout
+ * @param {number} index - Fighter slot (options use its letter: --weapon-a, --weapon-b, ...)
+ * @returns {Object}
+ */
+function withOverrides(loadout, index) {
+    const slot = String.fromCharCode(97 + index);
+    const [weapon, armor, level, spells, ai] = ['weapon', 'armor', 'level', 'spells', 'ai']
+        .map(option => getArg(`${option}-${slot}`));
+    const result = { ...loadout };
+    if (weapon) result.weapon = weapon;
+    if (armor) result.armor = armor;
+    if (level) {
+        const parsed = parseInt(level, 10);
+        if (Number.isFinite(parsed)) result.level = parsed;
+        else console.warn(`[Headless] Ignoring --level-${slot} "${level}" (not a number)`);
+    }
+    if (spells) result.spells = spells.split(',');
+    if (ai) result.aiProfile = ai;
+    return result;
+}
+
+const loadouts = Number.isFinite(fightersArg) || Number.isFinite(teamsArg)
+    ? createLoadouts(Number.isFinite(fightersArg) ? fightersArg : DEFAULT_LOADOUTS.length, teamsArg || 0)
+    : DEFAULT_LOADOUTS;
+
+const result = runHeadlessBattle({
+    seed: Number.isFinite(seedArg) ? seedArg : generateSeed(),
+    ticks: Number.isFinite(ticksArg) ? ticksArg : undefined,
+    loadouts: loadouts.map(withOverrides),
+    balanceMode: getArg('balance'),
+    dismemberment: process.argv.includes('--gore') || undefined,
+    quiet: !process.argv.includes('--verbose'),
+});
+
+console.log(JSON.stringify(result, null, 2));
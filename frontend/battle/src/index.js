@@ -2,15 +2,26 @@
  * index.js — Battle Sandbox Entry Point
  * 
  * Initializes the physics world, renderer, and controls.
- * Spawns two fighters with AI-vs-AI movement.
+ * Spawns the roster AI vs AI: a 1v1 by default, or from the URL a free-for-all
+ * (?fighters=4) or team battle (?fighters=4&teams=2).
  */
 
-import { createWorld, resetWorld, getEngine, getWorld, getArenaConfig } from './engine/World.js';
+import { createWorld, resetWorld, getEngine, getWorld } from './engine/World.js';
 import * as Simulator from './engine/Simulator.js';
+import { spawnRoster, initSubsystems, registerHooks } from './engine/Subsystems.js';
 import * as Renderer from './render/Renderer.js';
 import * as Controls from './ui/Controls.js';
-import { createFighter, removeFighter } from './entities/Fighter.js';
-import { createAI, resetAI, startAI, stopAI, toggleAI, getAIState, getDistance, debugState } from './ai/AIBrain.js';
+import * as HUD from './ui/HUD.js';
+import { createLoadouts, DEFAULT_LOADOUTS } from './entities/Fighter.js';
+import {
+    stopAI,
+    toggleAI,
+    getAIState,
+    getDistance,
+    setDecisionListener,
+    debugState
+} from './ai/AIBrain.js';
+import { selectTarget } from './ai/Targeting.js';
 import {
     initImpactTracker,
     setEngine as setImpactEngine,
@@ -20,84 +31,170 @@ import {
     toggleImpactDisplay,
     isShowingImpacts
 } from './engine/ImpactTracker.js';
+import { onDamage } from './engine/DamageSystem.js';
+import { getSpellVisuals } from './engine/SpellSystem.js';
+import { getActiveEffects } from './engine/StatusEffects.js';
+import { startAttack } from './physics/AttackMotions.js';
+import { getKnockdownState, KNOCKDOWN_CONFIG } from './physics/Knockdown.js';
+import {
+    toggleDismemberment,
+    setDismembermentEnabled,
+    isDismembermentEnabled,
+    getDismembermentState,
+    getSeveredJoints
+} from './physics/Dismemberment.js';
+import { getInjuries } from './physics/Injuries.js';
+import { getLocomotionState } from './physics/Locomotion.js';
+import { getGuardState } from './physics/Guard.js';
+import { getGrappleState, getGrips } from './physics/Grapple.js';
+import { isGhosted } from './physics/SpawnProtection.js';
+import {
+    initPlayerInput,
+    setFighters as setPlayerFighters,
+    updatePlayers,
+    togglePlayerControl,
+    getFreeSlot,
+    clearPlayers,
+    isPlayerControlled,
+    getControlledFighters,
+    getPlayerState,
+    readDeviceInput,
+    setPlayerInput
+} from './input/PlayerController.js';
+import {
+    initMatch,
+    getRoundTimeLeft,
+    matchState
+} from './engine/MatchController.js';
 import {
-    initBalanceAssist,
-    setFighters as setBalanceFighters,
     setWorld as setBalanceWorld,
-    startBalanceAssist,
     stopBalanceAssist,
     toggleBalanceAssist,
+    setBalanceEnabled,
     isBalanceEnabled,
+    toggleBalanceMode,
+    setBalanceMode,
+    getBalanceMode,
     balanceDebugState,
     resetBalanceAssist
 } from './physics/BalanceAssist.js';
+import { generateSeed, setSeed } from './utils/SeededRNG.js';
+import {
+    startRecording,
+    recordToggle,
+    recordDecision,
+    recordKill,
+    stopRecording,
+    getReplay,
+    exportReplay,
+    parseReplay
+} from './replay/ReplayRecorder.js';
+import {
+    startPlayback,
+    stopPlayback,
+    isPlaying,
+    updateReplayPlayer,
+    checkDecision,
+    playbackState
+} from './replay/ReplayPlayer.js';
+
+// Battle seed — drives every SeededRNG stream (spawn jitter, AI, ...)
+let currentSeed = null;
+
+// Seed requested from the seed input for the next reset (null = fresh seed)
+let pendingSeed = null;
+
+// Fighter loadouts used by spawnFighters (from the URL; replaced when playing a replay)
+let loadouts = DEFAULT_LOADOUTS;
+
+// Replay to start playing on the next reset
+let pendingReplay = null;
 
-// Placeholder seed (will be real RNG seed later)
-let currentSeed = Math.floor(Math.random() * 1000000);
+// Selected fighter's attack keys (J/K/L/;) -> AttackMotions type
+const ATTACK_KEYS = {
+    KeyJ: 'jab',
+    KeyK: 'hook',
+    KeyL: 'frontKick',
+    Semicolon: 'stomp',
+};
 
-// Fighter instances
-let fighterA = null;
-let fighterB = null;
+// Fighter instances, in slot order
+let fighters = [];
+
+// Fighter the 1 / 3 / J-K-L-; keys act on (Tab / Shift+Tab cycles through the roster)
+let selectedId = null;
 
 /**
- * Get spawn positions for two fighters
+ * Read the seed from the URL (?seed=12345), falling back to a fresh one
+ * @returns {number}
  */
-function getSpawnPositions() {
-    const arena = getArenaConfig();
-    const spawnY = arena.height / 2 - 50; // Above center so they fall
-
-    return {
-        a: { x: arena.width * 0.3, y: spawnY },  // 30% from left
-        b: { x: arena.width * 0.7, y: spawnY },  // 70% from left
-    };
+function getInitialSeed() {
+    const seed = parseInt(new URLSearchParams(window.location.search).get('seed'), 10);
+    return Number.isFinite(seed) ? seed : generateSeed();
 }
 
 /**
- * Spawn both fighters in the arena
+ * Read the roster from the URL (?fighters=4 free-for-all, plus &teams=2 for teams), falling back to 1v1
+ * @returns {Array} Loadouts
  */
-function spawnFighters() {
-    const world = getWorld();
-    const spawn = getSpawnPositions();
-
-    // Remove existing fighters
-    if (fighterA) removeFighter(world, fighterA);
-    if (fighterB) removeFighter(world, fighterB);
-
-    // Clear AI
-    resetAI();
-
-    // Create fighters with UNIQUE collision groups
-    // Negative groups: parts within same group don't collide with each other
-    // Different negative groups: parts DO collide with each other
-    fighterA = createFighter(world, spawn.a.x, spawn.a.y, {
-        id: 'fighter_a',
-        name: 'Fighter A',
-        ragdollConfig: { collisionGroup: -1 },
-    });
+function getInitialLoadouts() {
+    const params = new URLSearchParams(window.location.search);
+    const count = parseInt(params.get('fighters'), 10);
+    const teams = parseInt(params.get('teams'), 10);
+    if (!Number.isFinite(count) && !Number.isFinite(teams)) return DEFAULT_LOADOUTS;
+    return createLoadouts(Number.isFinite(count) ? count : DEFAULT_LOADOUTS.length, teams || 0);
+}
 
-    fighterB = createFighter(world, spawn.b.x, spawn.b.y, {
-        id: 'fighter_b',
-        name: 'Fighter B',
-        ragdollConfig: { collisionGroup: -2 },
-    });
+/**
+ * Apply a battle seed to the RNG and the overlay
+ * @param {number} seed
+ */
+function applySeed(seed) {
+    currentSeed = seed;
+    setSeed(seed);
+    Renderer.setSeed(seed);
+    console.log(`Battle seed: ${seed}`);
+}
 
-    // Create AI controllers (each targets the other)
-    createAI(fighterA, fighterB);
-    createAI(fighterB, fighterA);
+/**
+ * Spawn every fighter in the arena (also used by MatchController between rounds)
+ * @returns {Array} Fighters in slot order
+ */
+function spawnFighters() {
+    fighters = spawnRoster(getWorld(), loadouts, fighters, { onAITick: updateAIDebug });
 
     // Update renderer with fighter list
-    Renderer.setFighters([fighterA, fighterB]);
+    Renderer.setFighters(fighters);
+
+    // Update player-controlled fighters (control stays with the same fighter)
+    setPlayerFighters(fighters);
 
-    // Update balance assist with fighters
-    setBalanceFighters([fighterA, fighterB]);
+    console.log(`[Spawn] ${fighters.length} fighters spawned`);
 
-    // Start AI tick loop with debug update callback
-    startAI(updateAIDebug);
+    return fighters;
+}
 
-    // Start balance assist
-    startBalanceAssist();
+/**
+ * Start a new match with the current fighters
+ */
+function startMatch() {
+    HUD.hideResult();
+    initMatch(fighters, {
+        spawnFighters,
+        onRoundEnd: updateAIDebug,
+        onMatchEnd: handleMatchEnd,
+    });
+}
 
-    console.log('[Spawn] Both fighters spawned');
+/**
+ * Match finished — pause the simulation and show the result overlay
+ * @param {Object} result - MatchController.getMatchResult()
+ */
+function handleMatchEnd(result) {
+    // Freeze the arena under the result overlay (no more AI, damage or kill log entries)
+    Simulator.pause();
+    Controls.updateUI();
+    HUD.showResult(result, fighters);
 }
 
 /**
@@ -109,33 +206,237 @@ function handleRespawn() {
 }
 
 /**
- * Update AI debug overlay
+ * Apply an input toggle (from the keyboard or a replay being played)
+ * @param {Object} toggle - { type: 'ai' | 'player' | 'input' | 'balance' | 'balanceMode' | 'dismemberment' | 'respawn' | 'attack', target, value }
  */
-function updateAIDebug() {
-    const distEl = document.getElementById('distance-display');
-    const stateAEl = document.getElementById('fighter-a-state');
-    const stateBEl = document.getElementById('fighter-b-state');
+function applyToggle(toggle) {
+    switch (toggle.type) {
+        case 'ai':
+            toggleAI(toggle.target);
+            updateAIDebug();
+            break;
+        case 'player':
+            togglePlayerControl(toggle.target, toggle.value);
+            updateAIDebug();
+            break;
+        case 'input':
+            setPlayerInput(toggle.target, toggle.value);
+            break;
+        case 'balance': {
+            const balanceEnabled = toggleBalanceAssist();
+            console.log(`[Balance] Now ${balanceEnabled ? 'ON' : 'OFF'}`);
+            updateBalanceDebug();
+            break;
+        }
+        case 'balanceMode':
+            toggleBalanceMode();
+            updateBalanceDebug();
+            break;
+        case 'dismemberment':
+            toggleDismemberment();
+            updateGoreDebug();
+            break;
+        case 'respawn':
+            handleRespawn();
+            break;
+        case 'attack': {
+            const fighter = fighters.find(f => f?.id === toggle.target);
+            const opponent = fighter ? selectTarget(fighter, fighters) : null;
+            if (opponent) startAttack(fighter, toggle.value, opponent);
+            break;
+        }
+    }
+}
 
-    // Get distance
-    const distance = fighterA && fighterB ? getDistance(fighterA, fighterB) : 0;
+/**
+ * Toggle state a replay starts from
+ * @returns {Object} { balanceEnabled, balanceMode, dismemberment }
+ */
+function getRecordedSettings() {
+    return {
+        balanceEnabled: isBalanceEnabled(),
+        balanceMode: getBalanceMode(),
+        dismemberment: isDismembermentEnabled(),
+    };
+}
+
+/**
+ * Handle a user toggle: log it to the replay, then apply it
+ * @param {string} type - 'ai' | 'player' | 'balance' | 'balanceMode' | 'dismemberment' | 'respawn' | 'attack'
+ * @param {string|null} target - Fighter id for per-fighter toggles
+ * @param {string|number|null} value - Extra input data (attack type, player slot)
+ */
+function handleToggle(type, target = null, value = null) {
+    if (isPlaying()) {
+        console.log('[Replay] Input ignored during playback');
+        return;
+    }
 
-    // Get AI states
-    const aiA = getAIState('fighter_a');
-    const aiB = getAIState('fighter_b');
+    recordToggle(Simulator.getTickCount(), type, target, value);
+    applyToggle({ type, target, value });
+}
+
+/**
+ * Get the selected fighter's id (the first fighter until one is picked, or when it's not in the roster)
+ * @returns {string|null}
+ */
+function getSelectedId() {
+    return fighters.some(f => f.id === selectedId) ? selectedId : fighters[0]?.id ?? null;
+}
+
+/**
+ * Select the next (or previous) fighter in slot order (Tab / Shift+Tab)
+ * @param {number} step - +1 next, -1 previous
+ */
+function cycleSelected(step) {
+    if (fighters.length === 0) return;
+    const index = fighters.findIndex(f => f.id === getSelectedId());
+    selectedId = fighters[(index + step + fighters.length) % fighters.length].id;
+    console.log(`[Input] Selected ${selectedId}`);
+    updateAIDebug();
+}
 
-    if (distEl) {
-        distEl.textContent = `Dist: ${Math.round(distance)}px`;
+/**
+ * Take over a fighter with the first free player slot, or hand it back to the AI (3 key)
+ * @param {string} fighterId
+ */
+function handlePlayerToggle(fighterId) {
+    const slot = isPlayerControlled(fighterId) ? null : getFreeSlot();
+    if (slot === null && !isPlayerControlled(fighterId)) {
+        console.warn('[Player] No free player slot');
+        return;
     }
+    handleToggle('player', fighterId, slot);
+}
+
+/**
+ * Sample player devices and record input changes — register as a Simulator pre-step hook
+ * (before updateAI; during replay playback the recorded input is applied instead)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ */
+function pollPlayerInput(engine, tick) {
+    if (isPlaying()) return;
+    getControlledFighters().forEach(fighterId => {
+        const input = readDeviceInput(getPlayerState(fighterId).slot);
+        if (setPlayerInput(fighterId, input)) recordToggle(tick, 'input', fighterId, input);
+    });
+}
 
-    if (stateAEl && aiA) {
-        const enabledText = aiA.enabled ? '' : ' [OFF]';
-        stateAEl.textContent = `A: ${aiA.state}${enabledText}`;
+/**
+ * Download the current recording as JSON
+ */
+function handleExportReplay() {
+    const replay = getReplay(Simulator.getTickCount());
+    if (!replay) {
+        console.warn('[Replay] Nothing to export (replay is playing back)');
+        return;
+    }
+
+    const blob = new Blob([exportReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `arenaforge-replay-${replay.seed}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+    console.log(`[Replay] Exported ${replay.ticks} ticks`);
+}
+
+/**
+ * Load a replay file and play it
+ * @param {File} file
+ */
+async function handleImportReplay(file) {
+    try {
+        playReplay(parseReplay(await file.text()));
+    } catch (error) {
+        console.error(`[Replay] Could not load "${file.name}": ${error.message}`);
     }
+}
+
+/**
+ * Reset with a replay's seed and loadouts, then play it back
+ * @param {Object} replay - Parsed replay
+ */
+function playReplay(replay) {
+    loadouts = replay.fighters;
+    pendingSeed = replay.seed;
+    pendingReplay = replay;
+
+    Simulator.reset();
+    Simulator.start();
+    Controls.updateUI();
+}
+
+/**
+ * Replay reached its last recorded tick
+ */
+function handleReplayEnd() {
+    Simulator.pause();
+    Controls.updateUI();
+}
+
+/**
+ * Short knockdown label for the overlays ('' while standing)
+ * @param {Object|null} knockdown - getKnockdownState() result
+ * @returns {string}
+ */
+function formatKnockdown(knockdown) {
+    if (!knockdown || knockdown.state === KNOCKDOWN_CONFIG.states.STANDING) return '';
+    return knockdown.phase ? `UP:${knockdown.phase}` : knockdown.state;
+}
+
+/**
+ * Short overlay label for a fighter slot (A, B, C, ...)
+ * @param {Object|null} fighter
+ * @returns {string} '-' if it isn't in the arena
+ */
+function getSlotLabel(fighter) {
+    const index = fighters.findIndex(f => f.id === fighter?.id);
+    return index === -1 ? '-' : String.fromCharCode(65 + index);
+}
 
-    if (stateBEl && aiB) {
-        const enabledText = aiB.enabled ? '' : ' [OFF]';
-        stateBEl.textContent = `B: ${aiB.state}${enabledText}`;
+/**
+ * Get one overlay row per fighter inside a container (rows are added/removed to match the roster)
+ * @param {string} containerId
+ * @returns {Array<HTMLElement>} Rows in slot order
+ */
+function getFighterRows(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return [];
+    while (container.children.length < fighters.length) {
+        container.appendChild(document.createElement('div'));
+    }
+    while (container.children.length > fighters.length) {
+        container.lastElementChild.remove();
     }
+    return Array.from(container.children);
+}
+
+/**
+ * Update AI debug overlay (one row per fighter: who it's after, how far, what it's doing)
+ */
+function updateAIDebug() {
+    getFighterRows('fighter-states').forEach((el, index) => {
+        const fighter = fighters[index];
+        const ai = getAIState(fighter.id);
+        if (!ai) return;
+
+        const player = getPlayerState(fighter.id);
+        const target = player ? fighters.find(f => f.id === player.target) : ai.target;
+        const distance = target ? Math.round(getDistance(fighter, target)) : 0;
+        const down = formatKnockdown(getKnockdownState(fighter));
+        const downText = down ? ` [${down}]` : '';
+        const enabledText = ai.enabled ? '' : ' [OFF]';
+        const selected = fighter.id === getSelectedId() ? '▸ ' : '';
+        const label = `${selected}${getSlotLabel(fighter)}→${getSlotLabel(target)} ${distance}px`;
+
+        el.textContent = player
+            ? `${label}: ${player.action}${downText} HP ${Math.ceil(fighter.health)} (${player.name})`
+            : `${label}: ${ai.state}${enabledText}${downText} HP ${Math.ceil(fighter.health)} (${ai.profile})`;
+        el.style.color = Renderer.getColorScheme(fighter).body;
+    });
 }
 
 /**
@@ -160,45 +461,122 @@ function updateImpactDebug() {
  * Update velocity debug overlay
  */
 function updateVelocityDebug() {
-    const vxAEl = document.getElementById('vx-a');
-    const vxBEl = document.getElementById('vx-b');
     const forceEl = document.getElementById('force-applied');
 
-    if (vxAEl) {
-        vxAEl.textContent = `vxA: ${debugState.vxA.toFixed(2)}`;
-    }
-    if (vxBEl) {
-        vxBEl.textContent = `vxB: ${debugState.vxB.toFixed(2)}`;
-    }
+    getFighterRows('vx-list').forEach((el, index) => {
+        const fighter = fighters[index];
+        el.textContent = `vx${getSlotLabel(fighter)}: ${(debugState.vx[fighter.id] ?? 0).toFixed(2)}`;
+        el.style.color = Renderer.getColorScheme(fighter).body;
+    });
     if (forceEl) {
         forceEl.textContent = `Force: ${debugState.forceApplied.toFixed(3)}`;
     }
 }
 
+/**
+ * Update replay debug overlay
+ */
+function updateReplayDebug() {
+    const replayEl = document.getElementById('replay-display');
+    if (!replayEl) return;
+
+    if (playbackState.playing) {
+        const desyncText = playbackState.desyncs > 0 ? ` (${playbackState.desyncs} desync)` : '';
+        replayEl.textContent = `Replay: PLAY ${playbackState.tick}/${playbackState.totalTicks}${desyncText}`;
+        replayEl.className = playbackState.desyncs > 0 ? 'desync' : 'playing';
+    } else {
+        replayEl.textContent = 'Replay: REC';
+        replayEl.className = '';
+    }
+}
+
+/**
+ * Format a fighter's center-of-mass balance for the overlay (com mode only)
+ * @param {Object|null} com - balanceDebugState.fighters[id].com
+ * @returns {string} e.g. ' COM +4 BALANCED', or '' in spring mode
+ */
+function formatCenterOfMass(com) {
+    if (!com) return '';
+    const offset = Math.round(com.offset);
+    return ` COM ${offset >= 0 ? '+' : ''}${offset} ${com.status}`;
+}
+
+/**
+ * Format a fighter's locomotion, guard, grapple and spawn flags for the overlay
+ * @param {Object} fighter
+ * @returns {string} e.g. ' AIR CROUCH', or '' when standing on the floor with the guard down
+ */
+function formatLocomotion(fighter) {
+    const state = getLocomotionState(fighter);
+    if (!state) return '';
+    const guard = getGuardState(fighter);
+    const grapple = getGrappleState(fighter);
+    const flags = [
+        !state.grounded && 'AIR',
+        state.crouching && 'CROUCH',
+        state.dashing && 'DASH',
+        guard?.up && (guard.parrying ? 'PARRY' : 'GUARD'),
+        grapple?.holding && 'HOLD',
+        grapple?.heldBy && 'HELD',
+        isGhosted(fighter) && 'GHOST',
+    ].filter(Boolean);
+    return flags.length > 0 ? ` ${flags.join(' ')}` : '';
+}
+
 /**
  * Update balance debug overlay
  */
 function updateBalanceDebug() {
     const toggleEl = document.getElementById('balance-toggle');
+    const modeEl = document.getElementById('balance-mode');
     const supportEl = document.getElementById('support-status');
-    const angleAEl = document.getElementById('angle-a');
-    const angleBEl = document.getElementById('angle-b');
 
     if (toggleEl) {
         const enabled = isBalanceEnabled();
         toggleEl.textContent = `Balance: ${enabled ? 'ON' : 'OFF'}`;
         toggleEl.className = enabled ? '' : 'off';
     }
+    if (modeEl) {
+        modeEl.textContent = `Mode: ${balanceDebugState.mode.toUpperCase()}`;
+    }
     if (supportEl) {
         supportEl.textContent = `Support: ${balanceDebugState.supportActive ? 'ON' : 'OFF'}`;
         supportEl.className = balanceDebugState.supportActive ? '' : 'off';
     }
-    if (angleAEl) {
-        angleAEl.textContent = `angleA: ${balanceDebugState.torsoAngleA.toFixed(0)}°`;
-    }
-    if (angleBEl) {
-        angleBEl.textContent = `angleB: ${balanceDebugState.torsoAngleB.toFixed(0)}°`;
+    const getBalance = fighter => balanceDebugState.fighters[fighter.id] ?? { torsoAngle: 0, knockdown: null, com: null };
+    getFighterRows('angle-list').forEach((el, index) => {
+        const fighter = fighters[index];
+        const { torsoAngle, com } = getBalance(fighter);
+        el.textContent = `angle${getSlotLabel(fighter)}: ${torsoAngle.toFixed(0)}°${formatCenterOfMass(com)}${formatLocomotion(fighter)}`;
+        el.style.color = Renderer.getColorScheme(fighter).body;
+    });
+    getFighterRows('knockdown-list').forEach((el, index) => {
+        const fighter = fighters[index];
+        const { knockdown } = getBalance(fighter);
+        const count = knockdown?.count ?? 0;
+        el.textContent = `down${getSlotLabel(fighter)}: ${formatKnockdown(knockdown) || 'UP'} (${count})`;
+        el.className = knockdown?.vulnerable ? 'vulnerable' : '';
+    });
+}
+
+/**
+ * Update dismemberment debug overlay
+ */
+function updateGoreDebug() {
+    const toggleEl = document.getElementById('gore-toggle');
+
+    if (toggleEl) {
+        const enabled = isDismembermentEnabled();
+        toggleEl.textContent = `Gore: ${enabled ? 'ON' : 'OFF'}`;
+        toggleEl.className = enabled ? '' : 'off';
     }
+    getFighterRows('limbs-list').forEach((el, index) => {
+        const fighter = fighters[index];
+        const limbs = getDismembermentState(fighter)?.limbs ?? {};
+        const left = Object.values(limbs).filter(Boolean).length;
+        el.textContent = `limbs${getSlotLabel(fighter)}: ${left}/${Object.keys(limbs).length}`;
+        el.className = left < Object.keys(limbs).length ? 'severed' : '';
+    });
 }
 
 /**
@@ -216,23 +594,50 @@ function init() {
         return;
     }
 
+    // Seed the RNG before anything draws from it
+    applySeed(getInitialSeed());
+    loadouts = getInitialLoadouts();
+
     // Create physics world
     const { engine } = createWorld();
 
     // Initialize impact tracker
     initImpactTracker(engine);
 
+    // Damage events feed the HUD (via fighter.health); the killing blows go in the replay kill log
+    onDamage(event => {
+        if (event.ko) {
+            recordKill({
+                tick: event.tick,
+                attacker: event.attacker,
+                defender: event.victim,
+                damage: event.damage,
+                hitType: event.zone ?? event.spell ?? event.status,
+                bodyPart: event.bodyLabel,
+            });
+        }
+        updateAIDebug();
+    });
+
     // Initialize renderer
     Renderer.init(canvas);
-    Renderer.setSeed(currentSeed);
     Renderer.setFloatingNumbersGetter(getFloatingNumbers);
+    Renderer.setSpellVisualsGetter(getSpellVisuals);
+    Renderer.setStatusEffectsGetter(getActiveEffects);
+    Renderer.setSeveredJointsGetter(getSeveredJoints);
+    Renderer.setInjuriesGetter(getInjuries);
+    Renderer.setGripsGetter(getGrips);
 
-    // Spawn fighters
+    // Spawn fighters, then initialize every system (balance supports, damage log, spells, ...)
     spawnFighters();
+    initSubsystems(engine, getWorld(), fighters);
 
-    // Initialize balance assist with arena floor position and world
-    const arena = getArenaConfig();
-    initBalanceAssist([fighterA, fighterB], arena.floorY, getWorld());
+    // Record this fight (AI decisions are logged as they happen)
+    startRecording(currentSeed, loadouts, getRecordedSettings());
+    setDecisionListener((tick, fighterId, action, data) => {
+        recordDecision(tick, fighterId, action, data);
+        checkDecision(tick, fighterId, action);
+    });
 
     // Initialize simulator with callbacks
     Simulator.init(
@@ -246,6 +651,9 @@ function init() {
             updateImpactDebug();
             updateVelocityDebug();
             updateBalanceDebug();
+            updateGoreDebug();
+            updateReplayDebug();
+            HUD.update(matchState, getRoundTimeLeft(), fighters);
 
             // Render
             Renderer.render(engine, debugInfo);
@@ -256,8 +664,49 @@ function init() {
         }
     );
 
+    // Per-tick controllers (run once per fixed physics step, in the shared order)
+    // Replay toggles go first so they take effect on the tick they were recorded
+    registerHooks({
+        beforeAI: [updateReplayPlayer, pollPlayerInput],
+        afterAI: [updatePlayers],
+    });
+
+    // Keyboard/gamepad for player-controlled fighters
+    initPlayerInput();
+
     // Initialize UI controls
     Controls.init();
+    HUD.init();
+    startMatch();
+
+    // Seed input: reset the battle with a specific seed
+    const seedInput = document.getElementById('seed-input');
+    const seedButton = document.getElementById('btn-seed');
+    if (seedInput && seedButton) {
+        seedButton.addEventListener('click', () => {
+            const seed = parseInt(seedInput.value, 10);
+            if (!Number.isFinite(seed)) return;
+            pendingSeed = seed;
+            Simulator.reset();
+            Controls.updateUI();
+        });
+    }
+
+    // Replay export/import
+    const exportButton = document.getElementById('btn-export-replay');
+    const importButton = document.getElementById('btn-import-replay');
+    const replayFileInput = document.getElementById('replay-file');
+    if (exportButton) {
+        exportButton.addEventListener('click', handleExportReplay);
+    }
+    if (importButton && replayFileInput) {
+        importButton.addEventListener('click', () => replayFileInput.click());
+        replayFileInput.addEventListener('change', () => {
+            const file = replayFileInput.files[0];
+            if (file) handleImportReplay(file);
+            replayFileInput.value = '';
+        });
+    }
 
     // Add keyboard shortcuts
     document.addEventListener('keydown', (event) => {
@@ -266,17 +715,19 @@ function init() {
         switch (event.code) {
             case 'KeyT':
                 event.preventDefault();
-                handleRespawn();
+                handleToggle('respawn');
+                break;
+            case 'Tab':
+                event.preventDefault();
+                cycleSelected(event.shiftKey ? -1 : 1);
                 break;
             case 'Digit1':
                 event.preventDefault();
-                toggleAI('fighter_a');
-                updateAIDebug();
+                handleToggle('ai', getSelectedId());
                 break;
-            case 'Digit2':
+            case 'Digit3':
                 event.preventDefault();
-                toggleAI('fighter_b');
-                updateAIDebug();
+                handlePlayerToggle(getSelectedId());
                 break;
             case 'KeyH':
                 event.preventDefault();
@@ -286,9 +737,22 @@ function init() {
             case 'KeyB':
                 event.preventDefault();
                 console.log('[Input] B pressed');
-                const balanceEnabled = toggleBalanceAssist();
-                console.log(`[Balance] Now ${balanceEnabled ? 'ON' : 'OFF'}`);
-                updateBalanceDebug();
+                handleToggle('balance');
+                break;
+            case 'KeyV':
+                event.preventDefault();
+                handleToggle('balanceMode');
+                break;
+            case 'KeyG':
+                event.preventDefault();
+                handleToggle('dismemberment');
+                break;
+            case 'KeyJ':
+            case 'KeyK':
+            case 'KeyL':
+            case 'Semicolon':
+                event.preventDefault();
+                handleToggle('attack', getSelectedId(), ATTACK_KEYS[event.code]);
                 break;
         }
     });
@@ -304,21 +768,25 @@ function init() {
     // Initial debug updates
     updateAIDebug();
     updateImpactDebug();
+    HUD.update(matchState, getRoundTimeLeft(), fighters);
 
     console.log('[Init] Battle sandbox initialized');
-    console.log(`[Init] Seed: ${currentSeed}`);
     console.log('[Init] Press Start or Space to begin');
     console.log('[Init] Press T to respawn fighters');
-    console.log('[Init] Press 1/2 to toggle AI');
+    console.log('[Init] Press Tab / Shift+Tab to select a fighter (▸ in the overlay)');
+    console.log('[Init] Press 1 to toggle the selected fighter\'s AI');
+    console.log('[Init] Press 3 to play as the selected fighter (keyboard or gamepad)');
     console.log('[Init] Press H to toggle impact numbers');
+    console.log('[Init] Press J/K/L/; for the selected fighter\'s jab/hook/front kick/stomp');
 }
 
 /**
  * Handle simulation reset
  */
 function handleReset() {
-    // Stop AI and balance assist
+    // Stop AI and balance assist; every fighter goes back to the AI
     stopAI();
+    clearPlayers();
     stopBalanceAssist();
     resetBalanceAssist();
 
@@ -331,16 +799,29 @@ function handleReset() {
     // Update impact tracker with new engine
     setImpactEngine(engine);
 
-    // Generate new seed
-    currentSeed = Math.floor(Math.random() * 1000000);
-    Renderer.setSeed(currentSeed);
+    // Apply requested seed, or generate a new one
+    applySeed(pendingSeed ?? generateSeed());
+    pendingSeed = null;
 
-    // Respawn fighters
+    // Respawn fighters, then re-initialize every system on the new engine
     spawnFighters();
-
-    // Re-initialize balance assist with new fighters and world
-    const arena = getArenaConfig();
-    initBalanceAssist([fighterA, fighterB], arena.floorY, getWorld());
+    initSubsystems(engine, getWorld(), fighters);
+
+    // Fresh match
+    startMatch();
+
+    // Play the requested replay, or start a fresh recording
+    if (pendingReplay) {
+        stopRecording();
+        setBalanceEnabled(pendingReplay.settings.balanceEnabled);
+        setBalanceMode(pendingReplay.settings.balanceMode);
+        setDismembermentEnabled(pendingReplay.settings.dismemberment);
+        startPlayback(pendingReplay, { onToggle: applyToggle, onEnd: handleReplayEnd });
+        pendingReplay = null;
+    } else {
+        stopPlayback();
+        startRecording(currentSeed, loadouts, getRecordedSettings());
+    }
 
     // Render initial state
     Renderer.render(engine, {
@@ -354,6 +835,9 @@ function handleReset() {
     Controls.updateUI();
     updateImpactDebug();
     updateBalanceDebug();
+    updateGoreDebug();
+    updateReplayDebug();
+    HUD.update(matchState, getRoundTimeLeft(), fighters);
 
     console.log(`[Reset] New seed: ${currentSeed}`);
 }
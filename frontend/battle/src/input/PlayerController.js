@@ -0,0 +1,538 @@
+/**
+ * PlayerController.js — Human-Controlled Fighters
+ *
+ * Lets a person take over a fighter from the keyboard or a gamepad
+ * (Gamepad API, "standard" mapping). Each player slot reads one keyboard layout
+ * and one gamepad; both work at once. The input is sampled into a plain
+ * { move, jump, crouch, dash, block, grab, punch, kick, cast } state once per tick
+ * (index.js records every change for replays) and fed to the same layer the AI
+ * uses: walk from Behaviors.js, jump / dash / crouch from Locomotion.js,
+ * raiseGuard (Guard.js), grab / throwHeld / struggle (Grapple.js),
+ * startAttack (AttackMotions) and castSpell (SpellSystem).
+ * AIBrain skips fighters under player control. The opponent is always the
+ * nearest enemy still in the round (Targeting.js).
+ *
+ *   move   — walk left/right (analog on a stick)
+ *   jump   — hop, leaning the way you're moving (works just after stepping off, too)
+ *   crouch — hold to crouch (slower walk)
+ *   dash   — short burst the way you're moving (toward the opponent standing still)
+ *   block  — hold to raise the guard (parries for a moment after it goes up)
+ *   grab   — hold to reach out and grab when a hand gets in reach; press again to throw
+ *            (the way you're moving)
+ *   punch  — jab (hook while moving toward the opponent)
+ *   kick   — front kick (stomp on a downed opponent)
+ *   cast   — first ready spell in the loadout
+ *
+ * While held, every button press struggles against the hold.
+ *
+ * Runs once per fixed physics tick (Simulator pre-step hook, after the AI).
+ */
+
+import { createBlackboard } from '../ai/BehaviorTree.js';
+import {
+    BEHAVIOR_CONFIG,
+    sense,
+    walk,
+    dampHorizontalVelocity,
+} from '../ai/Behaviors.js';
+import { raiseGuard } from '../physics/Guard.js';
+import { grab, throwHeld, struggle, getGrappleState } from '../physics/Grapple.js';
+import { selectTarget } from '../ai/Targeting.js';
+import { isEnemy } from '../entities/Fighter.js';
+import {
+    jump,
+    dash,
+    setCrouching,
+    isCrouching,
+    isDashing,
+    clampHorizontalSpeed,
+} from '../physics/Locomotion.js';
+import { startAttack, isAttacking } from '../physics/AttackMotions.js';
+import { setPose, MUSCLE_CONFIG } from '../physics/Muscles.js';
+import { castSpell, getReadySpells } from '../engine/SpellSystem.js';
+import { isStunned } from '../engine/StatusEffects.js';
+
+// =============================================================================
+// PLAYER CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const PLAYER_CONFIG = {
+    // Keyboard layouts (KeyboardEvent.code, any key in a list works)
+    keyboard: {
+        wasd: {
+            left: ['KeyA'],
+            right: ['KeyD'],
+            jump: ['KeyW'],
+            crouch: ['KeyS'],
+            dash: ['ShiftLeft'],
+            block: ['KeyC'],
+            grab: ['KeyX'],
+            punch: ['KeyF'],
+            kick: ['KeyE'],
+            cast: ['KeyQ'],
+        },
+        arrows: {
+            left: ['ArrowLeft'],
+            right: ['ArrowRight'],
+            jump: ['ArrowUp'],
+            crouch: ['ArrowDown'],
+            dash: ['ShiftRight'],
+            block: ['KeyM'],
+            grab: ['Quote'],
+            punch: ['Period'],
+            kick: ['Slash'],
+            cast: ['Comma'],
+        },
+    },
+
+    // Gamepad buttons/axes ("standard" mapping: 0 A, 1 B, 2 X, 3 Y, 4-7 bumpers/triggers, 12-15 d-pad)
+    gamepad: {
+        moveAxis: 0,            // Left stick X
+        deadzone: 0.25,
+        crouchAxis: 1,          // Left stick Y...
+        crouchThreshold: 0.5,   // ...pushed down this far crouches
+        left: [14],
+        right: [15],
+        jump: [0, 12],
+        crouch: [13],
+        dash: [5, 7],
+        block: [4, 6],
+        grab: [10, 11],
+        punch: [2],
+        kick: [1],
+        cast: [3],
+    },
+
+    // Player slots: keyboard layout + gamepad index each one reads
+    slots: [
+        { name: 'P1', keyboard: 'wasd', gamepad: 0 },
+        { name: 'P2', keyboard: 'arrows', gamepad: 1 },
+    ],
+
+    // Analog move input is rounded to this step (fewer input changes to record)
+    moveStep: 0.25,
+
+    // Attack per button (AttackMotions.js)
+    moves: {
+        punch: 'jab',
+        punchForward: 'hook',   // Punch while moving toward the opponent
+        kick: 'frontKick',
+        kickDown: 'stomp',      // Kick while the opponent is down
+    },
+
+    // Walking (same forces as the AI's approach)
+    walk: {
+        force: 0.007,
+        torsoShare: 0.5,
+    },
+
+    // X velocity multiplier per tick with no move input (grounded, not dashing)
+    idleDamping: 0.85,
+
+    // Damping per tick while the fighter can't act (KO'd, stunned)
+    disabledDamping: 0.88,
+
+    // Max horizontal velocity (slows, agility, armor and missing legs scale it)
+    maxVx: 4,
+};
+
+// Actions shown in the overlay
+const ACTIONS = {
+    IDLE: 'IDLE',
+    WALK: 'WALK',
+    JUMP: 'JUMP',
+    CROUCH: 'CROUCH',
+    DASH: 'DASH',
+    BLOCK: 'BLOCK',
+    GRAPPLE: 'GRAPPLE',
+    STRUGGLE: 'STRUGGLE',
+    STRIKE: 'STRIKE',
+    RECOVER: 'RECOVER',
+};
+
+// Buttons besides move
+const BUTTONS = ['jump', 'crouch', 'dash', 'block', 'grab', 'punch', 'kick', 'cast'];
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Fighter id -> player state ({ slot, fighter, target, input, last, blackboard, pose, action })
+const players = new Map();
+
+// Keyboard keys held right now (KeyboardEvent.code)
+const keysDown = new Set();
+
+// Whether the keyboard listeners are attached
+let keyboardAttached = false;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * A neutral input state
+ * @returns {Object} { move, jump, crouch, dash, block, grab, punch, kick, cast }
+ */
+function createInput() {
+    return {
+        move: 0,
+        jump: false,
+        crouch: false,
+        dash: false,
+        block: false,
+        grab: false,
+        punch: false,
+        kick: false,
+        cast: false,
+    };
+}
+
+/**
+ * Check if two input states are the same
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameInput(a, b) {
+    return a.move === b.move && BUTTONS.every(name => a[name] === b[name]);
+}
+
+/**
+ * Point a player at its fighter and nearest enemy (after control starts or a respawn)
+ * @param {string} fighterId
+ * @param {Object} player
+ */
+function bindPlayer(fighterId, player) {
+    player.fighter = fighters.find(f => f?.id === fighterId) || null;
+    player.target = player.fighter
+        ? selectTarget(player.fighter, fighters) ?? fighters.find(f => isEnemy(player.fighter, f)) ?? null
+        : null;
+    player.blackboard = createBlackboard({ approaching: false, perceptions: [] });
+    player.last = createInput();
+    player.pose = null;
+    player.action = ACTIONS.IDLE;
+}
+
+/**
+ * Track held keys (keydown)
+ * @param {KeyboardEvent} event
+ */
+function handleKeyDown(event) {
+    if (event.target.tagName === 'INPUT') return;
+    keysDown.add(event.code);
+
+    // Keep arrows etc. from scrolling the page while someone is playing
+    if (players.size > 0 && isMappedKey(event.code)) event.preventDefault();
+}
+
+/**
+ * Track held keys (keyup)
+ * @param {KeyboardEvent} event
+ */
+function handleKeyUp(event) {
+    keysDown.delete(event.code);
+}
+
+/**
+ * Drop every held key (window lost focus — keyups won't arrive)
+ */
+function handleBlur() {
+    keysDown.clear();
+}
+
+/**
+ * Check if a key is in any keyboard layout
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isMappedKey(code) {
+    return Object.values(PLAYER_CONFIG.keyboard).some(layout => (
+        Object.values(layout).some(codes => codes.includes(code))
+    ));
+}
+
+/**
+ * Read a gamepad (null if it isn't connected or the Gamepad API is missing)
+ * @param {number} index
+ * @returns {Gamepad|null}
+ */
+function getGamepad(index) {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    return navigator.getGamepads()[index] || null;
+}
+
+/**
+ * Attack for a punch/kick press
+ * @param {Object} player
+ * @param {string} button - 'punch' | 'kick'
+ * @returns {string} Attack type
+ */
+function pickAttack(player, button) {
+    const { moves } = PLAYER_CONFIG;
+    const bb = player.blackboard;
+    if (button === 'kick') return bb.targetDown ? moves.kickDown : moves.kick;
+    return player.input.move * bb.facing > 0 ? moves.punchForward : moves.punch;
+}
+
+/**
+ * Advance one player-controlled fighter by a tick
+ * @param {Object} player
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+function stepPlayer(player, tick, fixedDelta) {
+    // Always squared up to the nearest enemy still in the round
+    if (player.fighter) player.target = selectTarget(player.fighter, fighters) ?? player.target;
+    const { fighter, target, input, blackboard: bb } = player;
+    if (!fighter?.ragdoll || !target?.ragdoll) return;
+
+    const { pelvis, torso } = fighter.ragdoll.bodies;
+    const last = player.last;
+    const pressed = name => input[name] && !last[name];
+    player.last = { ...input };
+
+    // KO'd or stunned — no control
+    if (fighter.health <= 0 || isStunned(fighter)) {
+        dampHorizontalVelocity(pelvis, PLAYER_CONFIG.disabledDamping);
+        dampHorizontalVelocity(torso, PLAYER_CONFIG.disabledDamping);
+        setCrouching(fighter, false);
+        player.action = ACTIONS.IDLE;
+        return;
+    }
+
+    const ctx = { fighter, target, blackboard: bb, tick, time: tick * fixedDelta, fixedDelta };
+    sense(ctx, BEHAVIOR_CONFIG);
+
+    // Knocked down — the get-up sequence poses the ragdoll (re-pose once standing)
+    if (bb.down) {
+        setCrouching(fighter, false);
+        player.pose = null;
+        player.action = ACTIONS.RECOVER;
+        return;
+    }
+
+    let action = ACTIONS.IDLE;
+
+    // Held — every press struggles against the hold
+    if (bb.held && BUTTONS.some(pressed)) struggle(fighter);
+
+    // Reach out while grab is held (takes hold once a hand is in reach); a new press while holding throws
+    const reaching = input.grab && !bb.holding && !bb.held && bb.arms > 0;
+    if (bb.holding && pressed('grab')) throwHeld(fighter, Math.sign(input.move) || bb.facing);
+    else if (reaching) grab(fighter, target);
+    const grip = getGrappleState(fighter);
+
+    // Punch / kick / cast on press (attacks fail while one is still playing; punches use the free hand)
+    ['punch', 'kick'].forEach(button => {
+        if (!pressed(button)) return;
+        const type = pickAttack(player, button);
+        const freeSide = grip?.holding ? (grip.hand === 'leftHand' ? 'right' : 'left') : undefined;
+        const side = button === 'punch' ? (fighter.weapon ? 'right' : freeSide) : undefined;
+        startAttack(fighter, type, target, { side });
+    });
+    if (pressed('cast')) {
+        const spellId = getReadySpells(fighter)[0];
+        if (spellId) castSpell(fighter, spellId, target);
+    }
+
+    // Crouch while held; jump and dash on press (Locomotion.js checks ground, coyote time and cooldowns)
+    setCrouching(fighter, input.crouch);
+    if (isCrouching(fighter)) action = ACTIONS.CROUCH;
+    const jumped = pressed('jump') && jump(fighter, Math.sign(input.move));
+    if (jumped) action = ACTIONS.JUMP;
+    if (pressed('dash')) dash(fighter, Math.sign(input.move) || bb.facing);
+    const dashing = isDashing(fighter);
+    if (dashing) action = ACTIONS.DASH;
+
+    // Block while held (needs an arm)
+    const blocking = input.block && bb.arms > 0;
+    if (blocking) {
+        raiseGuard(fighter, bb.facing);
+        action = ACTIONS.BLOCK;
+    }
+
+    // Walk, or brake with nothing held
+    if (input.move !== 0) {
+        walk(ctx, input.move * PLAYER_CONFIG.walk.force, PLAYER_CONFIG.walk.torsoShare);
+        if (action === ACTIONS.IDLE) action = ACTIONS.WALK;
+    } else if (bb.grounded && !dashing && !jumped) {
+        dampHorizontalVelocity(pelvis, PLAYER_CONFIG.idleDamping);
+        dampHorizontalVelocity(torso, PLAYER_CONFIG.idleDamping);
+    }
+
+    if (grip?.holding) action = ACTIONS.GRAPPLE;
+    if (bb.held) action = ACTIONS.STRUGGLE;
+    if (isAttacking(fighter)) action = ACTIONS.STRIKE;
+    player.action = action;
+
+    // Guard pose while blocking, arms out while reaching for a grab
+    let pose = MUSCLE_CONFIG.basePose;
+    if (blocking) pose = 'guard';
+    else if (reaching || grip?.holding) pose = 'reach';
+    if (pose !== player.pose) {
+        setPose(fighter, pose);
+        player.pose = pose;
+    }
+
+    clampHorizontalSpeed(fighter, PLAYER_CONFIG.maxVx * bb.speed);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Start tracking the keyboard (browser only; headless runs feed input with setPlayerInput)
+ * @param {EventTarget} target - Where to listen (default: document)
+ */
+export function initPlayerInput(target = document) {
+    if (keyboardAttached) return;
+    target.addEventListener('keydown', handleKeyDown);
+    target.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    keyboardAttached = true;
+    console.log('[Player] Keyboard input ready');
+}
+
+/**
+ * Update the fighter list (after respawn; control stays with the same fighter id)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    players.forEach((player, fighterId) => bindPlayer(fighterId, player));
+}
+
+/**
+ * Give a fighter to a player slot, or back to the AI
+ * @param {string} fighterId
+ * @param {number|null} slot - Index into PLAYER_CONFIG.slots (null = release)
+ */
+export function setPlayerControl(fighterId, slot) {
+    if (slot === null || !PLAYER_CONFIG.slots[slot]) {
+        if (players.delete(fighterId)) console.log(`[Player] "${fighterId}" back to the AI`);
+        return;
+    }
+
+    const player = { slot, input: createInput() };
+    bindPlayer(fighterId, player);
+    players.set(fighterId, player);
+    console.log(`[Player] ${PLAYER_CONFIG.slots[slot].name} controls "${fighterId}"`);
+}
+
+/**
+ * Take over a fighter, or hand it back to the AI if a player already has it
+ * @param {string} fighterId
+ * @param {number} slot - Slot to take it with
+ * @returns {boolean} True if a player now controls it
+ */
+export function togglePlayerControl(fighterId, slot) {
+    setPlayerControl(fighterId, players.has(fighterId) ? null : slot);
+    return players.has(fighterId);
+}
+
+/**
+ * First slot no fighter is using
+ * @returns {number|null}
+ */
+export function getFreeSlot() {
+    const used = new Set(Array.from(players.values()).map(player => player.slot));
+    const index = PLAYER_CONFIG.slots.findIndex((slot, i) => !used.has(i));
+    return index === -1 ? null : index;
+}
+
+/**
+ * Hand every fighter back to the AI
+ */
+export function clearPlayers() {
+    players.clear();
+}
+
+/**
+ * Check if a player is driving a fighter
+ * @param {string} fighterId
+ * @returns {boolean}
+ */
+export function isPlayerControlled(fighterId) {
+    return players.has(fighterId);
+}
+
+/**
+ * Ids of every player-controlled fighter
+ * @returns {Array<string>}
+ */
+export function getControlledFighters() {
+    return Array.from(players.keys());
+}
+
+/**
+ * Sample a slot's keyboard layout and gamepad
+ * @param {number} slot - Index into PLAYER_CONFIG.slots
+ * @returns {Object} { move, jump, crouch, dash, block, grab, punch, kick, cast }
+ */
+export function readDeviceInput(slot) {
+    const { keyboard, gamepad: pad, moveStep } = PLAYER_CONFIG;
+    const layout = keyboard[PLAYER_CONFIG.slots[slot].keyboard];
+    const gamepad = getGamepad(PLAYER_CONFIG.slots[slot].gamepad);
+    const held = name => layout[name].some(code => keysDown.has(code))
+        || (!!gamepad && pad[name].some(index => gamepad.buttons[index]?.pressed));
+
+    const input = createInput();
+    BUTTONS.forEach(name => { input[name] = held(name); });
+    if (gamepad && (gamepad.axes[pad.crouchAxis] ?? 0) > pad.crouchThreshold) input.crouch = true;
+
+    // Keys / d-pad win over the stick
+    let move = (held('right') ? 1 : 0) - (held('left') ? 1 : 0);
+    if (move === 0 && gamepad) {
+        const axis = gamepad.axes[pad.moveAxis] ?? 0;
+        if (Math.abs(axis) > pad.deadzone) move = Math.round(axis / moveStep) * moveStep;
+    }
+    input.move = Math.max(-1, Math.min(1, move));
+    return input;
+}
+
+/**
+ * Set a fighter's input state (sampled devices, or a replay's recorded input)
+ * @param {string} fighterId
+ * @param {Object} input - { move, jump, crouch, dash, block, grab, punch, kick, cast }
+ * @returns {boolean} True if it changed
+ */
+export function setPlayerInput(fighterId, input) {
+    const player = players.get(fighterId);
+    if (!player) return false;
+
+    const next = { ...createInput(), ...input };
+    if (isSameInput(player.input, next)) return false;
+    player.input = next;
+    return true;
+}
+
+/**
+ * Get a player's state for the overlay
+ * @param {string} fighterId
+ * @returns {Object|null} { slot, name, action, target, input }
+ */
+export function getPlayerState(fighterId) {
+    const player = players.get(fighterId);
+    if (!player) return null;
+    return {
+        slot: player.slot,
+        name: PLAYER_CONFIG.slots[player.slot].name,
+        action: player.action,
+        target: player.target?.id ?? null,
+        input: { ...player.input },
+    };
+}
+
+/**
+ * Drive player-controlled fighters — register as a Simulator pre-step hook (after updateAI)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updatePlayers(engine, tick, fixedDelta) {
+    players.forEach(player => stepPlayer(player, tick, fixedDelta));
+}
@@ -0,0 +1,57 @@
+/**
+ * armor.js — Armor Definitions
+ *
+ * Data-driven armor table (mirrors docs/BALANCE.md → Armor).
+ * Armor.js turns a row into ragdoll weight and damage/knockback/speed modifiers.
+ *
+ * defense             — Flat damage subtracted from every hit
+ * knockbackReduction  — Multiplier on knockback and spell pushes taken
+ * weight              — BALANCE.md weight (scaled by ARMOR_CONFIG.densityPerWeight onto torso + pelvis)
+ * speedPenalty        — Multiplier on AI walking force and top speed
+ * resistances         — Status effect type -> 0..1 (see StatusEffects.js; not in BALANCE.md yet)
+ */
+
+export const ARMOR = {
+    armor_light: {
+        id: 'armor_light',
+        name: 'Leather Armor',
+        tier: 'light',
+        defense: 3,
+        knockbackReduction: 0.9,
+        weight: 0.8,
+        speedPenalty: 1.0,
+        price: 50,
+        resistances: { slow: 0.25 },
+    },
+    armor_medium: {
+        id: 'armor_medium',
+        name: 'Chain Mail',
+        tier: 'medium',
+        defense: 5,
+        knockbackReduction: 0.8,
+        weight: 1.2,
+        speedPenalty: 0.95,
+        price: 150,
+        resistances: { burn: 0.2, stun: 0.2 },
+    },
+    armor_heavy: {
+        id: 'armor_heavy',
+        name: 'Plate Armor',
+        tier: 'heavy',
+        defense: 8,
+        knockbackReduction: 0.7,
+        weight: 1.8,
+        speedPenalty: 0.85,
+        price: 400,
+        resistances: { burn: 0.4, stun: 0.4 },
+    },
+};
+
+/**
+ * Look up an armor definition
+ * @param {string} id - Armor id (e.g. 'armor_light')
+ * @returns {Object|null}
+ */
+export function getArmorDef(id) {
+    return ARMOR[id] || null;
+}
@@ -0,0 +1,120 @@
+/**
+ * spells.js — Spell Definitions
+ *
+ * Data-driven spell table (mirrors docs/BALANCE.md → Spells).
+ * SpellSystem.js casts them; Projectile.js builds the bodies for travelling spells.
+ *
+ * type            — 'blast' (projectile that explodes on contact, radial push)
+ *                   'projectile' (projectile that pushes along its flight path)
+ *                   'strike' (instant, radial push at the target)
+ * cooldown        — ms of simulation time before the caster can cast it again
+ * impulse         — Push strength at the center (scaled by SPELL_CONFIG.impulseScale)
+ * radius          — Area of effect (px)
+ * damageScale     — Multiplier on impulse → damage
+ * projectileSpeed — px/s of travel (0 = instant)
+ *
+ * Status spells (type 'status') hit every enemy within `radius` of the caster
+ * and only apply their effect. Any spell with an `effect` applies it (see
+ * StatusEffects.js) to the fighters it catches:
+ * effect          — 'slow' | 'stun' | 'gravity' | 'burn'
+ * duration        — ms the effect lasts
+ * potency         — Multiplier (slow/stun/gravity) or damage per second (burn)
+ */
+
+export const SPELLS = {
+    fireball: {
+        id: 'fireball',
+        name: 'Fireball',
+        type: 'blast',
+        cooldown: 3000,
+        impulse: 800,
+        radius: 50,
+        damageScale: 1.0,
+        projectileSpeed: 200,
+        unlock: 'start',
+        color: '#fb923c',
+        effect: 'burn',
+        duration: 2000,
+        potency: 3,
+    },
+    lightning: {
+        id: 'lightning',
+        name: 'Lightning Strike',
+        type: 'strike',
+        cooldown: 4000,
+        impulse: 1200,
+        radius: 40,
+        damageScale: 1.2,
+        projectileSpeed: 0,
+        unlock: 'level 5',
+        color: '#facc15',
+    },
+    ice_spike: {
+        id: 'ice_spike',
+        name: 'Ice Spike',
+        type: 'projectile',
+        cooldown: 2500,
+        impulse: 600,
+        radius: 30,
+        damageScale: 0.8,
+        projectileSpeed: 150,
+        unlock: 'level 10',
+        color: '#67e8f9',
+    },
+
+    // Status spells (BALANCE.md → Status spells)
+    ice_slow: {
+        id: 'ice_slow',
+        name: 'Slow',
+        type: 'status',
+        cooldown: 3000,
+        impulse: 0,
+        radius: 80,
+        damageScale: 0,
+        projectileSpeed: 0,
+        unlock: 'level 3',
+        color: '#67e8f9',
+        effect: 'slow',
+        duration: 5000,
+        potency: 0.5,
+    },
+    stun: {
+        id: 'stun',
+        name: 'Stun',
+        type: 'status',
+        cooldown: 5000,
+        impulse: 0,
+        radius: 60,
+        damageScale: 0,
+        projectileSpeed: 0,
+        unlock: 'level 10',
+        color: '#fde047',
+        effect: 'stun',
+        duration: 3000,
+        potency: 2.0,
+    },
+    gravity_surge: {
+        id: 'gravity_surge',
+        name: 'Gravity Surge',
+        type: 'status',
+        cooldown: 6000,
+        impulse: 0,
+        radius: 100,
+        damageScale: 0,
+        projectileSpeed: 0,
+        unlock: 'level 15',
+        color: '#a78bfa',
+        effect: 'gravity',
+        duration: 4000,
+        potency: 1.5,
+    },
+};
+
+/**
+ * Look up a spell definition
+ * @param {string} id - Spell id (e.g. 'fireball')
+ * @returns {Object|null}
+ */
+export function getSpellDef(id) {
+    return SPELLS[id] || null;
+}
@@ -0,0 +1,95 @@
+/**
+ * weapons.js — Weapon Definitions
+ *
+ * Data-driven weapon table (mirrors docs/BALANCE.md → Weapons).
+ * Add a row here to add a weapon; Weapon.js builds the physics body from it.
+ *
+ * mass            — BALANCE.md mass (scaled by WEAPON_CONFIG.massScale into Matter mass)
+ * length          — Reach in px (tip to pommel)
+ * gripOffset      — Distance from the pommel end to where the hand holds it (px)
+ * damageScale     — Multiplier on damage from hits landed with the weapon
+ * knockbackScale  — Multiplier on knockback from hits landed with the weapon
+ * hands           — 1 = right hand, 2 = right hand + left hand on the handle
+ */
+
+export const WEAPONS = {
+    sword_1: {
+        id: 'sword_1',
+        name: 'Iron Sword',
+        type: 'sword',
+        mass: 1.2,
+        length: 60,
+        gripOffset: 15,
+        damageScale: 1.0,
+        knockbackScale: 1.0,
+        speed: 1.0,
+        hands: 1,
+        rarity: 'common',
+        unlock: 'start',
+    },
+    spear_1: {
+        id: 'spear_1',
+        name: 'Wooden Spear',
+        type: 'spear',
+        mass: 0.8,
+        length: 90,
+        gripOffset: 20,
+        damageScale: 0.8,
+        knockbackScale: 0.8,
+        speed: 1.1,
+        hands: 2,
+        rarity: 'common',
+        unlock: 'start',
+    },
+    hammer_1: {
+        id: 'hammer_1',
+        name: 'Stone Hammer',
+        type: 'hammer',
+        mass: 2.0,
+        length: 40,
+        gripOffset: 10,
+        damageScale: 1.3,
+        knockbackScale: 1.4,
+        speed: 0.7,
+        hands: 2,
+        rarity: 'uncommon',
+        unlock: 'level 5',
+    },
+    sword_2: {
+        id: 'sword_2',
+        name: 'Silver Sword',
+        type: 'sword',
+        mass: 1.0,
+        length: 65,
+        gripOffset: 15,
+        damageScale: 1.2,
+        knockbackScale: 1.1,
+        speed: 1.1,
+        hands: 1,
+        rarity: 'uncommon',
+        unlock: 'level 10',
+    },
+    spear_2: {
+        id: 'spear_2',
+        name: 'Crystal Spear',
+        type: 'spear',
+        mass: 0.7,
+        length: 100,
+        gripOffset: 25,
+        damageScale: 1.0,
+        knockbackScale: 1.0,
+        speed: 1.3,
+        hands: 2,
+        rarity: 'rare',
+        unlock: 'level 15',
+    },
+};
+
+/**
+ * Look up a weapon definition
+ * @param {string} id - Weapon id (e.g. 'sword_1')
+ * @returns {Object|null}
+ */
+export function getWeaponDef(id) {
+    return WEAPONS[id] || null;
+}
@@ -0,0 +1,378 @@
+/**
+ * AttackMotions.js — Limb-Driven Punches and Kicks
+ *
+ * An attack is a timed sequence of forces on one limb's bodies (upper segment,
+ * lower segment, hand/foot), aimed at a body of the target:
+ *
+ *   WINDUP   — spring the hand/foot to a cocked position near the shoulder/hip
+ *   STRIKE   — drive the hand/foot (and lower segment) at the target, plus an
+ *              optional swing of the upper segment (hook)
+ *   RECOVERY — spring the hand/foot back to a guard/stance position
+ *
+ * Damage still comes from the collisions the motion produces (DamageSystem).
+ * The AI (Behaviors.js → strike) and keyboard input start attacks with
+ * startAttack(); the active one lives on `fighter.attack`. A severed limb
+ * (Dismemberment.js) can't attack — the other side throws it, or nothing does —
+ * and an injured arm (Injuries.js) punches with less force.
+ * Runs once per fixed physics tick (Simulator pre-step hook, after the AI).
+ */
+
+import { isStunned } from '../engine/StatusEffects.js';
+import { isKnockedDown } from './Knockdown.js';
+import { hasLimb } from './Dismemberment.js';
+import { getPunchMultiplier } from './Injuries.js';
+
+const { Body } = Matter;
+
+// =============================================================================
+// ATTACK CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const ATTACK_CONFIG = {
+    // Cap on the spring force pulling a hand/foot to its windup/recovery point
+    maxSpringForce: 0.004,
+
+    // Hand/foot velocity multiplier per recovery tick (settles the limb)
+    recoveryDamping: 0.85,
+
+    // Phases
+    phases: {
+        WINDUP: 'WINDUP',
+        STRIKE: 'STRIKE',
+        RECOVERY: 'RECOVERY',
+    },
+};
+
+// Attack table. Offsets are px from the shoulder/hip, x measured toward
+// the target (negative = behind), y down. side: 'lead' = limb nearer the target.
+export const ATTACK_MOTIONS = {
+    jab: {
+        limb: 'arm',
+        side: 'lead',
+        aim: 'head',
+        reach: 95,              // Target distance (pelvis to pelvis) it's meant for
+        windup: { ticks: 4, offset: { x: 5, y: 5 }, stiffness: 0.0003 },
+        strike: { ticks: 6, force: 0.006, midForce: 0.005, swing: 0 },
+        recovery: { ticks: 8, offset: { x: 12, y: 20 }, stiffness: 0.00015 },
+    },
+    hook: {
+        limb: 'arm',
+        side: 'rear',
+        aim: 'head',
+        reach: 80,
+        windup: { ticks: 6, offset: { x: -20, y: -10 }, stiffness: 0.0002 },
+        strike: { ticks: 6, force: 0.003, midForce: 0.003, swing: 0.04 },
+        recovery: { ticks: 10, offset: { x: 12, y: 20 }, stiffness: 0.00015 },
+    },
+    frontKick: {
+        limb: 'leg',
+        side: 'lead',
+        aim: 'torso',
+        reach: 120,
+        windup: { ticks: 6, offset: { x: 10, y: 20 }, stiffness: 0.0004 },
+        strike: { ticks: 6, force: 0.008, midForce: 0.006, swing: 0 },
+        recovery: { ticks: 12, offset: { x: 0, y: 70 }, stiffness: 0.0003 },
+    },
+    stomp: {
+        limb: 'leg',
+        side: 'lead',
+        aim: 'pelvis',
+        reach: 90,
+        windup: { ticks: 8, offset: { x: 20, y: 5 }, stiffness: 0.0004 },
+        strike: { ticks: 5, force: 0.01, midForce: 0.006, swing: 0 },
+        recovery: { ticks: 10, offset: { x: 0, y: 70 }, stiffness: 0.0003 },
+    },
+};
+
+// Ragdoll body names per limb; `joint` is the shoulder/hip as an offset from `anchor` (unrotated)
+const LIMB_PARTS = {
+    arm: { root: 'UpperArm', mid: 'LowerArm', end: 'Hand', anchor: 'torso', joint: { x: 0, y: -17 } },
+    leg: { root: 'UpperLeg', mid: 'LowerLeg', end: 'Foot', anchor: 'pelvis', joint: { x: 0, y: 10 } },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Unit vector from one point to another (zero if they coincide)
+ * @param {Object} from - {x, y}
+ * @param {Object} to - {x, y}
+ * @returns {Object} {x, y}
+ */
+function unitVector(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : { x: 0, y: 0 };
+}
+
+/**
+ * Pick 'left' or 'right' for an attack's lead/rear side
+ * @param {Object} fighter
+ * @param {Object} target
+ * @param {Object} motion - ATTACK_MOTIONS entry
+ * @returns {string}
+ */
+function resolveSide(fighter, target, motion) {
+    const { end } = LIMB_PARTS[motion.limb];
+    const bodies = fighter.ragdoll.bodies;
+    const x = target.ragdoll.bodies.pelvis.position.x;
+    const leftIsLead = Math.abs(bodies[`left${end}`].position.x - x) <= Math.abs(bodies[`right${end}`].position.x - x);
+    if (motion.side === 'lead') return leftIsLead ? 'left' : 'right';
+    return leftIsLead ? 'right' : 'left';
+}
+
+/**
+ * Dismemberment limb name for one side of an attack
+ * @param {string} side - 'left' | 'right'
+ * @param {Object} motion - ATTACK_MOTIONS entry
+ * @returns {string} e.g. 'leftArm'
+ */
+function limbName(side, motion) {
+    return `${side}${motion.limb === 'arm' ? 'Arm' : 'Leg'}`;
+}
+
+/**
+ * Pick the side an attack is thrown with, falling back to the other side if that limb is gone
+ * @param {Object} fighter
+ * @param {Object} motion - ATTACK_MOTIONS entry
+ * @param {string} preferred - 'left' | 'right'
+ * @returns {string|null} Side, or null with neither limb left
+ */
+function usableSide(fighter, motion, preferred) {
+    const other = preferred === 'left' ? 'right' : 'left';
+    if (hasLimb(fighter, limbName(preferred, motion))) return preferred;
+    return hasLimb(fighter, limbName(other, motion)) ? other : null;
+}
+
+/**
+ * Get a limb's shoulder/hip position (follows the torso/pelvis rotation)
+ * @param {Object} anchor - Torso or pelvis body
+ * @param {Object} joint - Offset from the anchor's centre
+ * @returns {Object} {x, y}
+ */
+function getJointPosition(anchor, joint) {
+    const cos = Math.cos(anchor.angle);
+    const sin = Math.sin(anchor.angle);
+    return {
+        x: anchor.position.x + joint.x * cos - joint.y * sin,
+        y: anchor.position.y + joint.x * sin + joint.y * cos,
+    };
+}
+
+/**
+ * Spring a limb's end toward an offset from its shoulder/hip
+ * @param {Object} attack - Active attack
+ * @param {Object} parts - { root, mid, end, joint } bodies + joint position
+ * @param {Object} phase - Phase params with offset + stiffness
+ */
+function springEnd(attack, parts, phase) {
+    const goal = {
+        x: parts.joint.x + attack.facing * phase.offset.x,
+        y: parts.joint.y + phase.offset.y,
+    };
+    const limit = ATTACK_CONFIG.maxSpringForce;
+    const clamp = value => Math.max(-limit, Math.min(limit, value));
+
+    Body.applyForce(parts.end, parts.end.position, {
+        x: clamp((goal.x - parts.end.position.x) * phase.stiffness),
+        y: clamp((goal.y - parts.end.position.y) * phase.stiffness),
+    });
+}
+
+/**
+ * Drive a limb's end (and lower segment) at the target
+ * @param {Object} attack - Active attack
+ * @param {Object} parts - { root, mid, end } bodies
+ * @param {Object} phase - Strike params
+ * @param {number} power - Force multiplier (injured arms)
+ */
+function driveAtTarget(attack, parts, phase, power) {
+    const aimBody = attack.target.ragdoll.bodies[attack.motion.aim];
+    const aim = {
+        x: aimBody.position.x + attack.aimOffset.x,
+        y: aimBody.position.y + attack.aimOffset.y,
+    };
+    const direction = unitVector(parts.end.position, aim);
+
+    Body.applyForce(parts.end, parts.end.position, {
+        x: direction.x * phase.force * power,
+        y: direction.y * phase.force * power,
+    });
+    Body.applyForce(parts.mid, parts.mid.position, {
+        x: direction.x * phase.midForce * power,
+        y: direction.y * phase.midForce * power,
+    });
+
+    // Swing the upper segment over toward the target (positive angle = clockwise on screen)
+    if (phase.swing) {
+        Body.setAngularVelocity(parts.root, parts.root.angularVelocity + attack.facing * phase.swing * power);
+    }
+}
+
+/**
+ * Advance one fighter's attack by a tick
+ * @param {Object} fighter
+ */
+function stepAttack(fighter) {
+    const attack = fighter.attack;
+    const { phases } = ATTACK_CONFIG;
+
+    // Knocked out, stunned, knocked down, limb severed or target gone — drop the attack
+    if (fighter.health <= 0 || isStunned(fighter) || isKnockedDown(fighter) || !attack.target?.ragdoll
+        || !hasLimb(fighter, limbName(attack.side, attack.motion))) {
+        fighter.attack = null;
+        return;
+    }
+
+    const names = LIMB_PARTS[attack.motion.limb];
+    const bodies = fighter.ragdoll.bodies;
+    const parts = {
+        root: bodies[`${attack.side}${names.root}`],
+        mid: bodies[`${attack.side}${names.mid}`],
+        end: bodies[`${attack.side}${names.end}`],
+        joint: getJointPosition(bodies[names.anchor], names.joint),
+    };
+
+    const phase = attack.motion[attack.phase.toLowerCase()];
+    if (attack.phase === phases.STRIKE) {
+        const power = attack.motion.limb === 'arm' ? getPunchMultiplier(fighter, attack.side) : 1;
+        driveAtTarget(attack, parts, phase, power);
+    } else {
+        springEnd(attack, parts, phase);
+        if (attack.phase === phases.RECOVERY) {
+            Body.setVelocity(parts.end, {
+                x: parts.end.velocity.x * ATTACK_CONFIG.recoveryDamping,
+                y: parts.end.velocity.y * ATTACK_CONFIG.recoveryDamping,
+            });
+        }
+    }
+
+    // Next tick / next phase
+    attack.step++;
+    if (attack.step < phase.ticks) return;
+
+    attack.step = 0;
+    if (attack.phase === phases.WINDUP) attack.phase = phases.STRIKE;
+    else if (attack.phase === phases.STRIKE) attack.phase = phases.RECOVERY;
+    else fighter.attack = null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize attack motions
+ * @param {Array} fighterList
+ */
+export function initAttackMotions(fighterList) {
+    setFighters(fighterList);
+    console.log('[AttackMotions] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyAttackMotions() {
+    fighters = [];
+}
+
+/**
+ * Update the fighter list (after respawn)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+}
+
+/**
+ * Get an attack definition
+ * @param {string} type - e.g. 'jab'
+ * @returns {Object|null}
+ */
+export function getAttackMotion(type) {
+    return ATTACK_MOTIONS[type] || null;
+}
+
+/**
+ * Start an attack (fails while another one is still playing, while knocked down, or with no limb for it)
+ * @param {Object} fighter
+ * @param {string} type - 'jab' | 'hook' | 'frontKick' | 'stomp'
+ * @param {Object} target - Fighter to aim at
+ * @param {Object} options - { side: 'left'|'right', aimOffset: {x, y} }
+ * @returns {boolean} True if the attack started
+ */
+export function startAttack(fighter, type, target, options = {}) {
+    const motion = getAttackMotion(type);
+    if (!motion) {
+        console.warn(`[AttackMotions] Unknown attack "${type}"`);
+        return false;
+    }
+    if (!fighter?.ragdoll || !target?.ragdoll || fighter.attack || fighter.health <= 0
+        || isStunned(fighter) || isKnockedDown(fighter)) {
+        return false;
+    }
+
+    const side = usableSide(fighter, motion, options.side || resolveSide(fighter, target, motion));
+    if (!side) return false;
+
+    const dx = target.ragdoll.bodies.pelvis.position.x - fighter.ragdoll.bodies.pelvis.position.x;
+    fighter.attack = {
+        type,
+        motion,
+        target,
+        side,
+        facing: dx >= 0 ? 1 : -1,
+        aimOffset: { x: 0, y: 0, ...(options.aimOffset || {}) },
+        phase: ATTACK_CONFIG.phases.WINDUP,
+        step: 0,
+    };
+    return true;
+}
+
+/**
+ * Stop a fighter's attack immediately
+ * @param {Object} fighter
+ */
+export function cancelAttack(fighter) {
+    if (fighter) fighter.attack = null;
+}
+
+/**
+ * Check if a fighter has an attack playing (any phase)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isAttacking(fighter) {
+    return !!fighter?.attack;
+}
+
+/**
+ * Get the playing attack for the overlay/AI
+ * @param {Object} fighter
+ * @returns {Object|null} { type, side, phase, step }
+ */
+export function getAttackState(fighter) {
+    const attack = fighter?.attack;
+    return attack ? { type: attack.type, side: attack.side, phase: attack.phase, step: attack.step } : null;
+}
+
+/**
+ * Advance all attacks — register as a Simulator pre-step hook (after updateAI)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateAttackMotions(engine, tick, fixedDelta) {
+    fighters.forEach(fighter => {
+        if (fighter?.attack) stepAttack(fighter);
+    });
+}
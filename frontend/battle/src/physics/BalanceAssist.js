@@ -1,10 +1,26 @@
 /**
  * BalanceAssist.js — Ragdoll Balance Stabilization
  * 
- * Uses invisible "support spring" constraints to keep ragdolls upright
- * without causing jitter from setAngle corrections.
+ * Two modes (BALANCE_CONFIG.mode / setBalanceMode()):
+ *
+ *   spring — invisible "support spring" constraints from a world anchor above
+ *            the pelvis keep ragdolls upright without setAngle jitter
+ *   com    — center-of-mass controller: while the ragdoll's COM is over the
+ *            support base of its grounded feet, the legs shift it back toward
+ *            the middle of the base, hold the pelvis at standing height and
+ *            right the torso (reactions go into the standing legs). Pushed outside the
+ *            base, it stops correcting and the fighter falls.
+ *
+ * Knocked-down fighters (Knockdown.js) get no support until they're back up.
+ * Severed parts (Dismemberment.js) don't count toward the COM or the support base.
+ * Runs once per fixed physics tick (Simulator pre-step hook).
  */
 
+import { getKnockdownState, KNOCKDOWN_CONFIG } from './Knockdown.js';
+import { getAttachedBodies, isPartAttached } from './Dismemberment.js';
+import { getSupportDrop } from './Locomotion.js';
+import { normalizeAngle } from '../utils/MathUtils.js';
+
 const { Body, Constraint, Composite } = Matter;
 
 // =============================================================================
@@ -12,8 +28,11 @@ const { Body, Constraint, Composite } = Matter;
 // =============================================================================
 
 export const BALANCE_CONFIG = {
-    // Angular velocity damping (0.0-1.0, lower = more damping)
-    angularDampFactor: 0.85,
+    // Starting mode: 'spring' | 'com'
+    mode: 'spring',
+
+    // Angular velocity damping per tick (0.0-1.0, lower = more damping; spring mode)
+    angularDampFactor: 0.91,
 
     // Support constraint settings
     support: {
@@ -22,10 +41,41 @@ export const BALANCE_CONFIG = {
         stiffness: 0.08,               // Constraint stiffness (0.05-0.15 works well)
         damping: 0.1,                  // Constraint damping
         length: 80,                    // Rest length of constraint
+        crouchShare: 0.2,              // Share of crouch.drop (Locomotion.js) the anchor comes down by
+    },
+
+    // Center-of-mass controller (com mode). Forces are fractions of the ragdoll's weight.
+    com: {
+        groundTolerance: 8,     // Foot bottom within this of floorY = on the ground
+        footMargin: 6,          // Base extends this far past the grounded feet (px)
+        fallMargin: 12,         // COM this far outside the base = falling, stop correcting (px)
+        fallAngle: 0.8,         // Torso tilt (rad) past which it stops correcting
+        shift: {
+            kp: 0.02,           // Per px of COM offset from the middle of the base
+            kd: 0.3,            // Per px/tick of COM horizontal velocity
+            max: 0.4,
+        },
+        lift: {
+            standHeight: 70,    // Pelvis centre above floorY when standing (less crouch.drop, Locomotion.js)
+            share: 0.7,         // Baseline (the rest is carried by the feet on the floor)
+            kp: 0.03,           // Per px the pelvis is below standHeight
+            kd: 0.3,            // Per px/tick of pelvis vertical velocity
+            max: 1.2,
+        },
+        upright: {
+            kp: 0.05,           // Angular velocity correction per rad of torso/pelvis tilt
+            kd: 0.3,            // ...per rad/tick of angular velocity
+            maxTorque: 0.5,
+        },
     },
+};
+
+// Leg bodies (per side) that carry the controller's reaction forces
+const SUPPORT_LEG_PARTS = ['UpperLeg', 'LowerLeg', 'Foot'];
 
-    // Update interval (ms)
-    tickInterval: 30,
+export const BALANCE_MODES = {
+    SPRING: 'spring',
+    COM: 'com',
 };
 
 // =============================================================================
@@ -34,18 +84,19 @@ export const BALANCE_CONFIG = {
 
 export const balanceDebugState = {
     enabled: true,
+    mode: BALANCE_CONFIG.mode,
     supportActive: false,
-    torsoAngleA: 0,
-    torsoAngleB: 0,
-    pelvisYA: 0,
-    pelvisYB: 0,
+    // Fighter id -> { torsoAngle, pelvisY, knockdown, com }
+    //   knockdown: { state, phase, step, count, vulnerable }
+    //   com (com mode only): { offset, status: 'BALANCED' | 'FALLING' | 'AIRBORNE' }
+    fighters: {},
 };
 
 // =============================================================================
 // MODULE STATE
 // =============================================================================
 
-let tickTimer = null;
+let isActive = false;
 let fighters = [];
 let floorY = 580;
 let world = null;
@@ -61,28 +112,34 @@ function radToDeg(rad) {
     return rad * (180 / Math.PI);
 }
 
-function normalizeAngle(angle) {
-    while (angle > Math.PI) angle -= 2 * Math.PI;
-    while (angle < -Math.PI) angle += 2 * Math.PI;
-    return angle;
-}
-
 // =============================================================================
 // SUPPORT CONSTRAINT MANAGEMENT
 // =============================================================================
 
+/**
+ * Support anchor height: a fixed distance above the pelvis, lowered while crouching
+ * (the anchor rides on the pelvis, so a small share of the drop already sinks the stance)
+ * @param {Object} fighter
+ * @returns {number} World y
+ */
+function getAnchorY(fighter) {
+    const { targetHeightAbovePelvis, crouchShare } = BALANCE_CONFIG.support;
+    return fighter.ragdoll.bodies.pelvis.position.y - targetHeightAbovePelvis + getSupportDrop(fighter) * crouchShare;
+}
+
 /**
  * Create invisible support constraint for a fighter
  */
 function createSupportConstraint(fighter, index) {
     if (!fighter?.ragdoll?.bodies?.pelvis || !world) return null;
+    if (balanceDebugState.mode !== BALANCE_MODES.SPRING) return null;
 
     const pelvis = fighter.ragdoll.bodies.pelvis;
     const torso = fighter.ragdoll.bodies.torso;
 
     // Create an invisible anchor point (we'll update its position each tick)
     // The anchor is just a coordinate, not a body
-    const anchorY = pelvis.position.y - BALANCE_CONFIG.support.targetHeightAbovePelvis;
+    const anchorY = getAnchorY(fighter);
 
     // Create constraint from torso to the anchor point
     const constraint = Constraint.create({
@@ -124,14 +181,139 @@ function updateSupportConstraint(fighter, index) {
     const pelvis = fighter.ragdoll.bodies.pelvis;
     if (!pelvis) return;
 
-    // Update anchor position to follow fighter horizontally
-    const anchorY = pelvis.position.y - BALANCE_CONFIG.support.targetHeightAbovePelvis;
+    // Update anchor position to follow fighter horizontally (lower while crouching)
+    const anchorY = getAnchorY(fighter);
     data.constraint.pointB = {
         x: pelvis.position.x,
         y: anchorY,
     };
 }
 
+// =============================================================================
+// CENTER OF MASS BALANCE
+// =============================================================================
+
+/**
+ * Mass-weighted centre (and velocity) of a ragdoll
+ * @param {Array<Matter.Body>} bodies - Bodies still attached (Dismemberment.getAttachedBodies)
+ * @returns {Object} { x, y, vx, vy, mass }
+ */
+function getCenterOfMass(bodies) {
+    const com = { x: 0, y: 0, vx: 0, vy: 0, mass: 0 };
+    bodies.forEach(body => {
+        com.x += body.position.x * body.mass;
+        com.y += body.position.y * body.mass;
+        com.vx += body.velocity.x * body.mass;
+        com.vy += body.velocity.y * body.mass;
+        com.mass += body.mass;
+    });
+    com.x /= com.mass;
+    com.y /= com.mass;
+    com.vx /= com.mass;
+    com.vy /= com.mass;
+    return com;
+}
+
+/**
+ * Support base spanned by the (attached) feet on the ground
+ * @param {Object} fighter
+ * @returns {Object|null} { left, right, legs, legMass } — null when neither foot is down
+ */
+function getSupportBase(fighter) {
+    const bodies = fighter.ragdoll.bodies;
+    const { groundTolerance, footMargin } = BALANCE_CONFIG.com;
+    const sides = ['left', 'right'].filter(side => (
+        isPartAttached(fighter, `${side}Foot`) && bodies[`${side}Foot`].bounds.max.y >= floorY - groundTolerance
+    ));
+    if (sides.length === 0) return null;
+
+    const feet = sides.map(side => bodies[`${side}Foot`]);
+    const legs = sides.flatMap(side => SUPPORT_LEG_PARTS.map(part => bodies[`${side}${part}`]));
+    return {
+        left: Math.min(...feet.map(foot => foot.bounds.min.x)) - footMargin,
+        right: Math.max(...feet.map(foot => foot.bounds.max.x)) + footMargin,
+        legs,
+        legMass: legs.reduce((sum, body) => sum + body.mass, 0),
+    };
+}
+
+/**
+ * Apply a force to a body and the opposite force through the standing legs (by mass)
+ * @param {Matter.Body} body
+ * @param {Object} force - {x, y}
+ * @param {Object} base - getSupportBase() result
+ */
+function pushOffLegs(body, force, base) {
+    Body.applyForce(body, body.position, force);
+    base.legs.forEach(leg => {
+        const share = leg.mass / base.legMass;
+        Body.applyForce(leg, leg.position, { x: -force.x * share, y: -force.y * share });
+    });
+}
+
+/**
+ * Torque a body toward upright, with the reaction through the standing legs (by mass)
+ * @param {Matter.Body} body
+ * @param {Object} base - getSupportBase() result
+ * @param {number} fixedDelta - ms per tick
+ */
+function rightBody(body, base, fixedDelta) {
+    const { kp, kd, maxTorque } = BALANCE_CONFIG.com.upright;
+    const tilt = normalizeAngle(body.angle);
+    const raw = body.inertia * -(kp * tilt + kd * body.angularVelocity) / (fixedDelta * fixedDelta);
+    const torque = Math.max(-maxTorque, Math.min(maxTorque, raw));
+
+    body.torque += torque;
+    base.legs.forEach(leg => {
+        leg.torque -= torque * leg.mass / base.legMass;
+    });
+}
+
+/**
+ * Center-of-mass balance for one fighter (com mode)
+ * @param {Object} fighter
+ * @param {Matter.Engine} engine
+ * @param {number} fixedDelta - ms per tick
+ * @returns {Object} { offset, status } for the overlay
+ */
+function applyCenterOfMassBalance(fighter, engine, fixedDelta) {
+    const bodies = fighter.ragdoll.bodies;
+    const { torso, pelvis } = bodies;
+    const { shift, lift, fallMargin, fallAngle } = BALANCE_CONFIG.com;
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+    const com = getCenterOfMass(getAttachedBodies(fighter));
+    const base = getSupportBase(fighter);
+    if (!base) return { offset: 0, status: 'AIRBORNE' };
+
+    // Outside the base (or tipped too far, or KO'd) — let it fall
+    const offset = com.x - (base.left + base.right) / 2;
+    const outside = Math.max(base.left - com.x, com.x - base.right, 0);
+    if (fighter.health <= 0 || outside > fallMargin || Math.abs(normalizeAngle(torso.angle)) > fallAngle) {
+        return { offset, status: 'FALLING' };
+    }
+
+    const weight = com.mass * engine.gravity.y * engine.gravity.scale;
+
+    // Legs shift the hips back over the middle of the base
+    const fx = -clamp(shift.kp * offset + shift.kd * com.vx, -shift.max, shift.max) * weight;
+    pushOffLegs(pelvis, { x: fx * 0.5, y: 0 }, base);
+    pushOffLegs(torso, { x: fx * 0.5, y: 0 }, base);
+
+    // Legs hold the pelvis at standing (or crouching) height (the floor pushes back up through them,
+    // so there's no reaction to apply — pushing the feet down would sink them into the floor)
+    const below = pelvis.position.y - (floorY - lift.standHeight + getSupportDrop(fighter));
+    const fy = -clamp(lift.share + lift.kp * below + lift.kd * pelvis.velocity.y, 0, lift.max) * weight;
+    Body.applyForce(pelvis, pelvis.position, { x: 0, y: fy * 0.6 });
+    Body.applyForce(torso, torso.position, { x: 0, y: fy * 0.4 });
+
+    // Torso and hips upright
+    rightBody(torso, base, fixedDelta);
+    rightBody(pelvis, base, fixedDelta);
+
+    return { offset, status: 'BALANCED' };
+}
+
 // =============================================================================
 // BALANCE LOGIC
 // =============================================================================
@@ -139,7 +321,7 @@ function updateSupportConstraint(fighter, index) {
 /**
  * Apply balance assist to a single fighter
  */
-function applyBalanceAssist(fighter, index) {
+function applyBalanceAssist(fighter, index, engine, fixedDelta) {
     if (!fighter?.ragdoll?.bodies) return;
 
     const { torso, pelvis } = fighter.ragdoll.bodies;
@@ -149,13 +331,31 @@ function applyBalanceAssist(fighter, index) {
     const torsoAngle = normalizeAngle(torso.angle);
     const torsoAngleDeg = radToDeg(torsoAngle);
 
+    const knockdown = getKnockdownState(fighter);
+
     // Update debug state
-    if (index === 0) {
-        balanceDebugState.torsoAngleA = torsoAngleDeg;
-        balanceDebugState.pelvisYA = pelvis.position.y;
-    } else {
-        balanceDebugState.torsoAngleB = torsoAngleDeg;
-        balanceDebugState.pelvisYB = pelvis.position.y;
+    if (!balanceDebugState.fighters[fighter.id]) balanceDebugState.fighters[fighter.id] = { com: null };
+    const debug = balanceDebugState.fighters[fighter.id];
+    debug.torsoAngle = torsoAngleDeg;
+    debug.pelvisY = pelvis.position.y;
+    debug.knockdown = knockdown;
+
+    // Down or getting up — no support until Knockdown.js has it standing again
+    if (knockdown && knockdown.state !== KNOCKDOWN_CONFIG.states.STANDING) {
+        removeSupportConstraint(fighter.id);
+        return;
+    }
+
+    if (balanceDebugState.mode === BALANCE_MODES.COM) {
+        debug.com = applyCenterOfMassBalance(fighter, engine, fixedDelta);
+        return;
+    }
+
+    if (!supportData.has(fighter.id)) {
+        const data = createSupportConstraint(fighter, index);
+        if (data) {
+            supportData.set(fighter.id, data);
+        }
     }
 
     // 1) Angular velocity damping (steer toward 0, PD-ish)
@@ -172,18 +372,23 @@ function applyBalanceAssist(fighter, index) {
 }
 
 /**
- * Process balance assist for all fighters
+ * Process balance assist for all fighters — register as a Simulator pre-step hook
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
  */
-function processBalanceAssist() {
+export function updateBalanceAssist(engine, tick, fixedDelta) {
+    if (!isActive) return;
+
     if (!balanceDebugState.enabled) {
         balanceDebugState.supportActive = false;
         return;
     }
 
-    balanceDebugState.supportActive = BALANCE_CONFIG.support.enabled;
+    balanceDebugState.supportActive = BALANCE_CONFIG.support.enabled && balanceDebugState.mode === BALANCE_MODES.SPRING;
 
     fighters.forEach((fighter, index) => {
-        applyBalanceAssist(fighter, index);
+        applyBalanceAssist(fighter, index, engine, fixedDelta);
     });
 }
 
@@ -209,7 +414,7 @@ export function initBalanceAssist(fighterList, arenaFloorY, matterWorld) {
         });
     }
 
-    console.log('[BalanceAssist] Initialized with support constraints');
+    console.log(`[BalanceAssist] Initialized (${balanceDebugState.mode} mode)`);
 }
 
 /**
@@ -242,22 +447,21 @@ export function setWorld(matterWorld) {
 }
 
 /**
- * Start the balance assist tick loop
+ * Start running balance assist on simulation ticks
  */
 export function startBalanceAssist() {
-    if (tickTimer) return;
+    if (isActive) return;
 
-    tickTimer = setInterval(processBalanceAssist, BALANCE_CONFIG.tickInterval);
+    isActive = true;
     console.log('[BalanceAssist] Started');
 }
 
 /**
- * Stop the balance assist tick loop
+ * Stop running balance assist on simulation ticks
  */
 export function stopBalanceAssist() {
-    if (tickTimer) {
-        clearInterval(tickTimer);
-        tickTimer = null;
+    if (isActive) {
+        isActive = false;
         console.log('[BalanceAssist] Stopped');
     }
 }
@@ -288,6 +492,16 @@ export function toggleBalanceAssist() {
     return balanceDebugState.enabled;
 }
 
+/**
+ * Set balance assist enabled state (no-op if already in that state)
+ * @param {boolean} enabled
+ */
+export function setBalanceEnabled(enabled) {
+    if (balanceDebugState.enabled !== enabled) {
+        toggleBalanceAssist();
+    }
+}
+
 /**
  * Check if balance assist is enabled
  */
@@ -295,6 +509,55 @@ export function isBalanceEnabled() {
     return balanceDebugState.enabled;
 }
 
+/**
+ * Switch balance mode (support constraints are added/removed to match)
+ * @param {string} mode - 'spring' | 'com'
+ * @returns {string} The active mode
+ */
+export function setBalanceMode(mode) {
+    if (!Object.values(BALANCE_MODES).includes(mode)) {
+        console.warn(`[BalanceAssist] Unknown balance mode "${mode}"`);
+        return balanceDebugState.mode;
+    }
+    if (balanceDebugState.mode === mode) return mode;
+
+    balanceDebugState.mode = mode;
+    Object.values(balanceDebugState.fighters).forEach(debug => {
+        debug.com = null;
+    });
+
+    // Spring mode owns the support constraints
+    fighters.forEach((fighter, index) => {
+        if (mode !== BALANCE_MODES.SPRING) {
+            if (fighter?.id) removeSupportConstraint(fighter.id);
+        } else if (world && balanceDebugState.enabled && !supportData.has(fighter.id)) {
+            const data = createSupportConstraint(fighter, index);
+            if (data) {
+                supportData.set(fighter.id, data);
+            }
+        }
+    });
+
+    console.log(`[BalanceAssist] Mode: ${mode}`);
+    return mode;
+}
+
+/**
+ * Get the active balance mode
+ * @returns {string} 'spring' | 'com'
+ */
+export function getBalanceMode() {
+    return balanceDebugState.mode;
+}
+
+/**
+ * Switch to the other balance mode
+ * @returns {string} The active mode
+ */
+export function toggleBalanceMode() {
+    return setBalanceMode(balanceDebugState.mode === BALANCE_MODES.SPRING ? BALANCE_MODES.COM : BALANCE_MODES.SPRING);
+}
+
 /**
  * Reset balance assist (stop and clear)
  */
@@ -309,9 +572,6 @@ export function resetBalanceAssist() {
 
     fighters = [];
     world = null;
-    balanceDebugState.torsoAngleA = 0;
-    balanceDebugState.torsoAngleB = 0;
-    balanceDebugState.pelvisYA = 0;
-    balanceDebugState.pelvisYB = 0;
+    balanceDebugState.fighters = {};
     balanceDebugState.supportActive = false;
 }
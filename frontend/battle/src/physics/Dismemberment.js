@@ -0,0 +1,426 @@
+/**
+ * Dismemberment.js — Breakable Joints and Severed Limbs
+ *
+ * Optional "break" mode (off by default). After every physics step each limb
+ * joint's strain is measured as the force its constraint needs to bring the two
+ * anchors back together — closing the gap left after the solve, and stopping
+ * them flying apart (collision impulses land after Matter solves constraints):
+ *
+ *   force = reducedMass × (stiffness × stretch + separationSpeed) / fixedDelta²
+ *
+ * A joint snaps when that passes its type's `breakForce`, or when its limb's
+ * damage pool runs out (DamageSystem reports every hit on an arm or leg; the
+ * joint the struck part hangs from gives). Snapping removes the constraint:
+ * everything below it becomes loose bodies that still collide with the world and
+ * the opponent but deal and take no damage. Necks and spines never break.
+ *
+ * Muscles, AttackMotions, BalanceAssist, Knockdown and the AI skip severed parts;
+ * the Renderer draws stumps.
+ * Runs once per fixed physics tick (Simulator post-step hook, after the ImpactTracker).
+ */
+
+const { Composite, Vector } = Matter;
+
+// =============================================================================
+// DISMEMBERMENT CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const DISMEMBER_CONFIG = {
+    // Starting state — off by default (G in the sandbox, --gore headless)
+    enabled: false,
+
+    // Force (Matter units, like Body.applyForce) past which a joint snaps, per joint type.
+    // About 1.5× the strongest pull seen in a normal fight, so only extreme impulses snap one
+    breakForce: {
+        shoulder: 0.025,
+        elbow: 0.011,
+        wrist: 0.006,       // Weapon hands swing a lot of mass
+        hip: 0.025,
+        knee: 0.022,
+        ankle: 0.011,
+    },
+
+    // Damage a limb soaks up (after zones, stats and armor) before it comes off
+    pool: {
+        arm: 8,
+        leg: 14,
+    },
+};
+
+// Breakable joints (Ragdoll constraint labels): joint type, limb, and the body hanging from it
+const JOINTS = {
+    leftShoulder: { type: 'shoulder', limb: 'leftArm', child: 'leftUpperArm' },
+    leftElbow: { type: 'elbow', limb: 'leftArm', child: 'leftLowerArm' },
+    leftWrist: { type: 'wrist', limb: 'leftArm', child: 'leftHand' },
+    rightShoulder: { type: 'shoulder', limb: 'rightArm', child: 'rightUpperArm' },
+    rightElbow: { type: 'elbow', limb: 'rightArm', child: 'rightLowerArm' },
+    rightWrist: { type: 'wrist', limb: 'rightArm', child: 'rightHand' },
+    leftHip: { type: 'hip', limb: 'leftLeg', child: 'leftUpperLeg' },
+    leftKnee: { type: 'knee', limb: 'leftLeg', child: 'leftLowerLeg' },
+    leftAnkle: { type: 'ankle', limb: 'leftLeg', child: 'leftFoot' },
+    rightHip: { type: 'hip', limb: 'rightLeg', child: 'rightUpperLeg' },
+    rightKnee: { type: 'knee', limb: 'rightLeg', child: 'rightLowerLeg' },
+    rightAnkle: { type: 'ankle', limb: 'rightLeg', child: 'rightFoot' },
+};
+
+// Limbs, root to end (a limb is usable while its end is attached)
+export const LIMBS = {
+    leftArm: ['leftUpperArm', 'leftLowerArm', 'leftHand'],
+    rightArm: ['rightUpperArm', 'rightLowerArm', 'rightHand'],
+    leftLeg: ['leftUpperLeg', 'leftLowerLeg', 'leftFoot'],
+    rightLeg: ['rightUpperLeg', 'rightLowerLeg', 'rightFoot'],
+};
+
+// Body label -> joint it hangs from
+const PARENT_JOINT = Object.fromEntries(
+    Object.entries(JOINTS).map(([joint, { child }]) => [child, joint])
+);
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Break mode on/off (kept across resets, like the balance mode)
+let enabled = DISMEMBER_CONFIG.enabled;
+
+// Per-fighter state (fighter id -> { severed, stumps, detached, pools, strain, pending })
+const dismemberData = new Map();
+
+// Ids of every loose body (severed parts, and a weapon whose hand is gone)
+const detachedBodies = new Set();
+
+// Dismemberment listeners ({ tick, fighter, joint, limb, cause } events)
+const dismemberListeners = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Get (or create) a fighter's dismemberment state
+ * @param {Object} fighter
+ * @returns {Object}
+ */
+function getData(fighter) {
+    let data = dismemberData.get(fighter.id);
+    if (!data) {
+        data = {
+            severed: new Set(),
+            stumps: new Map(),      // joint -> { body, local } (anchor on the parent, body-local)
+            detached: new Set(),    // body labels
+            pools: Object.fromEntries(
+                Object.keys(LIMBS).map(limb => [limb, DISMEMBER_CONFIG.pool[limb.endsWith('Arm') ? 'arm' : 'leg']])
+            ),
+            strain: {},
+            pending: [],
+        };
+        dismemberData.set(fighter.id, data);
+    }
+    return data;
+}
+
+/**
+ * Find a ragdoll constraint by joint name
+ * @param {Object} ragdoll
+ * @param {string} joint
+ * @returns {Matter.Constraint|undefined}
+ */
+function getConstraint(ragdoll, joint) {
+    return ragdoll.constraints.find(constraint => constraint.label === joint);
+}
+
+/**
+ * Velocity of a point fixed to a body (px/tick)
+ * @param {Matter.Body} body
+ * @param {Object} offset - {x, y} from the body's centre
+ * @returns {Object} {x, y}
+ */
+function getPointVelocity(body, offset) {
+    return {
+        x: body.velocity.x - body.angularVelocity * offset.y,
+        y: body.velocity.y + body.angularVelocity * offset.x,
+    };
+}
+
+/**
+ * Force a joint's constraint has to take (see header; Grapple.js measures grips the same way)
+ * @param {Matter.Constraint} constraint
+ * @param {number} fixedDelta - ms per tick
+ * @returns {number}
+ */
+export function getJointForce(constraint, fixedDelta) {
+    const { bodyA, bodyB, pointA, pointB } = constraint;
+    const anchorA = Vector.add(bodyA.position, pointA);
+    const anchorB = Vector.add(bodyB.position, pointB);
+    const stretch = Math.max(0, Vector.magnitude(Vector.sub(anchorA, anchorB)) - constraint.length);
+    const separation = Vector.magnitude(Vector.sub(getPointVelocity(bodyA, pointA), getPointVelocity(bodyB, pointB)));
+    const reducedMass = bodyA.mass * bodyB.mass / (bodyA.mass + bodyB.mass);
+    return reducedMass * (constraint.stiffness * stretch + separation) / (fixedDelta * fixedDelta);
+}
+
+/**
+ * Recompute which of a fighter's bodies hang from a severed joint
+ * @param {Object} fighter
+ * @param {Object} data
+ */
+function updateDetached(fighter, data) {
+    const bodies = fighter.ragdoll.bodies;
+    data.detached.forEach(label => detachedBodies.delete(bodies[label].id));
+    data.detached.clear();
+
+    Object.values(LIMBS).forEach(parts => {
+        const cut = parts.findIndex(label => data.severed.has(PARENT_JOINT[label]));
+        if (cut !== -1) parts.slice(cut).forEach(label => data.detached.add(label));
+    });
+    data.detached.forEach(label => detachedBodies.add(bodies[label].id));
+
+    // The weapon goes with the weapon hand; the off hand lets go if either hand is gone
+    const weapon = fighter.weapon;
+    if (!weapon) return;
+    if (data.detached.has('rightHand')) detachedBodies.add(weapon.body.id);
+    if (data.detached.has('rightHand') || data.detached.has('leftHand')) {
+        const grip = weapon.constraints.find(constraint => constraint.bodyA === bodies.leftHand);
+        if (grip) Composite.remove(fighter.ragdoll.composite, grip);
+    }
+}
+
+/**
+ * Snap a joint: remove its constraint and let everything below it go
+ * @param {Object} fighter
+ * @param {Object} data
+ * @param {string} joint - Joint name (e.g. 'leftElbow')
+ * @param {string} cause - 'strain' | 'damage'
+ * @param {number} tick
+ */
+function severJoint(fighter, data, joint, cause, tick) {
+    if (data.severed.has(joint)) return;
+    const constraint = getConstraint(fighter.ragdoll, joint);
+    if (!constraint) return;
+
+    // Keep the stump anchor in the parent's local frame (the removed constraint stops tracking it)
+    data.stumps.set(joint, {
+        body: constraint.bodyA,
+        local: Vector.rotate(constraint.pointA, -constraint.bodyA.angle),
+    });
+    Composite.remove(fighter.ragdoll.composite, constraint);
+    data.severed.add(joint);
+    updateDetached(fighter, data);
+
+    const { limb } = JOINTS[joint];
+    dismemberListeners.forEach(listener => listener({ tick, fighter: fighter.id, joint, limb, cause }));
+    console.log(`[Dismemberment] "${fighter.name}" lost ${limb} at the ${JOINTS[joint].type} (${cause}) at tick ${tick}`);
+}
+
+/**
+ * Check one fighter's joints for the tick
+ * @param {Object} fighter
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+function stepDismemberment(fighter, tick, fixedDelta) {
+    const data = getData(fighter);
+
+    // Limbs whose damage pool ran out since the last tick
+    data.pending.forEach(joint => severJoint(fighter, data, joint, 'damage', tick));
+    data.pending = [];
+
+    // Strain on every joint still holding an attached part
+    Object.entries(JOINTS).forEach(([joint, { type, child }]) => {
+        if (data.detached.has(child)) {
+            delete data.strain[joint];
+            return;
+        }
+        const constraint = getConstraint(fighter.ragdoll, joint);
+        if (!constraint) return;
+
+        const force = getJointForce(constraint, fixedDelta);
+        data.strain[joint] = force;
+        if (force > DISMEMBER_CONFIG.breakForce[type]) severJoint(fighter, data, joint, 'strain', tick);
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize dismemberment tracking
+ * @param {Array} fighterList
+ */
+export function initDismemberment(fighterList) {
+    setFighters(fighterList);
+    console.log(`[Dismemberment] Initialized (${enabled ? 'ON' : 'OFF'})`);
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyDismemberment() {
+    fighters = [];
+    dismemberData.clear();
+    detachedBodies.clear();
+}
+
+/**
+ * Update the fighter list (after respawn — fresh ragdolls have every limb)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    dismemberData.clear();
+    detachedBodies.clear();
+}
+
+/**
+ * Turn break mode on or off (limbs already lost stay lost)
+ * @param {boolean} value
+ */
+export function setDismembermentEnabled(value) {
+    enabled = !!value;
+    console.log(`[Dismemberment] ${enabled ? 'ON' : 'OFF'}`);
+}
+
+/**
+ * Toggle break mode
+ * @returns {boolean} New state
+ */
+export function toggleDismemberment() {
+    setDismembermentEnabled(!enabled);
+    return enabled;
+}
+
+/**
+ * Check if break mode is on
+ * @returns {boolean}
+ */
+export function isDismembermentEnabled() {
+    return enabled;
+}
+
+/**
+ * Take damage off a limb's pool (DamageSystem calls this for every hit);
+ * the joint above the struck part gives on the tick after the pool runs out
+ * @param {Object} fighter
+ * @param {string} bodyLabel - Struck body
+ * @param {number} damage - HP actually lost
+ */
+export function damageLimb(fighter, bodyLabel, damage) {
+    if (!enabled || !fighter?.ragdoll) return;
+    const joint = PARENT_JOINT[bodyLabel];
+    if (!joint) return;
+
+    const data = getData(fighter);
+    if (data.detached.has(bodyLabel)) return;
+
+    const { limb } = JOINTS[joint];
+    data.pools[limb] -= damage;
+    if (data.pools[limb] <= 0 && !data.pending.includes(joint)) data.pending.push(joint);
+}
+
+/**
+ * Check if a body is loose (severed part or dropped weapon)
+ * @param {Matter.Body} body
+ * @returns {boolean}
+ */
+export function isDetached(body) {
+    return detachedBodies.has(body.id);
+}
+
+/**
+ * Check if one of a fighter's parts is still attached
+ * @param {Object} fighter
+ * @param {string} label - Ragdoll body label (e.g. 'leftHand')
+ * @returns {boolean}
+ */
+export function isPartAttached(fighter, label) {
+    const data = fighter ? dismemberData.get(fighter.id) : null;
+    return !data || !data.detached.has(label);
+}
+
+/**
+ * Check if a fighter can still use a limb (its hand/foot is attached)
+ * @param {Object} fighter
+ * @param {string} limb - 'leftArm' | 'rightArm' | 'leftLeg' | 'rightLeg'
+ * @returns {boolean}
+ */
+export function hasLimb(fighter, limb) {
+    const parts = LIMBS[limb];
+    return !!parts && isPartAttached(fighter, parts[parts.length - 1]);
+}
+
+/**
+ * Get the bodies still attached to a fighter (all of them while intact)
+ * @param {Object} fighter
+ * @returns {Array<Matter.Body>}
+ */
+export function getAttachedBodies(fighter) {
+    const bodies = Object.values(fighter.ragdoll.bodies);
+    const data = dismemberData.get(fighter.id);
+    return data && data.detached.size > 0 ? bodies.filter(body => !data.detached.has(body.label)) : bodies;
+}
+
+/**
+ * Get a fighter's severed joints with their stump positions (for the Renderer)
+ * @param {Object} fighter
+ * @returns {Array} [{ joint, child, stump: {x, y} }]
+ */
+export function getSeveredJoints(fighter) {
+    const data = fighter ? dismemberData.get(fighter.id) : null;
+    if (!data) return [];
+    return [...data.severed].map(joint => {
+        const { body, local } = data.stumps.get(joint);
+        return {
+            joint,
+            child: JOINTS[joint].child,
+            stump: Vector.add(body.position, Vector.rotate(local, body.angle)),
+        };
+    });
+}
+
+/**
+ * Get a fighter's dismemberment state for the overlay/headless stats
+ * @param {Object} fighter
+ * @returns {Object|null} { severed, limbs: { leftArm: bool, ... }, pools, strain }
+ */
+export function getDismembermentState(fighter) {
+    if (!fighter?.ragdoll) return null;
+    const data = getData(fighter);
+    return {
+        severed: [...data.severed],
+        limbs: Object.fromEntries(Object.keys(LIMBS).map(limb => [limb, hasLimb(fighter, limb)])),
+        pools: { ...data.pools },
+        strain: { ...data.strain },
+    };
+}
+
+/**
+ * Subscribe to severed joints
+ * @param {Function} listener - ({ tick, fighter, joint, limb, cause }) => void
+ */
+export function onDismember(listener) {
+    if (!dismemberListeners.includes(listener)) dismemberListeners.push(listener);
+}
+
+/**
+ * Unsubscribe from severed joints
+ * @param {Function} listener
+ */
+export function offDismember(listener) {
+    const index = dismemberListeners.indexOf(listener);
+    if (index !== -1) dismemberListeners.splice(index, 1);
+}
+
+/**
+ * Check joints — register as a Simulator post-step hook (after updateImpactTracker)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateDismemberment(engine, tick, fixedDelta) {
+    if (!enabled) return;
+    fighters.forEach(fighter => {
+        if (fighter?.ragdoll) stepDismemberment(fighter, tick, fixedDelta);
+    });
+}
@@ -0,0 +1,435 @@
+/**
+ * Grapple.js — Grabs, Drags and Throws
+ *
+ * grab() ties one of a fighter's hands to the nearest grabbable body of the
+ * opponent (torso, pelvis, upper arms) within `reach` with a temporary Matter
+ * Constraint, anchored where the hand touches it. While the grip holds:
+ *
+ *   drag     — the grabber just walks; the constraint pulls the opponent along
+ *   throw    — throwHeld() lets go and flings the opponent (× strength),
+ *              optionally knocking them down (Knockdown.js)
+ *   struggle — the held fighter's struggle() presses fill a meter (× strength
+ *              against the grabber's); full, they break free. Each press also
+ *              jerks the torso away, straining the grip
+ *
+ * The grip also lets go after `lifetime`, when the force it takes passes
+ * `breakForce` (measured like Dismemberment.js joint strain), or when the
+ * grabber is KO'd, stunned or knocked down, or either end is severed.
+ * A fighter can't grab again for `cooldown` after a hold ends.
+ * Runs once per fixed physics tick (Simulator pre-step hook, after the AI and players).
+ */
+
+import { getStrengthMultiplier } from '../entities/Stats.js';
+import { isStunned } from '../engine/StatusEffects.js';
+import { isKnockedDown, knockDown } from './Knockdown.js';
+import { getAttachedBodies, isPartAttached, getJointForce } from './Dismemberment.js';
+
+const { Body, Composite, Constraint, Vector } = Matter;
+
+// =============================================================================
+// GRAPPLE CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const GRAPPLE_CONFIG = {
+    // Hands that grab (an armed fighter only grabs with the off hand) and what they can take hold of
+    hands: ['leftHand', 'rightHand'],
+    parts: ['torso', 'pelvis', 'leftUpperArm', 'rightUpperArm'],
+
+    // px from the hand to the edge of a grabbable body
+    reach: 20,
+
+    // Grip constraint
+    grip: {
+        stiffness: 0.4,
+        damping: 0.05,
+        lifetime: 2500,         // ms before the grabber has to let go
+        breakForce: 0.004,      // Force (Matter units) that tears the grip loose (about 2× a normal drag)
+    },
+
+    // ms after a hold ends before the same fighter can grab again
+    cooldown: 1000,
+
+    // Throw (release with an impulse on every attached body of the held fighter, × strength)
+    throw: {
+        speed: 7,               // px/tick along the throw direction
+        lift: 4,                // px/tick upward
+        knockdown: true,        // Knock the thrown fighter down
+    },
+
+    // Breaking free
+    struggle: {
+        perPress: 0.2,          // Meter added per struggle() (× held / grabber strength)
+        decay: 0.4,             // Meter lost per second
+        jerk: 2,                // px/tick the held torso jerks away per press
+    },
+
+    // Grapple events
+    events: {
+        GRAB: 'GRAB',
+        THROW: 'THROW',
+        ESCAPE: 'ESCAPE',       // Struggled free
+        BREAK: 'BREAK',         // Grip tore loose
+        RELEASE: 'RELEASE',     // Let go (lifetime, can't hold on, part severed)
+    },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+let world = null;
+
+// Tick being simulated
+let currentTick = 0;
+let currentDelta = 1000 / 60;
+
+// Holds (grabber id -> { grabber, target, hand, part, constraint, startTick, struggle })
+const holds = new Map();
+
+// Last tick each fighter's hold ended (fighter id -> tick)
+const releaseTicks = new Map();
+
+// Grapple listeners ({ tick, type, fighter, target, part } events)
+const grappleListeners = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Convert a duration to whole ticks
+ * @param {number} ms
+ * @returns {number}
+ */
+function toTicks(ms) {
+    return Math.round(ms / currentDelta);
+}
+
+/**
+ * Find the hold a fighter is caught in
+ * @param {Object} fighter
+ * @returns {Object|null}
+ */
+function findHoldOn(fighter) {
+    for (const hold of holds.values()) {
+        if (hold.target.id === fighter.id) return hold;
+    }
+    return null;
+}
+
+/**
+ * Check if a fighter is able to grab or keep holding
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+function canHold(fighter) {
+    return fighter.health > 0 && !isStunned(fighter) && !isKnockedDown(fighter);
+}
+
+/**
+ * Closest point of a body's bounding box to a point
+ * @param {Matter.Body} body
+ * @param {Object} point - {x, y}
+ * @returns {Object} {x, y}
+ */
+function closestPoint(body, point) {
+    const { min, max } = body.bounds;
+    return {
+        x: Math.max(min.x, Math.min(max.x, point.x)),
+        y: Math.max(min.y, Math.min(max.y, point.y)),
+    };
+}
+
+/**
+ * Nearest grabbable (hand, part) pair within reach
+ * @param {Object} fighter
+ * @param {Object} target
+ * @returns {Object|null} { hand, part, anchor, distance }
+ */
+function findGrip(fighter, target) {
+    const hands = GRAPPLE_CONFIG.hands
+        .filter(label => !(fighter.weapon && label === 'rightHand') && isPartAttached(fighter, label));
+    const parts = GRAPPLE_CONFIG.parts.filter(label => isPartAttached(target, label));
+
+    let best = null;
+    hands.forEach(handLabel => {
+        const hand = fighter.ragdoll.bodies[handLabel];
+        parts.forEach(partLabel => {
+            const part = target.ragdoll.bodies[partLabel];
+            const anchor = closestPoint(part, hand.position);
+            const distance = Vector.magnitude(Vector.sub(anchor, hand.position));
+            if (distance <= GRAPPLE_CONFIG.reach && (!best || distance < best.distance)) {
+                best = { hand: handLabel, part: partLabel, anchor, distance };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * End a hold: remove the grip constraint and notify
+ * @param {Object} hold
+ * @param {string} type - GRAPPLE_CONFIG.events entry
+ */
+function endHold(hold, type) {
+    if (world) Composite.remove(world, hold.constraint);
+    holds.delete(hold.grabber.id);
+    releaseTicks.set(hold.grabber.id, currentTick);
+    emit(type, hold);
+}
+
+/**
+ * Notify listeners and log
+ * @param {string} type - GRAPPLE_CONFIG.events entry
+ * @param {Object} hold
+ */
+function emit(type, hold) {
+    const { grabber, target, part } = hold;
+    console.log(`[Grapple] ${type}: "${grabber.name}" → "${target.name}" (${part}) at tick ${currentTick}`);
+    grappleListeners.forEach(listener => listener({
+        tick: currentTick,
+        type,
+        fighter: grabber.id,
+        target: target.id,
+        part,
+    }));
+}
+
+/**
+ * Why a hold has to end this tick, if it does
+ * @param {Object} hold
+ * @returns {string|null} GRAPPLE_CONFIG.events entry
+ */
+function checkHold(hold) {
+    const { grip, struggle, events } = GRAPPLE_CONFIG;
+    const { grabber, target } = hold;
+
+    if (!canHold(grabber) || !isPartAttached(grabber, hold.hand) || !isPartAttached(target, hold.part)) {
+        return events.RELEASE;
+    }
+    if (currentTick - hold.startTick >= toTicks(grip.lifetime)) return events.RELEASE;
+    if (getJointForce(hold.constraint, currentDelta) > grip.breakForce) return events.BREAK;
+
+    hold.struggle = Math.max(0, hold.struggle - struggle.decay * currentDelta / 1000);
+    return hold.struggle >= 1 ? events.ESCAPE : null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize grappling (grip constraints go into the engine's world)
+ * @param {Matter.Engine} matterEngine
+ * @param {Array} fighterList
+ */
+export function initGrapple(matterEngine, fighterList) {
+    world = matterEngine?.world ?? null;
+    setFighters(fighterList);
+    currentTick = 0;
+    console.log('[Grapple] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyGrapple() {
+    setFighters([]);
+    world = null;
+}
+
+/**
+ * Update the fighter list (after respawn; every hold is dropped)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    if (world) holds.forEach(hold => Composite.remove(world, hold.constraint));
+    holds.clear();
+    releaseTicks.clear();
+    fighters = fighterList || [];
+}
+
+/**
+ * Check if a fighter could grab the target right now (off cooldown, hand in reach)
+ * @param {Object} fighter
+ * @param {Object} target
+ * @returns {boolean}
+ */
+export function canGrab(fighter, target) {
+    if (!fighter?.ragdoll || !target?.ragdoll || !world) return false;
+    if (!canHold(fighter) || target.health <= 0) return false;
+    if (holds.has(fighter.id) || findHoldOn(fighter) || findHoldOn(target)) return false;
+    if (currentTick - (releaseTicks.get(fighter.id) ?? -Infinity) < toTicks(GRAPPLE_CONFIG.cooldown)) return false;
+    return !!findGrip(fighter, target);
+}
+
+/**
+ * Grab the target with the nearest hand in reach
+ * @param {Object} fighter
+ * @param {Object} target
+ * @returns {boolean} True if it took hold
+ */
+export function grab(fighter, target) {
+    if (!canGrab(fighter, target)) return false;
+    const { hand, part, anchor } = findGrip(fighter, target);
+    const { stiffness, damping } = GRAPPLE_CONFIG.grip;
+    const handBody = fighter.ragdoll.bodies[hand];
+    const partBody = target.ragdoll.bodies[part];
+
+    const constraint = Constraint.create({
+        label: 'grapple',
+        bodyA: handBody,
+        bodyB: partBody,
+        pointA: { x: 0, y: 0 },
+        pointB: Vector.sub(anchor, partBody.position),
+        length: 0,
+        stiffness,
+        damping,
+        render: { visible: false },
+    });
+    Composite.add(world, constraint);
+
+    const hold = { grabber: fighter, target, hand, part, constraint, startTick: currentTick, struggle: 0 };
+    holds.set(fighter.id, hold);
+    emit(GRAPPLE_CONFIG.events.GRAB, hold);
+    return true;
+}
+
+/**
+ * Let go and fling the held fighter
+ * @param {Object} fighter - Grabber
+ * @param {number} direction - -1 left, +1 right
+ * @returns {boolean} True if it threw
+ */
+export function throwHeld(fighter, direction) {
+    const hold = fighter ? holds.get(fighter.id) : null;
+    if (!hold) return false;
+    const { speed, lift, knockdown } = GRAPPLE_CONFIG.throw;
+    const scale = getStrengthMultiplier(fighter.stats);
+
+    getAttachedBodies(hold.target).forEach(body => {
+        Body.setVelocity(body, {
+            x: body.velocity.x + Math.sign(direction) * speed * scale,
+            y: body.velocity.y - lift * scale,
+        });
+    });
+    endHold(hold, GRAPPLE_CONFIG.events.THROW);
+    if (knockdown) knockDown(hold.target);
+    return true;
+}
+
+/**
+ * Let go without a throw
+ * @param {Object} fighter - Grabber
+ * @returns {boolean} True if it was holding
+ */
+export function release(fighter) {
+    const hold = fighter ? holds.get(fighter.id) : null;
+    if (!hold) return false;
+    endHold(hold, GRAPPLE_CONFIG.events.RELEASE);
+    return true;
+}
+
+/**
+ * Struggle against a hold (one press; call on button presses / AI decisions)
+ * @param {Object} fighter - Held fighter
+ * @returns {boolean} True if it broke free
+ */
+export function struggle(fighter) {
+    const hold = fighter ? findHoldOn(fighter) : null;
+    if (!hold || fighter.health <= 0 || isStunned(fighter)) return false;
+    const { perPress, jerk } = GRAPPLE_CONFIG.struggle;
+
+    hold.struggle += perPress * getStrengthMultiplier(fighter.stats) / getStrengthMultiplier(hold.grabber.stats);
+
+    // Yank the torso away from the grabber
+    const { torso } = fighter.ragdoll.bodies;
+    const away = Math.sign(torso.position.x - hold.grabber.ragdoll.bodies.torso.position.x) || 1;
+    Body.setVelocity(torso, { x: torso.velocity.x + away * jerk, y: torso.velocity.y });
+
+    if (hold.struggle < 1) return false;
+    endHold(hold, GRAPPLE_CONFIG.events.ESCAPE);
+    return true;
+}
+
+/**
+ * Check if a fighter is holding someone
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isHolding(fighter) {
+    return !!fighter && holds.has(fighter.id);
+}
+
+/**
+ * Check if a fighter is caught in a hold
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isHeld(fighter) {
+    return !!fighter && !!findHoldOn(fighter);
+}
+
+/**
+ * Subscribe to grapple events
+ * @param {Function} listener - ({ tick, type, fighter, target, part }) => void
+ */
+export function onGrapple(listener) {
+    if (!grappleListeners.includes(listener)) grappleListeners.push(listener);
+}
+
+/**
+ * Unsubscribe from grapple events
+ * @param {Function} listener
+ */
+export function offGrapple(listener) {
+    const index = grappleListeners.indexOf(listener);
+    if (index !== -1) grappleListeners.splice(index, 1);
+}
+
+/**
+ * Get a fighter's grapple state for the AI / overlay
+ * @param {Object} fighter
+ * @returns {Object|null} { holding, heldBy, hand, part, time, struggle }
+ */
+export function getGrappleState(fighter) {
+    if (!fighter?.ragdoll) return null;
+    const own = holds.get(fighter.id);
+    const hold = own || findHoldOn(fighter);
+    return {
+        holding: own ? own.target.id : null,
+        heldBy: !own && hold ? hold.grabber.id : null,
+        hand: hold?.hand ?? null,
+        part: hold?.part ?? null,
+        time: hold ? (currentTick - hold.startTick) * currentDelta : 0,
+        struggle: hold?.struggle ?? 0,
+    };
+}
+
+/**
+ * Grip lines for the renderer
+ * @returns {Array} [{ from: {x, y}, to: {x, y} }] hand to anchor
+ */
+export function getGrips() {
+    return Array.from(holds.values()).map(({ constraint }) => ({
+        from: { ...constraint.bodyA.position },
+        to: Vector.add(constraint.bodyB.position, constraint.pointB),
+    }));
+}
+
+/**
+ * End holds that broke, ran out or can't go on — register as a Simulator pre-step hook (after the AI and players)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateGrapple(engine, tick, fixedDelta) {
+    currentTick = tick;
+    currentDelta = fixedDelta;
+
+    Array.from(holds.values()).forEach(hold => {
+        const ended = checkHold(hold);
+        if (ended) endHold(hold, ended);
+    });
+}
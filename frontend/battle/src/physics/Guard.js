@@ -0,0 +1,285 @@
+/**
+ * Guard.js — Blocking and Parrying
+ *
+ * A controller (Behaviors.js → block, PlayerController.js) holds the guard up
+ * by calling raiseGuard() every tick it wants it; while up, the hands are pulled
+ * to a point in front of the head so the forearms cover the head and torso.
+ * Hits landing on a raised forearm (DamageSystem):
+ *
+ *   PARRY — inside `parry.window` after the guard went up: no damage, the
+ *           knockback is reflected onto the attacker's striking body and the
+ *           attacker is stunned briefly (StatusEffects.js)
+ *   BLOCK — afterwards: damage and knockback scaled down by `block`
+ *
+ * A new parry window opens only `parry.cooldown` after the last one, so
+ * tapping the guard doesn't parry everything. No guard while knocked down,
+ * stunned or KO'd, and a severed forearm (Dismemberment.js) blocks nothing.
+ * Runs once per fixed physics tick (Simulator pre-step hook, after the AI and players).
+ */
+
+import { applyStatus, isStunned } from '../engine/StatusEffects.js';
+import { isKnockedDown } from './Knockdown.js';
+import { isPartAttached } from './Dismemberment.js';
+
+const { Body } = Matter;
+
+// =============================================================================
+// GUARD CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const GUARD_CONFIG = {
+    // Bodies that take hits on the guard
+    parts: ['leftLowerArm', 'rightLowerArm'],
+
+    // Hands pulled to the guard point each tick the guard is up
+    hands: {
+        stiffness: 0.00004,     // Force per px of hand-to-guard distance
+        offset: 20,             // Guard point: this far in front of the head
+    },
+
+    // Hits on the guard after the parry window
+    block: {
+        damage: 0.3,            // Damage multiplier
+        knockback: 0.4,         // Knockback multiplier
+    },
+
+    // Hits on the guard right after raising it
+    parry: {
+        window: 200,            // ms after the guard goes up
+        cooldown: 800,          // ms between parry windows
+        reflect: 1.5,           // Knockback multiplier pushed back onto the attacker
+        stun: { duration: 600, potency: 2.0 },  // Stun on the attacker (StatusEffects.js)
+    },
+
+    // Hit results
+    results: {
+        BLOCK: 'BLOCK',
+        PARRY: 'PARRY',
+    },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Tick being simulated
+let currentTick = 0;
+let currentDelta = 1000 / 60;
+
+// Per-fighter state (fighter id -> { requested, facing, up, parryUntil, windowTick, blocks, parries })
+const guardData = new Map();
+
+// Parry listeners ({ tick, fighter, attacker } events)
+const parryListeners = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Convert a duration to whole ticks
+ * @param {number} ms
+ * @returns {number}
+ */
+function toTicks(ms) {
+    return Math.round(ms / currentDelta);
+}
+
+/**
+ * Get (or create) a fighter's guard state
+ * @param {Object} fighter
+ * @returns {Object}
+ */
+function getData(fighter) {
+    let data = guardData.get(fighter.id);
+    if (!data) {
+        data = {
+            requested: false,       // raiseGuard() called since the last update
+            facing: 1,
+            up: false,
+            parryUntil: -Infinity,  // Parry window open before this tick
+            windowTick: -Infinity,  // Last tick a parry window opened
+            blocks: 0,
+            parries: 0,
+        };
+        guardData.set(fighter.id, data);
+    }
+    return data;
+}
+
+/**
+ * Check if a fighter can hold a guard right now
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+function canGuard(fighter) {
+    return fighter.health > 0 && !isStunned(fighter) && !isKnockedDown(fighter)
+        && GUARD_CONFIG.parts.some(label => isPartAttached(fighter, label));
+}
+
+/**
+ * Pull the attached hands to the guard point in front of the head for one tick
+ * @param {Object} fighter
+ * @param {number} facing - -1 left, +1 right
+ */
+function pullHands(fighter, facing) {
+    const { stiffness, offset } = GUARD_CONFIG.hands;
+    const { head, leftHand, rightHand } = fighter.ragdoll.bodies;
+    const guard = { x: head.position.x + facing * offset, y: head.position.y };
+
+    [leftHand, rightHand].filter(hand => isPartAttached(fighter, hand.label)).forEach(hand => {
+        Body.applyForce(hand, hand.position, {
+            x: (guard.x - hand.position.x) * stiffness,
+            y: (guard.y - hand.position.y) * stiffness,
+        });
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize guards
+ * @param {Array} fighterList
+ */
+export function initGuard(fighterList) {
+    setFighters(fighterList);
+    currentTick = 0;
+    console.log('[Guard] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyGuard() {
+    fighters = [];
+    guardData.clear();
+}
+
+/**
+ * Update the fighter list (after respawn; every guard starts down)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    guardData.clear();
+}
+
+/**
+ * Hold the guard up this tick (call every tick while blocking)
+ * @param {Object} fighter
+ * @param {number} facing - -1 left, +1 right (side the hands go)
+ */
+export function raiseGuard(fighter, facing) {
+    if (!fighter?.ragdoll) return;
+    const data = getData(fighter);
+    data.requested = true;
+    data.facing = facing >= 0 ? 1 : -1;
+}
+
+/**
+ * Check if a fighter's guard is up
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isGuarding(fighter) {
+    const data = fighter ? guardData.get(fighter.id) : null;
+    return !!data && data.up;
+}
+
+/**
+ * Check if a fighter's parry window is open
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isParrying(fighter) {
+    const data = fighter ? guardData.get(fighter.id) : null;
+    return !!data && data.up && currentTick < data.parryUntil;
+}
+
+/**
+ * Resolve a hit against the victim's guard (called by DamageSystem for every hit)
+ * @param {Object} victim
+ * @param {Object} attacker
+ * @param {string} bodyLabel - Struck ragdoll body
+ * @param {number} tick
+ * @returns {string|null} GUARD_CONFIG.results.PARRY / BLOCK, or null if the guard didn't take it
+ */
+export function resolveGuardHit(victim, attacker, bodyLabel, tick) {
+    if (!isGuarding(victim) || !GUARD_CONFIG.parts.includes(bodyLabel)) return null;
+    const data = getData(victim);
+
+    if (!isParrying(victim)) {
+        data.blocks++;
+        return GUARD_CONFIG.results.BLOCK;
+    }
+
+    // One parry per window
+    data.parryUntil = -Infinity;
+    data.parries++;
+    const { duration, potency } = GUARD_CONFIG.parry.stun;
+    applyStatus(attacker, 'stun', { duration, potency, source: victim });
+
+    console.log(`[Guard] "${victim.name}" parried "${attacker.name}" at tick ${tick}`);
+    parryListeners.forEach(listener => listener({ tick, fighter: victim.id, attacker: attacker.id }));
+    return GUARD_CONFIG.results.PARRY;
+}
+
+/**
+ * Subscribe to parries
+ * @param {Function} listener - ({ tick, fighter, attacker }) => void
+ */
+export function onParry(listener) {
+    if (!parryListeners.includes(listener)) parryListeners.push(listener);
+}
+
+/**
+ * Unsubscribe from parries
+ * @param {Function} listener
+ */
+export function offParry(listener) {
+    const index = parryListeners.indexOf(listener);
+    if (index !== -1) parryListeners.splice(index, 1);
+}
+
+/**
+ * Get a fighter's guard state for the overlay / headless results
+ * @param {Object} fighter
+ * @returns {Object|null} { up, parrying, blocks, parries }
+ */
+export function getGuardState(fighter) {
+    const data = fighter ? guardData.get(fighter.id) : null;
+    if (!data) return null;
+    return { up: data.up, parrying: isParrying(fighter), blocks: data.blocks, parries: data.parries };
+}
+
+/**
+ * Raise/lower guards and hold the hands up — register as a Simulator pre-step hook (after the AI and players)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateGuard(engine, tick, fixedDelta) {
+    currentTick = tick;
+    currentDelta = fixedDelta;
+    const { parry } = GUARD_CONFIG;
+
+    fighters.forEach(fighter => {
+        if (!fighter?.ragdoll) return;
+        const data = getData(fighter);
+        const wasUp = data.up;
+        data.up = data.requested && canGuard(fighter);
+        data.requested = false;
+        if (!data.up) return;
+
+        // Going up opens a parry window (if the last one was long enough ago)
+        if (!wasUp && tick - data.windowTick >= toTicks(parry.cooldown)) {
+            data.windowTick = tick;
+            data.parryUntil = tick + toTicks(parry.window);
+        }
+        pullHands(fighter, data.facing);
+    });
+}
@@ -0,0 +1,254 @@
+/**
+ * Injuries.js — Lasting Limb Injuries
+ *
+ * Every hit on an arm or leg part (DamageSystem reports them) adds to that
+ * part's injury. Past each threshold in `levels` the part gets worse
+ * (BRUISED → HURT → CRIPPLED), and its level weakens the fighter:
+ *
+ *   stiffness — the joint the part hangs from (e.g. leftHip for leftUpperLeg)
+ *               gets a softer constraint, so it sags and wobbles
+ *   muscle    — the muscle driving that joint is weaker (Muscles.js)
+ *   punch     — strike force of an arm, by its worst part (AttackMotions.js)
+ *   limp      — walk force while the worst leg carries the weight, every other
+ *               half `limp.period` (Behaviors.js)
+ *
+ * Injuries last until the fighters respawn (next round). The Renderer tints
+ * injured segments by level.
+ */
+
+import { LIMBS } from './Dismemberment.js';
+
+// =============================================================================
+// INJURY CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const INJURY_CONFIG = {
+    // Damage a part has taken (after zones, stats and armor) to reach each level
+    levels: [
+        { name: 'BRUISED', damage: 3 },
+        { name: 'HURT', damage: 7 },
+        { name: 'CRIPPLED', damage: 12 },
+    ],
+
+    // Multipliers by level (index 0 = uninjured, then one per entry in `levels`)
+    effects: {
+        stiffness: [1, 0.9, 0.75, 0.6],     // Joint constraint stiffness
+        muscle: [1, 0.8, 0.6, 0.35],        // Muscle strength of that joint
+        punch: [1, 0.85, 0.7, 0.5],         // Strike force of the arm (worst part)
+    },
+
+    // Limping on the worst leg
+    limp: {
+        period: 40,                         // Ticks per stride (injured leg carries half of it)
+        speed: [1, 0.85, 0.6, 0.35],        // Walk force multiplier while it does
+    },
+};
+
+// Joint each limb part hangs from, by part suffix (Ragdoll constraint labels)
+const PART_JOINTS = {
+    UpperArm: 'Shoulder',
+    LowerArm: 'Elbow',
+    Hand: 'Wrist',
+    UpperLeg: 'Hip',
+    LowerLeg: 'Knee',
+    Foot: 'Ankle',
+};
+
+// Body label -> { joint, limb } for every part that can be injured
+const PARTS = Object.fromEntries(
+    Object.entries(LIMBS).flatMap(([limb, labels]) => labels.map(label => {
+        const side = label.startsWith('left') ? 'left' : 'right';
+        const suffix = label.slice(side.length);
+        return [label, { joint: `${side}${PART_JOINTS[suffix]}`, limb }];
+    }))
+);
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Per-fighter state (fighter id -> { damage, levels, stiffness })
+const injuryData = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Get (or create) a fighter's injury state
+ * @param {Object} fighter
+ * @returns {Object}
+ */
+function getData(fighter) {
+    let data = injuryData.get(fighter.id);
+    if (!data) {
+        data = {
+            damage: {},         // body label -> damage taken
+            levels: {},         // body label -> level (only injured parts)
+            stiffness: {},      // joint -> uninjured constraint stiffness
+        };
+        injuryData.set(fighter.id, data);
+    }
+    return data;
+}
+
+/**
+ * Injury level for an amount of damage
+ * @param {number} damage
+ * @returns {number} 0 = uninjured, up to INJURY_CONFIG.levels.length
+ */
+function toLevel(damage) {
+    return INJURY_CONFIG.levels.filter(level => damage >= level.damage).length;
+}
+
+/**
+ * Soften the joint a part hangs from to match its level
+ * @param {Object} fighter
+ * @param {Object} data
+ * @param {string} label - Injured body label
+ * @param {number} level
+ */
+function softenJoint(fighter, data, label, level) {
+    const { joint } = PARTS[label];
+    const constraint = fighter.ragdoll.constraints.find(c => c.label === joint);
+    if (!constraint) return;
+
+    if (data.stiffness[joint] === undefined) data.stiffness[joint] = constraint.stiffness;
+    constraint.stiffness = data.stiffness[joint] * INJURY_CONFIG.effects.stiffness[level];
+}
+
+/**
+ * Worst level among a limb's parts
+ * @param {Object} fighter
+ * @param {string} limb - e.g. 'leftArm'
+ * @returns {number}
+ */
+function getLimbLevel(fighter, limb) {
+    const data = injuryData.get(fighter.id);
+    if (!data) return 0;
+    return Math.max(...LIMBS[limb].map(label => data.levels[label] ?? 0));
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize injury tracking
+ * @param {Array} fighterList
+ */
+export function initInjuries(fighterList) {
+    setFighters(fighterList);
+    console.log('[Injuries] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyInjuries() {
+    fighters = [];
+    injuryData.clear();
+}
+
+/**
+ * Update the fighter list (after respawn; fresh ragdolls are uninjured)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    injuryData.clear();
+}
+
+/**
+ * Add damage to a struck part (called by DamageSystem for every hit)
+ * @param {Object} fighter
+ * @param {string} bodyLabel - Struck ragdoll body (only arm/leg parts get injured)
+ * @param {number} damage - HP the hit took
+ */
+export function injurePart(fighter, bodyLabel, damage) {
+    if (!fighter?.ragdoll || !PARTS[bodyLabel]) return;
+
+    const data = getData(fighter);
+    data.damage[bodyLabel] = (data.damage[bodyLabel] ?? 0) + damage;
+
+    const level = toLevel(data.damage[bodyLabel]);
+    if (level === (data.levels[bodyLabel] ?? 0)) return;
+
+    data.levels[bodyLabel] = level;
+    softenJoint(fighter, data, bodyLabel, level);
+    console.log(`[Injuries] "${fighter.name}" ${bodyLabel} ${INJURY_CONFIG.levels[level - 1].name}`);
+}
+
+/**
+ * Get a part's injury level
+ * @param {Object} fighter
+ * @param {string} label - Ragdoll body label
+ * @returns {number} 0 = uninjured, up to INJURY_CONFIG.levels.length
+ */
+export function getInjuryLevel(fighter, label) {
+    const data = fighter ? injuryData.get(fighter.id) : null;
+    return data?.levels[label] ?? 0;
+}
+
+/**
+ * Muscle strength multiplier for the joint a part hangs from
+ * @param {Object} fighter
+ * @param {string} label - Child body of the muscle (e.g. 'leftLowerLeg' for the knee)
+ * @returns {number}
+ */
+export function getMuscleMultiplier(fighter, label) {
+    return INJURY_CONFIG.effects.muscle[getInjuryLevel(fighter, label)];
+}
+
+/**
+ * Strike force multiplier for one arm
+ * @param {Object} fighter
+ * @param {string} side - 'left' | 'right'
+ * @returns {number}
+ */
+export function getPunchMultiplier(fighter, side) {
+    if (!fighter) return 1;
+    return INJURY_CONFIG.effects.punch[getLimbLevel(fighter, `${side}Arm`)];
+}
+
+/**
+ * Walk force multiplier this tick (drops while the worse leg carries the weight)
+ * @param {Object} fighter
+ * @param {number} tick
+ * @returns {number}
+ */
+export function getLimpMultiplier(fighter, tick) {
+    if (!fighter) return 1;
+    const { period, speed } = INJURY_CONFIG.limp;
+    const level = Math.max(getLimbLevel(fighter, 'leftLeg'), getLimbLevel(fighter, 'rightLeg'));
+    if (level === 0) return 1;
+    return (tick % period) < period / 2 ? speed[level] : 1;
+}
+
+/**
+ * Get every injured part's level (for the Renderer)
+ * @param {Object} fighter
+ * @returns {Object} Body label -> level (uninjured parts left out)
+ */
+export function getInjuries(fighter) {
+    const data = fighter ? injuryData.get(fighter.id) : null;
+    return data ? { ...data.levels } : {};
+}
+
+/**
+ * Get a fighter's injuries for the overlay / headless results
+ * @param {Object} fighter
+ * @returns {Object} Body label -> { damage, level } (level name, injured parts only)
+ */
+export function getInjuryState(fighter) {
+    const data = fighter ? injuryData.get(fighter.id) : null;
+    if (!data) return {};
+    return Object.fromEntries(
+        Object.entries(data.levels).map(([label, level]) => [
+            label,
+            { damage: data.damage[label], level: INJURY_CONFIG.levels[level - 1].name },
+        ])
+    );
+}
@@ -0,0 +1,389 @@
+/**
+ * Knockdown.js — Knockdowns and Getting Back Up
+ *
+ * Watches every fighter for a knockdown (torso tilted past `detect.torsoAngle`
+ * with the head within `detect.headHeight` of the floor), then:
+ *
+ *   DOWN        — stagger: balance support off, muscles limp, for `staggerTime`
+ *   GETTING_UP  — get-up sequence, one phase after another:
+ *                   ROLL  — roll onto the knees
+ *                   PUSH  — push the pelvis up off the floor
+ *                   STAND — stand up straight (held until actually upright,
+ *                           else the sequence starts over)
+ *   STANDING    — support back on; no new knockdown for `graceTime`
+ *
+ * For `vulnerability.window` after the knockdown, hits deal extra damage
+ * (DamageSystem). BalanceAssist skips fighters that aren't STANDING, and the
+ * AI waits it out in RECOVER. KO'd fighters stay DOWN.
+ * Runs once per fixed physics tick (Simulator pre-step hook, before Muscles).
+ */
+
+import { getArenaConfig } from '../engine/World.js';
+import { isStunned } from '../engine/StatusEffects.js';
+import { setPose, setMuscleStrength, MUSCLE_CONFIG } from './Muscles.js';
+import { getAttachedBodies } from './Dismemberment.js';
+import { normalizeAngle } from '../utils/MathUtils.js';
+
+const { Body } = Matter;
+
+// =============================================================================
+// KNOCKDOWN CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const KNOCKDOWN_CONFIG = {
+    // A fighter is down when both hold
+    detect: {
+        torsoAngle: 1.0,        // Torso tilt (rad) past which it counts as toppled
+        headHeight: 40,         // Head centre within this of floorY
+    },
+
+    // Lying there before the get-up starts (ms)
+    staggerTime: 800,
+
+    // Muscle strength while staggered (0 = limp)
+    staggerStrength: 0.2,
+
+    // Extra damage taken after a knockdown
+    vulnerability: {
+        window: 1500,           // ms from the knockdown (covers the stagger and most of the get-up)
+        damageTaken: 1.5,       // Damage multiplier inside the window
+    },
+
+    // No new knockdown this long after standing back up (ms)
+    graceTime: 500,
+
+    // Vertical lift on pelvis + torso, as fractions of the ragdoll's weight
+    lift: {
+        share: 0.8,             // Baseline (rest of the weight is on the knees/feet)
+        stiffness: 0.03,        // Per px the pelvis is below its phase height
+        damping: 0.3,           // Per px/tick of vertical velocity
+        max: 1.6,
+    },
+
+    // Rights the torso and pelvis toward each phase's angle
+    upright: {
+        gain: 0.08,             // Angular velocity per rad of error
+        damping: 0.8,           // Angular velocity multiplier per tick
+    },
+
+    // Get-up sequence. torsoAngle: tilt (rad) toward the side it fell;
+    // pelvisHeight: px above floorY (null = no lift); pose: Muscles.js → POSES
+    getUp: [
+        { phase: 'ROLL', ticks: 20, pose: 'kneel', torsoAngle: 0.9, pelvisHeight: null },
+        { phase: 'PUSH', ticks: 25, pose: 'kneel', torsoAngle: 0.4, pelvisHeight: 45 },
+        { phase: 'STAND', ticks: 30, pose: 'stance', torsoAngle: 0, pelvisHeight: 70 },
+    ],
+
+    // The last phase only ends once the fighter is actually up; not up within
+    // `extraTicks` more ticks → start the sequence again from the first phase
+    standCheck: {
+        torsoAngle: 0.4,        // Torso tilt (rad) at most this
+        pelvisHeight: 50,       // Pelvis at least this far above floorY
+        extraTicks: 40,
+    },
+
+    // States
+    states: {
+        STANDING: 'STANDING',
+        DOWN: 'DOWN',
+        GETTING_UP: 'GETTING_UP',
+    },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Latest tick and tick length seen by the hook (for knockDown() between ticks)
+let currentTick = 0;
+let currentDelta = 1000 / 60;
+
+// Per-fighter state (fighter id -> { state, phase, step, since, side, count, vulnerableUntil, graceUntil })
+const knockdownData = new Map();
+
+// Knockdown listeners ({ tick, fighter } events)
+const knockdownListeners = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Convert a duration to whole ticks
+ * @param {number} ms
+ * @param {number} fixedDelta - ms per tick
+ * @returns {number}
+ */
+function toTicks(ms, fixedDelta) {
+    return Math.round(ms / fixedDelta);
+}
+
+/**
+ * Get (or create) a fighter's knockdown state
+ * @param {Object} fighter
+ * @returns {Object}
+ */
+function getData(fighter) {
+    let data = knockdownData.get(fighter.id);
+    if (!data) {
+        data = {
+            state: KNOCKDOWN_CONFIG.states.STANDING,
+            phase: 0,
+            step: 0,
+            since: 0,
+            side: 1,
+            count: 0,
+            vulnerableUntil: -1,
+            graceUntil: -1,
+        };
+        knockdownData.set(fighter.id, data);
+    }
+    return data;
+}
+
+/**
+ * Check the toppled-over test
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+function isToppled(fighter) {
+    const { head, torso } = fighter.ragdoll.bodies;
+    const { detect } = KNOCKDOWN_CONFIG;
+    return Math.abs(normalizeAngle(torso.angle)) > detect.torsoAngle
+        && head.position.y >= getArenaConfig().floorY - detect.headHeight;
+}
+
+/**
+ * Check if a fighter has made it back up (end of the get-up sequence)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+function isUpright(fighter) {
+    const { torso, pelvis } = fighter.ragdoll.bodies;
+    const { standCheck } = KNOCKDOWN_CONFIG;
+    return Math.abs(normalizeAngle(torso.angle)) <= standCheck.torsoAngle
+        && pelvis.position.y <= getArenaConfig().floorY - standCheck.pelvisHeight;
+}
+
+/**
+ * Put a fighter into the DOWN state
+ * @param {Object} fighter
+ * @param {Object} data
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+function enterDown(fighter, data, tick, fixedDelta) {
+    data.state = KNOCKDOWN_CONFIG.states.DOWN;
+    data.phase = 0;
+    data.step = 0;
+    data.since = tick;
+    data.side = normalizeAngle(fighter.ragdoll.bodies.torso.angle) >= 0 ? 1 : -1;
+    data.count++;
+    data.vulnerableUntil = tick + toTicks(KNOCKDOWN_CONFIG.vulnerability.window, fixedDelta);
+    setMuscleStrength(fighter, KNOCKDOWN_CONFIG.staggerStrength);
+    knockdownListeners.forEach(listener => listener({ tick, fighter: fighter.id }));
+    console.log(`[Knockdown] "${fighter.name}" knocked down at tick ${tick}`);
+}
+
+/**
+ * Push a fighter toward one get-up phase's height and angle
+ * @param {Object} fighter
+ * @param {Object} data
+ * @param {Object} phase - KNOCKDOWN_CONFIG.getUp entry
+ * @param {Matter.Engine} engine
+ */
+function driveGetUp(fighter, data, phase, engine) {
+    const { torso, pelvis } = fighter.ragdoll.bodies;
+    const { lift, upright } = KNOCKDOWN_CONFIG;
+
+    if (phase.pelvisHeight !== null) {
+        const bodies = getAttachedBodies(fighter);
+        const weight = bodies.reduce((sum, body) => sum + body.mass, 0) * engine.gravity.y * engine.gravity.scale;
+        const below = pelvis.position.y - (getArenaConfig().floorY - phase.pelvisHeight);
+        const share = Math.max(0, Math.min(lift.max, lift.share + below * lift.stiffness + pelvis.velocity.y * lift.damping));
+
+        Body.applyForce(pelvis, pelvis.position, { x: 0, y: -weight * share * 0.5 });
+        Body.applyForce(torso, torso.position, { x: 0, y: -weight * share * 0.5 });
+    }
+
+    const target = data.side * phase.torsoAngle;
+    [torso, pelvis].forEach(body => {
+        const error = normalizeAngle(target - body.angle);
+        Body.setAngularVelocity(body, body.angularVelocity * upright.damping + error * upright.gain);
+    });
+}
+
+/**
+ * Advance one fighter's knockdown state by a tick
+ * @param {Object} fighter
+ * @param {number} tick
+ * @param {Matter.Engine} engine
+ * @param {number} fixedDelta
+ */
+function stepKnockdown(fighter, tick, engine, fixedDelta) {
+    const data = getData(fighter);
+    const { states, getUp } = KNOCKDOWN_CONFIG;
+
+    if (data.state === states.STANDING) {
+        if (tick >= data.graceUntil && isToppled(fighter)) enterDown(fighter, data, tick, fixedDelta);
+        return;
+    }
+
+    // KO'd mid get-up — drop back down and stay there
+    if (fighter.health <= 0) {
+        data.state = states.DOWN;
+        return;
+    }
+
+    if (data.state === states.DOWN) {
+        const staggered = tick - data.since >= toTicks(KNOCKDOWN_CONFIG.staggerTime, fixedDelta);
+        if (!staggered || isStunned(fighter)) return;
+
+        data.state = states.GETTING_UP;
+        data.phase = 0;
+        data.step = 0;
+        setMuscleStrength(fighter, 1);
+        setPose(fighter, getUp[0].pose);
+    }
+
+    const phase = getUp[data.phase];
+    driveGetUp(fighter, data, phase, engine);
+
+    // Next tick / next phase
+    data.step++;
+    if (data.step < phase.ticks) return;
+
+    // Last phase: hold it until upright, or start over (rolling toward the side it's on now)
+    if (data.phase === getUp.length - 1 && !isUpright(fighter)) {
+        if (data.step < phase.ticks + KNOCKDOWN_CONFIG.standCheck.extraTicks) return;
+        data.phase = 0;
+        data.step = 0;
+        data.side = normalizeAngle(fighter.ragdoll.bodies.torso.angle) >= 0 ? 1 : -1;
+        setPose(fighter, getUp[0].pose);
+        return;
+    }
+
+    data.step = 0;
+    data.phase++;
+    if (data.phase < getUp.length) {
+        setPose(fighter, getUp[data.phase].pose);
+        return;
+    }
+
+    data.state = states.STANDING;
+    data.phase = 0;
+    data.graceUntil = tick + toTicks(KNOCKDOWN_CONFIG.graceTime, fixedDelta);
+    setPose(fighter, MUSCLE_CONFIG.basePose);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize knockdown tracking
+ * @param {Array} fighterList
+ */
+export function initKnockdown(fighterList) {
+    setFighters(fighterList);
+    console.log('[Knockdown] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyKnockdown() {
+    fighters = [];
+    knockdownData.clear();
+    currentTick = 0;
+}
+
+/**
+ * Update the fighter list (after respawn)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    knockdownData.clear();
+}
+
+/**
+ * Knock a fighter down now (skips the topple test; e.g. throws)
+ * @param {Object} fighter
+ */
+export function knockDown(fighter) {
+    if (!fighter?.ragdoll) return;
+    const data = getData(fighter);
+    if (data.state === KNOCKDOWN_CONFIG.states.DOWN) return;
+    enterDown(fighter, data, currentTick, currentDelta);
+}
+
+/**
+ * Subscribe to knockdowns
+ * @param {Function} listener - ({ tick, fighter }) => void
+ */
+export function onKnockdown(listener) {
+    if (!knockdownListeners.includes(listener)) knockdownListeners.push(listener);
+}
+
+/**
+ * Unsubscribe from knockdowns
+ * @param {Function} listener
+ */
+export function offKnockdown(listener) {
+    const index = knockdownListeners.indexOf(listener);
+    if (index !== -1) knockdownListeners.splice(index, 1);
+}
+
+/**
+ * Get a fighter's knockdown state for the overlay/AI
+ * @param {Object} fighter
+ * @returns {Object|null} { state, phase, step, count, vulnerable }
+ */
+export function getKnockdownState(fighter) {
+    if (!fighter?.ragdoll) return null;
+    const data = getData(fighter);
+    return {
+        state: data.state,
+        phase: data.state === KNOCKDOWN_CONFIG.states.GETTING_UP ? KNOCKDOWN_CONFIG.getUp[data.phase].phase : null,
+        step: data.step,
+        count: data.count,
+        vulnerable: currentTick < data.vulnerableUntil,
+    };
+}
+
+/**
+ * Check if a fighter is down or still getting up
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isKnockedDown(fighter) {
+    const data = fighter ? knockdownData.get(fighter.id) : null;
+    return !!data && data.state !== KNOCKDOWN_CONFIG.states.STANDING;
+}
+
+/**
+ * Damage multiplier for hits on a fighter (vulnerability window)
+ * @param {Object} fighter
+ * @returns {number}
+ */
+export function getDamageTakenMultiplier(fighter) {
+    const data = fighter ? knockdownData.get(fighter.id) : null;
+    return data && currentTick < data.vulnerableUntil ? KNOCKDOWN_CONFIG.vulnerability.damageTaken : 1;
+}
+
+/**
+ * Advance knockdowns — register as a Simulator pre-step hook (before updateMuscles)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateKnockdown(engine, tick, fixedDelta) {
+    currentTick = tick;
+    currentDelta = fixedDelta;
+    fighters.forEach(fighter => {
+        if (fighter?.ragdoll) stepKnockdown(fighter, tick, engine, fixedDelta);
+    });
+}
@@ -0,0 +1,405 @@
+/**
+ * Locomotion.js — Walking, Jumping, Crouching and Dashing
+ *
+ * The movement layer shared by the AI (Behaviors.js) and PlayerController.js:
+ *
+ *   ground — a fighter is grounded while one of its attached feet (the pelvis
+ *            with no feet left) touches the `floor` body (Matter collision events);
+ *            for `jump.coyoteTime` after stepping off it can still jump (coyote time)
+ *   move   — horizontal force on pelvis and torso (slower while crouching)
+ *   jump   — one velocity impulse on every attached body, leaning the way it moves
+ *   crouch — blends in the `crouch` pose and lowers the support height
+ *            (BalanceAssist COM mode: `lift.standHeight` − `crouch.drop`;
+ *            spring mode: the anchor comes down by `support.crouchShare` of it)
+ *   dash   — short burst of horizontal speed past the usual speed clamp, with a cooldown
+ *
+ * Jump and dash speeds, and the dash cooldown, scale with agility (Stats.js).
+ * Runs once per fixed physics tick (Simulator pre-step hook, after the AI and players).
+ */
+
+import { getAgilityMultiplier } from '../entities/Stats.js';
+import { getSpeedMultiplier } from '../engine/StatusEffects.js';
+import { isKnockedDown } from './Knockdown.js';
+import { blendPose } from './Muscles.js';
+import { getAttachedBodies, isPartAttached, hasLimb } from './Dismemberment.js';
+
+const { Body, Events } = Matter;
+
+// =============================================================================
+// LOCOMOTION CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const LOCOMOTION_CONFIG = {
+    // Jump impulse (px/tick added to every attached body, × agility)
+    jump: {
+        velocity: 6,
+        forward: 1.8,           // Along the move direction
+        coyoteTime: 100,        // ms after leaving the floor a jump still works
+        cooldown: 300,          // ms between jumps
+        minLegs: 2,             // Legs needed to jump (Dismemberment.js)
+    },
+
+    // Crouch
+    crouch: {
+        poseWeight: 1,          // Weight of the `crouch` pose (Muscles.js)
+        drop: 25,               // px the support height drops (BalanceAssist; spring mode uses a share)
+        speed: 0.5,             // Move force multiplier while crouching
+    },
+
+    // Dash (horizontal burst, ground or coyote time only)
+    dash: {
+        speed: 9,               // px/tick set on every attached body (× agility)
+        time: 150,              // ms the speed clamp is lifted
+        cooldown: 1200,         // ms between dashes (÷ agility)
+        minLegs: 1,
+    },
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+let engine = null;
+
+// Tick being simulated (collision events during it mark feet grounded)
+let currentTick = 0;
+let currentDelta = 1000 / 60;
+
+// Foot (and pelvis) body id -> fighter
+const footOwners = new Map();
+
+// Per-fighter state (fighter id -> { groundTick, jumpTick, dashTick, dashUntil, crouching, crouchPose })
+const locomotionData = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Convert a duration to whole ticks
+ * @param {number} ms
+ * @returns {number}
+ */
+function toTicks(ms) {
+    return Math.round(ms / currentDelta);
+}
+
+/**
+ * Get (or create) a fighter's locomotion state
+ * @param {Object} fighter
+ * @returns {Object}
+ */
+function getData(fighter) {
+    let data = locomotionData.get(fighter.id);
+    if (!data) {
+        data = {
+            groundTick: -Infinity,  // Last tick a foot touched the floor
+            jumpTick: -Infinity,
+            dashTick: -Infinity,
+            dashUntil: -Infinity,
+            crouching: false,
+            crouchPose: false,      // Crouch pose currently blended in
+        };
+        locomotionData.set(fighter.id, data);
+    }
+    return data;
+}
+
+/**
+ * Check if a body is what a fighter stands on (attached feet, the pelvis once both are gone)
+ * @param {Object} fighter
+ * @param {Matter.Body} body
+ * @returns {boolean}
+ */
+function standsOn(fighter, body) {
+    if (body.label !== 'pelvis') return isPartAttached(fighter, body.label);
+    return !isPartAttached(fighter, 'leftFoot') && !isPartAttached(fighter, 'rightFoot');
+}
+
+/**
+ * Mark fighters whose feet touch the floor (collisionStart + collisionActive)
+ * @param {Object} event - Matter collision event
+ */
+function onFloorContact(event) {
+    event.pairs.forEach(({ bodyA, bodyB }) => {
+        const foot = bodyA.label === 'floor' ? bodyB : bodyB.label === 'floor' ? bodyA : null;
+        const fighter = foot ? footOwners.get(foot.id) : null;
+        if (fighter && standsOn(fighter, foot)) getData(fighter).groundTick = currentTick;
+    });
+}
+
+/**
+ * Start listening to an engine's collisions
+ * @param {Matter.Engine} matterEngine
+ */
+function attachEngine(matterEngine) {
+    if (engine) {
+        Events.off(engine, 'collisionStart', onFloorContact);
+        Events.off(engine, 'collisionActive', onFloorContact);
+    }
+    engine = matterEngine;
+    if (engine) {
+        Events.on(engine, 'collisionStart', onFloorContact);
+        Events.on(engine, 'collisionActive', onFloorContact);
+    }
+}
+
+/**
+ * Jump/dash speed multiplier (agility, slows)
+ * @param {Object} fighter
+ * @returns {number}
+ */
+function getBurstMultiplier(fighter) {
+    return getAgilityMultiplier(fighter.stats) * getSpeedMultiplier(fighter);
+}
+
+/**
+ * Count attached legs
+ * @param {Object} fighter
+ * @returns {number}
+ */
+function countLegs(fighter) {
+    return ['leftLeg', 'rightLeg'].filter(limb => hasLimb(fighter, limb)).length;
+}
+
+/**
+ * Check if a fighter touched the floor within the last `ticks` ticks
+ * @param {Object} data
+ * @param {number} ticks
+ * @returns {boolean}
+ */
+function touchedFloorWithin(data, ticks) {
+    return currentTick - data.groundTick <= ticks;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize locomotion (listens for feet touching the floor)
+ * @param {Matter.Engine} matterEngine
+ * @param {Array} fighterList
+ */
+export function initLocomotion(matterEngine, fighterList) {
+    attachEngine(matterEngine);
+    setFighters(fighterList);
+    currentTick = 0;
+    console.log('[Locomotion] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyLocomotion() {
+    attachEngine(null);
+    fighters = [];
+    footOwners.clear();
+    locomotionData.clear();
+}
+
+/**
+ * Update the fighter list (after respawn)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    footOwners.clear();
+    locomotionData.clear();
+    fighters.forEach(fighter => {
+        if (!fighter?.ragdoll) return;
+        const { leftFoot, rightFoot, pelvis } = fighter.ragdoll.bodies;
+        [leftFoot, rightFoot, pelvis].forEach(body => footOwners.set(body.id, fighter));
+    });
+}
+
+/**
+ * Check if a fighter has a foot on the floor (as of the last physics step)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isGrounded(fighter) {
+    const data = fighter ? locomotionData.get(fighter.id) : null;
+    return !!data && touchedFloorWithin(data, 1);
+}
+
+/**
+ * Check if a fighter could jump right now (grounded or in coyote time, off cooldown)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function canJump(fighter) {
+    if (!fighter?.ragdoll || fighter.health <= 0 || isKnockedDown(fighter)) return false;
+    const { jump } = LOCOMOTION_CONFIG;
+    const data = getData(fighter);
+    return touchedFloorWithin(data, 1 + toTicks(jump.coyoteTime))
+        && currentTick - data.jumpTick >= toTicks(jump.cooldown)
+        && countLegs(fighter) >= jump.minLegs;
+}
+
+/**
+ * Jump (one impulse on the whole ragdoll)
+ * @param {Object} fighter
+ * @param {number} direction - -1 left, 0 straight up, +1 right
+ * @returns {boolean} True if it jumped
+ */
+export function jump(fighter, direction = 0) {
+    if (!canJump(fighter)) return false;
+    const { velocity, forward } = LOCOMOTION_CONFIG.jump;
+    const scale = getBurstMultiplier(fighter);
+
+    getAttachedBodies(fighter).forEach(body => {
+        Body.setVelocity(body, {
+            x: body.velocity.x + direction * forward * scale,
+            y: body.velocity.y - velocity * scale,
+        });
+    });
+
+    // Used up the coyote time too
+    const data = getData(fighter);
+    data.jumpTick = currentTick;
+    data.groundTick = -Infinity;
+    return true;
+}
+
+/**
+ * Push a fighter horizontally (pelvis, plus a share on the torso); slower while crouching
+ * @param {Object} fighter
+ * @param {number} force - Signed force on the pelvis
+ * @param {number} torsoShare
+ * @returns {number} Force actually applied to the pelvis
+ */
+export function move(fighter, force, torsoShare) {
+    const { pelvis, torso } = fighter.ragdoll.bodies;
+    const applied = force * (isCrouching(fighter) ? LOCOMOTION_CONFIG.crouch.speed : 1);
+
+    Body.applyForce(pelvis, pelvis.position, { x: applied, y: 0 });
+    Body.applyForce(torso, torso.position, { x: applied * torsoShare, y: 0 });
+    return applied;
+}
+
+/**
+ * Crouch or stand up
+ * @param {Object} fighter
+ * @param {boolean} crouching
+ */
+export function setCrouching(fighter, crouching) {
+    if (!fighter?.ragdoll) return;
+    getData(fighter).crouching = !!crouching;
+}
+
+/**
+ * Check if a fighter is crouching (never while knocked down)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isCrouching(fighter) {
+    const data = fighter ? locomotionData.get(fighter.id) : null;
+    return !!data && data.crouching && !isKnockedDown(fighter);
+}
+
+/**
+ * How far the support height drops for a fighter (BalanceAssist)
+ * @param {Object} fighter
+ * @returns {number} px
+ */
+export function getSupportDrop(fighter) {
+    return isCrouching(fighter) ? LOCOMOTION_CONFIG.crouch.drop : 0;
+}
+
+/**
+ * Check if a fighter could dash right now (on the floor or in coyote time, off cooldown)
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function canDash(fighter) {
+    if (!fighter?.ragdoll || fighter.health <= 0 || isKnockedDown(fighter)) return false;
+    const { dash, jump } = LOCOMOTION_CONFIG;
+    const data = getData(fighter);
+    return touchedFloorWithin(data, 1 + toTicks(jump.coyoteTime))
+        && currentTick - data.dashTick >= toTicks(dash.cooldown / getAgilityMultiplier(fighter.stats))
+        && countLegs(fighter) >= dash.minLegs;
+}
+
+/**
+ * Dash (sets the whole ragdoll's horizontal speed)
+ * @param {Object} fighter
+ * @param {number} direction - -1 left, +1 right
+ * @returns {boolean} True if it dashed
+ */
+export function dash(fighter, direction) {
+    if (!direction || !canDash(fighter)) return false;
+    const speed = Math.sign(direction) * LOCOMOTION_CONFIG.dash.speed * getBurstMultiplier(fighter);
+
+    getAttachedBodies(fighter).forEach(body => {
+        Body.setVelocity(body, { x: speed, y: body.velocity.y });
+    });
+
+    const data = getData(fighter);
+    data.dashTick = currentTick;
+    data.dashUntil = currentTick + toTicks(LOCOMOTION_CONFIG.dash.time);
+    return true;
+}
+
+/**
+ * Check if a dash is still carrying a fighter
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isDashing(fighter) {
+    const data = fighter ? locomotionData.get(fighter.id) : null;
+    return !!data && currentTick < data.dashUntil;
+}
+
+/**
+ * Clamp pelvis and torso horizontal speed (skipped mid-dash)
+ * @param {Object} fighter
+ * @param {number} maxVx
+ */
+export function clampHorizontalSpeed(fighter, maxVx) {
+    if (isDashing(fighter)) return;
+    [fighter.ragdoll.bodies.pelvis, fighter.ragdoll.bodies.torso].forEach(body => {
+        const vx = body.velocity.x;
+        if (Math.abs(vx) > maxVx) {
+            Body.setVelocity(body, { x: Math.sign(vx) * maxVx, y: body.velocity.y });
+        }
+    });
+}
+
+/**
+ * Get a fighter's locomotion state for the overlay
+ * @param {Object} fighter
+ * @returns {Object|null} { grounded, crouching, dashing, canJump, canDash }
+ */
+export function getLocomotionState(fighter) {
+    if (!fighter?.ragdoll) return null;
+    return {
+        grounded: isGrounded(fighter),
+        crouching: isCrouching(fighter),
+        dashing: isDashing(fighter),
+        canJump: canJump(fighter),
+        canDash: canDash(fighter),
+    };
+}
+
+/**
+ * Advance locomotion — register as a Simulator pre-step hook (after the AI and players)
+ * @param {Matter.Engine} matterEngine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateLocomotion(matterEngine, tick, fixedDelta) {
+    currentTick = tick;
+    currentDelta = fixedDelta;
+
+    // Keep the crouch pose blended in (controllers re-pose on action changes); drop it once on standing up
+    fighters.forEach(fighter => {
+        if (!fighter?.ragdoll) return;
+        const data = getData(fighter);
+        const crouching = isCrouching(fighter);
+        if (crouching) blendPose(fighter, 'crouch', LOCOMOTION_CONFIG.crouch.poseWeight);
+        else if (data.crouchPose) blendPose(fighter, 'crouch', 0);
+        data.crouchPose = crouching;
+    });
+}
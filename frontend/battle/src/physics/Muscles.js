@@ -0,0 +1,443 @@
+/**
+ * Muscles.js — Active Ragdoll Muscles and Poses
+ *
+ * Each muscle drives one joint's relative angle (child body angle minus parent
+ * body angle) toward a target with a PD controller:
+ *
+ *   torque = reducedInertia × (kp × angleError − kd × relativeAngularVelocity)
+ *
+ * clamped to the joint's maxTorque, applied to the child with the reaction on
+ * the parent. Targets come from named poses (stance, guard, crouch, reach, armsUp)
+ * blended by weight; each pose only lists the joints it changes and the rest
+ * come from the base pose. Pose angles are written for a fighter facing right,
+ * with lead/rear limbs, and mirrored for the way the fighter actually faces.
+ *
+ * Limbs playing an attack (AttackMotions) are left to the attack, and joints
+ * below a severed one (Dismemberment) drive nothing. Injured parts (Injuries)
+ * weaken the joint they hang from. KO'd fighters go limp, stunned ones go weak.
+ * Runs once per fixed physics tick (Simulator pre-step hook).
+ */
+
+import { isStunned } from '../engine/StatusEffects.js';
+import { isPartAttached } from './Dismemberment.js';
+import { getMuscleMultiplier } from './Injuries.js';
+import { isEnemy } from '../entities/Fighter.js';
+import { normalizeAngle } from '../utils/MathUtils.js';
+
+// =============================================================================
+// MUSCLE CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const MUSCLE_CONFIG = {
+    // Per joint type: kp = fraction of the angle error corrected per tick², kd = fraction
+    // of the relative angular velocity removed per tick, maxTorque = Matter torque cap
+    joints: {
+        neck: { kp: 0.3, kd: 0.6, maxTorque: 0.3 },
+        spine: { kp: 0.3, kd: 0.6, maxTorque: 0.6 },
+        shoulder: { kp: 0.3, kd: 0.6, maxTorque: 0.08 },
+        elbow: { kp: 0.3, kd: 0.6, maxTorque: 0.04 },
+        hip: { kp: 0.3, kd: 0.6, maxTorque: 0.3 },
+        knee: { kp: 0.3, kd: 0.6, maxTorque: 0.3 },
+        ankle: { kp: 0.3, kd: 0.6, maxTorque: 0.3 },
+    },
+
+    // Pose every joint falls back to when the active poses don't list it
+    basePose: 'stance',
+
+    // How fast pose weights move toward their targets (per tick, 0-1)
+    blendRate: 0.15,
+
+    // Strength multiplier while stunned (KO = 0, limp)
+    stunnedStrength: 0.25,
+};
+
+// Named poses. Angles in degrees for a fighter facing right:
+//   neck / spine     — forward tilt of head / lean of torso
+//   shoulder / hip   — limb direction from straight down, + = forward (90 = horizontal)
+//   elbow / knee     — bend, 0 = straight (elbows fold forward, knees backward)
+export const POSES = {
+    stance: {
+        neck: 0,
+        spine: 5,
+        leadShoulder: 40,
+        leadElbow: 100,
+        rearShoulder: 20,
+        rearElbow: 110,
+        leadHip: 12,
+        leadKnee: 10,
+        rearHip: -12,
+        rearKnee: 15,
+        leadAnkle: 0,
+        rearAnkle: 0,
+    },
+    guard: {
+        neck: 10,
+        spine: 10,
+        leadShoulder: 60,
+        leadElbow: 120,
+        rearShoulder: 45,
+        rearElbow: 135,
+    },
+    crouch: {
+        spine: 25,
+        leadHip: 60,
+        leadKnee: 100,
+        rearHip: 40,
+        rearKnee: 110,
+    },
+    kneel: {
+        spine: 30,
+        leadShoulder: 60,
+        leadElbow: 30,
+        rearShoulder: 60,
+        rearElbow: 30,
+        leadHip: 80,
+        leadKnee: 90,
+        rearHip: 0,
+        rearKnee: 120,
+    },
+    reach: {
+        spine: 15,
+        leadShoulder: 85,
+        leadElbow: 15,
+        rearShoulder: 80,
+        rearElbow: 25,
+    },
+    armsUp: {
+        leadShoulder: 170,
+        leadElbow: 10,
+        rearShoulder: 170,
+        rearElbow: 10,
+    },
+};
+
+// Muscles: joint type, pose key suffix, parent/child bodies, side (null = centre)
+const MUSCLES = [
+    { type: 'neck', key: 'neck', parent: 'torso', child: 'head', side: null },
+    { type: 'spine', key: 'spine', parent: 'pelvis', child: 'torso', side: null },
+    { type: 'shoulder', key: 'Shoulder', parent: 'torso', child: 'UpperArm', side: 'left' },
+    { type: 'elbow', key: 'Elbow', parent: 'UpperArm', child: 'LowerArm', side: 'left' },
+    { type: 'shoulder', key: 'Shoulder', parent: 'torso', child: 'UpperArm', side: 'right' },
+    { type: 'elbow', key: 'Elbow', parent: 'UpperArm', child: 'LowerArm', side: 'right' },
+    { type: 'hip', key: 'Hip', parent: 'pelvis', child: 'UpperLeg', side: 'left' },
+    { type: 'knee', key: 'Knee', parent: 'UpperLeg', child: 'LowerLeg', side: 'left' },
+    { type: 'hip', key: 'Hip', parent: 'pelvis', child: 'UpperLeg', side: 'right' },
+    { type: 'knee', key: 'Knee', parent: 'UpperLeg', child: 'LowerLeg', side: 'right' },
+    { type: 'ankle', key: 'Ankle', parent: 'LowerLeg', child: 'Foot', side: 'left' },
+    { type: 'ankle', key: 'Ankle', parent: 'LowerLeg', child: 'Foot', side: 'right' },
+];
+
+// Joint types each attack limb uses (left to AttackMotions while it plays)
+const ATTACK_JOINTS = {
+    arm: ['shoulder', 'elbow'],
+    leg: ['hip', 'knee', 'ankle'],
+};
+
+// Bodies that aren't per side
+const SHARED_PARTS = ['head', 'torso', 'pelvis'];
+
+const DEG = Math.PI / 180;
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Per-fighter muscle state (fighter id -> { weights, targets, strength, facing, angles })
+const muscleData = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Look up a ragdoll body for a muscle ('torso' / 'pelvis' / 'head' are shared, limbs per side)
+ * @param {Object} bodies - Ragdoll bodies
+ * @param {string|null} side - 'left' | 'right'
+ * @param {string} part - e.g. 'torso', 'UpperArm'
+ * @returns {Matter.Body}
+ */
+function getPart(bodies, side, part) {
+    return SHARED_PARTS.includes(part) ? bodies[part] : bodies[`${side}${part}`];
+}
+
+/**
+ * Get (or create) a fighter's muscle state
+ * @param {Object} fighter
+ * @returns {Object}
+ */
+function getData(fighter) {
+    let data = muscleData.get(fighter.id);
+    if (!data) {
+        const base = MUSCLE_CONFIG.basePose;
+        data = { weights: { [base]: 1 }, targets: { [base]: 1 }, strength: 1, facing: 1, angles: {} };
+        muscleData.set(fighter.id, data);
+    }
+    return data;
+}
+
+/**
+ * Face the nearest enemy (+1 = right)
+ * @param {Object} fighter
+ * @param {number} previous - Facing to keep with no enemy around
+ * @returns {number}
+ */
+function getFacing(fighter, previous) {
+    const x = fighter.ragdoll.bodies.pelvis.position.x;
+    let nearest = null;
+    fighters.forEach(other => {
+        if (!isEnemy(fighter, other) || !other?.ragdoll) return;
+        const dx = other.ragdoll.bodies.pelvis.position.x - x;
+        if (nearest === null || Math.abs(dx) < Math.abs(nearest)) nearest = dx;
+    });
+    if (nearest === null || nearest === 0) return previous;
+    return nearest > 0 ? 1 : -1;
+}
+
+/**
+ * Blended pose angle (degrees, facing-right frame) for a pose key
+ * @param {Object} weights - Pose name -> weight
+ * @param {string} key - e.g. 'leadElbow'
+ * @returns {number|null}
+ */
+function getBlendedAngle(weights, key) {
+    const base = POSES[MUSCLE_CONFIG.basePose];
+    let sum = 0;
+    let total = 0;
+    Object.entries(weights).forEach(([name, weight]) => {
+        if (weight <= 0) return;
+        const angle = POSES[name]?.[key] ?? base[key];
+        if (angle === undefined) return;
+        sum += angle * weight;
+        total += weight;
+    });
+    return total > 0 ? sum / total : null;
+}
+
+/**
+ * Convert a pose angle into a target relative angle (child − parent) for one joint
+ * @param {Object} muscle - MUSCLES entry
+ * @param {number} degrees - Pose angle
+ * @param {number} facing - +1 right, -1 left
+ * @returns {number} Radians
+ */
+function toRelativeAngle(muscle, degrees, facing) {
+    const angle = degrees * DEG;
+    switch (muscle.type) {
+        case 'neck':
+        case 'spine':
+        case 'knee':
+        case 'ankle':
+            return facing * angle;
+        case 'elbow':
+            return -facing * angle;
+        case 'shoulder': {
+            // Arms spawn pointing sideways (left arm: π, right arm: 0)
+            const direction = Math.atan2(Math.cos(angle), facing * Math.sin(angle));
+            return normalizeAngle(direction - (muscle.side === 'left' ? Math.PI : 0));
+        }
+        case 'hip': {
+            // Legs spawn pointing down (π/2)
+            const direction = Math.atan2(Math.cos(angle), facing * Math.sin(angle));
+            return normalizeAngle(direction - Math.PI / 2);
+        }
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Pose key for a muscle given which side leads
+ * @param {Object} muscle
+ * @param {string} leadSide - 'left' | 'right'
+ * @returns {string}
+ */
+function getPoseKey(muscle, leadSide) {
+    if (!muscle.side) return muscle.key;
+    return `${muscle.side === leadSide ? 'lead' : 'rear'}${muscle.key}`;
+}
+
+/**
+ * Apply one PD muscle
+ * @param {Matter.Body} parent
+ * @param {Matter.Body} child
+ * @param {number} target - Target relative angle (rad)
+ * @param {Object} gains - { kp, kd, maxTorque }
+ * @param {number} strength - 0..1
+ * @param {number} fixedDelta - ms per tick
+ * @returns {number} Current relative angle (rad)
+ */
+function driveJoint(parent, child, target, gains, strength, fixedDelta) {
+    const angle = normalizeAngle(child.angle - parent.angle);
+    const error = normalizeAngle(target - angle);
+    const omega = child.angularVelocity - parent.angularVelocity;
+
+    // Scaled by the pair's reduced inertia so kp/kd act on the relative angle the same way
+    // for a hand on a forearm or a torso on a pelvis (torque goes on both bodies)
+    const inertia = 1 / (child.inverseInertia + parent.inverseInertia);
+    const raw = inertia * (gains.kp * error - gains.kd * omega) / (fixedDelta * fixedDelta);
+    const limit = gains.maxTorque * strength;
+    const torque = Math.max(-limit, Math.min(limit, raw * strength));
+
+    child.torque += torque;
+    parent.torque -= torque;
+    return angle;
+}
+
+/**
+ * Drive all of one fighter's muscles for a tick
+ * @param {Object} fighter
+ * @param {number} fixedDelta
+ */
+function updateFighterMuscles(fighter, fixedDelta) {
+    const data = getData(fighter);
+
+    // Blend pose weights toward their targets
+    const names = new Set([...Object.keys(data.weights), ...Object.keys(data.targets)]);
+    names.forEach(name => {
+        const current = data.weights[name] ?? 0;
+        const target = data.targets[name] ?? 0;
+        const next = current + (target - current) * MUSCLE_CONFIG.blendRate;
+        if (target === 0 && next < 0.01) delete data.weights[name];
+        else data.weights[name] = next;
+    });
+
+    let strength = data.strength;
+    if (fighter.health <= 0) strength = 0;
+    else if (isStunned(fighter)) strength *= MUSCLE_CONFIG.stunnedStrength;
+    if (strength <= 0) return;
+
+    data.facing = getFacing(fighter, data.facing);
+    const leadSide = data.facing > 0 ? 'right' : 'left';
+
+    // Joints the current attack owns
+    const attack = fighter.attack;
+    const attackJoints = attack ? ATTACK_JOINTS[attack.motion.limb] : [];
+
+    const bodies = fighter.ragdoll.bodies;
+    MUSCLES.forEach(muscle => {
+        if (attack && muscle.side === attack.side && attackJoints.includes(muscle.type)) return;
+
+        const key = getPoseKey(muscle, leadSide);
+        const degrees = getBlendedAngle(data.weights, key);
+        if (degrees === null) return;
+
+        const parent = getPart(bodies, muscle.side, muscle.parent);
+        const child = getPart(bodies, muscle.side, muscle.child);
+        if (!isPartAttached(fighter, child.label)) return;
+
+        const target = toRelativeAngle(muscle, degrees, data.facing);
+        const jointStrength = strength * getMuscleMultiplier(fighter, child.label);
+        const angle = driveJoint(parent, child, target, MUSCLE_CONFIG.joints[muscle.type], jointStrength, fixedDelta);
+        data.angles[muscle.side ? `${muscle.side}${muscle.key}` : muscle.key] = { angle, target };
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize muscles
+ * @param {Array} fighterList
+ */
+export function initMuscles(fighterList) {
+    setFighters(fighterList);
+    console.log('[Muscles] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroyMuscles() {
+    fighters = [];
+    muscleData.clear();
+}
+
+/**
+ * Update the fighter list (after respawn; every fighter starts in the base pose)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    fighters = fighterList || [];
+    muscleData.clear();
+}
+
+/**
+ * Switch to a pose, blending out every other pose
+ * @param {Object} fighter
+ * @param {string} name - Key of POSES
+ * @param {number} weight - Target weight (default 1)
+ */
+export function setPose(fighter, name, weight = 1) {
+    if (!POSES[name]) {
+        console.warn(`[Muscles] Unknown pose "${name}"`);
+        return;
+    }
+    getData(fighter).targets = { [name]: weight };
+}
+
+/**
+ * Blend a pose in (or out with weight 0) on top of the others
+ * @param {Object} fighter
+ * @param {string} name - Key of POSES
+ * @param {number} weight - Target weight
+ */
+export function blendPose(fighter, name, weight) {
+    if (!POSES[name]) {
+        console.warn(`[Muscles] Unknown pose "${name}"`);
+        return;
+    }
+    const data = getData(fighter);
+    if (weight > 0) data.targets[name] = weight;
+    else delete data.targets[name];
+}
+
+/**
+ * Get current (blended) pose weights
+ * @param {Object} fighter
+ * @returns {Object} Pose name -> weight
+ */
+export function getPoseWeights(fighter) {
+    return { ...getData(fighter).weights };
+}
+
+/**
+ * Scale all of a fighter's muscles (0 = limp, 1 = full strength)
+ * @param {Object} fighter
+ * @param {number} strength
+ */
+export function setMuscleStrength(fighter, strength) {
+    getData(fighter).strength = Math.max(0, strength);
+}
+
+/**
+ * Get a fighter's muscle strength
+ * @param {Object} fighter
+ * @returns {number}
+ */
+export function getMuscleStrength(fighter) {
+    return getData(fighter).strength;
+}
+
+/**
+ * Get last tick's joint angles and targets (radians, for debugging)
+ * @param {Object} fighter
+ * @returns {Object} Joint name (e.g. 'leftElbow') -> { angle, target }
+ */
+export function getJointAngles(fighter) {
+    return { ...getData(fighter).angles };
+}
+
+/**
+ * Drive all muscles — register as a Simulator pre-step hook (after AttackMotions)
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateMuscles(engine, tick, fixedDelta) {
+    fighters.forEach(fighter => {
+        if (fighter?.ragdoll) updateFighterMuscles(fighter, fixedDelta);
+    });
+}
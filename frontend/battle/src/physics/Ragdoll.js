@@ -57,8 +57,16 @@ export const RAGDOLL_CONFIG = {
         density: 0.001,
     },
 
+    // Extra density on torso + pelvis (armor weight; 0 = unarmored)
+    coreDensity: 0,
+
     // Collision group (all parts collide with world but not each other)
     collisionGroup: -1,
+
+    // Max random angular velocity given to each part on spawn (rad/tick).
+    // Drawn from options.rng (a SeededRNG stream); no jitter without one.
+    spawnJitter: 0.02,
+    rng: null,
 };
 
 // =============================================================================
@@ -89,6 +97,12 @@ export function createRagdoll(x, y, options = {}) {
         },
     });
 
+    // Core options (torso/pelvis carry the armor weight)
+    const coreOptions = (label) => ({
+        ...bodyOptions(label),
+        density: config.physics.density + config.coreDensity,
+    });
+
     // Foot options (higher friction for ground grip)
     const footOptions = (label) => ({
         label,
@@ -126,14 +140,14 @@ export function createRagdoll(x, y, options = {}) {
     const torso = Bodies.rectangle(
         x, torsoY,
         config.torso.width * s, config.torso.height * s,
-        bodyOptions('torso')
+        coreOptions('torso')
     );
 
     // Pelvis
     const pelvis = Bodies.rectangle(
         x, pelvisY,
         config.pelvis.width * s, config.pelvis.height * s,
-        bodyOptions('pelvis')
+        coreOptions('pelvis')
     );
 
     // Left arm
@@ -235,6 +249,13 @@ export function createRagdoll(x, y, options = {}) {
         rightUpperLeg, rightLowerLeg, rightFoot,
     };
 
+    // Seeded spawn jitter so fighters don't fall in perfect symmetry
+    if (config.rng && config.spawnJitter > 0) {
+        Object.values(bodies).forEach(body => {
+            Body.setAngularVelocity(body, config.rng.range(-config.spawnJitter, config.spawnJitter));
+        });
+    }
+
     // ==========================================================================
     // CREATE CONSTRAINTS
     // ==========================================================================
@@ -249,9 +270,10 @@ export function createRagdoll(x, y, options = {}) {
 
     const constraints = [];
 
-    // Helper to create point constraint
-    const connect = (bodyA, bodyB, pointA, pointB, options = {}) => {
+    // Helper to create a named point constraint (label = joint name, e.g. 'leftElbow')
+    const connect = (label, bodyA, bodyB, pointA, pointB, options = {}) => {
         return Constraint.create({
+            label,
             bodyA,
             bodyB,
             pointA,
@@ -263,98 +285,98 @@ export function createRagdoll(x, y, options = {}) {
 
     // Neck (head to torso)
     constraints.push(connect(
-        head, torso,
+        'neck', head, torso,
         { x: 0, y: config.head.radius * s },
         { x: 0, y: -config.torso.height * s / 2 }
     ));
 
     // Spine (torso to pelvis)
     constraints.push(connect(
-        torso, pelvis,
+        'spine', torso, pelvis,
         { x: 0, y: config.torso.height * s / 2 },
         { x: 0, y: -config.pelvis.height * s / 2 }
     ));
 
     // Left shoulder
     constraints.push(connect(
-        torso, leftUpperArm,
+        'leftShoulder', torso, leftUpperArm,
         { x: -config.torso.width * s / 2, y: -config.torso.height * s / 2 + 8 * s },
         { x: config.upperArm.height * s / 2, y: 0 }
     ));
 
     // Left elbow
     constraints.push(connect(
-        leftUpperArm, leftLowerArm,
+        'leftElbow', leftUpperArm, leftLowerArm,
         { x: -config.upperArm.height * s / 2, y: 0 },
         { x: config.lowerArm.height * s / 2, y: 0 }
     ));
 
     // Left wrist
     constraints.push(connect(
-        leftLowerArm, leftHand,
+        'leftWrist', leftLowerArm, leftHand,
         { x: -config.lowerArm.height * s / 2, y: 0 },
         { x: config.hand.width * s / 2, y: 0 }
     ));
 
     // Right shoulder
     constraints.push(connect(
-        torso, rightUpperArm,
+        'rightShoulder', torso, rightUpperArm,
         { x: config.torso.width * s / 2, y: -config.torso.height * s / 2 + 8 * s },
         { x: -config.upperArm.height * s / 2, y: 0 }
     ));
 
     // Right elbow
     constraints.push(connect(
-        rightUpperArm, rightLowerArm,
+        'rightElbow', rightUpperArm, rightLowerArm,
         { x: config.upperArm.height * s / 2, y: 0 },
         { x: -config.lowerArm.height * s / 2, y: 0 }
     ));
 
     // Right wrist
     constraints.push(connect(
-        rightLowerArm, rightHand,
+        'rightWrist', rightLowerArm, rightHand,
         { x: config.lowerArm.height * s / 2, y: 0 },
         { x: -config.hand.width * s / 2, y: 0 }
     ));
 
     // Left hip
     constraints.push(connect(
-        pelvis, leftUpperLeg,
+        'leftHip', pelvis, leftUpperLeg,
         { x: -config.pelvis.width * s / 4, y: config.pelvis.height * s / 2 },
         { x: 0, y: -config.upperLeg.height * s / 2 }
     ));
 
     // Left knee
     constraints.push(connect(
-        leftUpperLeg, leftLowerLeg,
+        'leftKnee', leftUpperLeg, leftLowerLeg,
         { x: 0, y: config.upperLeg.height * s / 2 },
         { x: 0, y: -config.lowerLeg.height * s / 2 }
     ));
 
     // Left ankle
     constraints.push(connect(
-        leftLowerLeg, leftFoot,
+        'leftAnkle', leftLowerLeg, leftFoot,
         { x: 0, y: config.lowerLeg.height * s / 2 },
         { x: -4 * s, y: -config.foot.height * s / 2 }
     ));
 
     // Right hip
     constraints.push(connect(
-        pelvis, rightUpperLeg,
+        'rightHip', pelvis, rightUpperLeg,
         { x: config.pelvis.width * s / 4, y: config.pelvis.height * s / 2 },
         { x: 0, y: -config.upperLeg.height * s / 2 }
     ));
 
     // Right knee
     constraints.push(connect(
-        rightUpperLeg, rightLowerLeg,
+        'rightKnee', rightUpperLeg, rightLowerLeg,
         { x: 0, y: config.upperLeg.height * s / 2 },
         { x: 0, y: -config.lowerLeg.height * s / 2 }
     ));
 
     // Right ankle
     constraints.push(connect(
-        rightLowerLeg, rightFoot,
+        'rightAnkle', rightLowerLeg, rightFoot,
         { x: 0, y: config.lowerLeg.height * s / 2 },
         { x: -4 * s, y: -config.foot.height * s / 2 }
     ));
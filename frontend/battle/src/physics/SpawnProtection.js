@@ -0,0 +1,122 @@
+/**
+ * SpawnProtection.js — Fighters Pass Through Each Other Right After Spawning
+ *
+ * A fighter spawns in a T-pose about 170px wide, so a full arena (8 fighters)
+ * can't place everyone without arms overlapping. Overlapping bodies get pushed
+ * apart in a single step and fling their owners across the ring. For `ghostTime`
+ * after each spawn, every body of a fresh fighter (weapon included) is moved to
+ * its own collision category that fighters don't collide with; they still hit
+ * the floor, walls and projectiles. Afterwards the original filters come back.
+ * Runs once per fixed physics tick (Simulator pre-step hook).
+ */
+
+const { Composite } = Matter;
+
+// =============================================================================
+// SPAWN PROTECTION CONFIGURATION — Easy to tweak!
+// =============================================================================
+
+export const SPAWN_PROTECTION_CONFIG = {
+    // ms fresh fighters pass through each other (long enough for the arms to drop)
+    ghostTime: 1000,
+
+    // Collision category for ghosted bodies (masked out against itself)
+    category: 0x0002,
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let fighters = [];
+
+// Ghosted fighters (fighter id -> { bodies: [{ body, filter }], startTick })
+// startTick is null until the first tick after spawning
+const ghosts = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Move every body of a fighter to the ghost category, remembering its filter
+ * @param {Object} fighter
+ */
+function ghost(fighter) {
+    const { category } = SPAWN_PROTECTION_CONFIG;
+    const bodies = Composite.allBodies(fighter.ragdoll.composite).map(body => {
+        const filter = { category: body.collisionFilter.category, mask: body.collisionFilter.mask };
+        body.collisionFilter.category = category;
+        body.collisionFilter.mask = (filter.mask & ~category) >>> 0;
+        return { body, filter };
+    });
+    ghosts.set(fighter.id, { bodies, startTick: null });
+}
+
+/**
+ * Give a fighter's bodies their original filters back
+ * (severed parts included — they were recorded at spawn)
+ * @param {string} id - Fighter id
+ */
+function unghost(id) {
+    ghosts.get(id).bodies.forEach(({ body, filter }) => {
+        body.collisionFilter.category = filter.category;
+        body.collisionFilter.mask = filter.mask;
+    });
+    ghosts.delete(id);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize spawn protection (ghosts the starting fighters)
+ * @param {Array} fighterList
+ */
+export function initSpawnProtection(fighterList) {
+    setFighters(fighterList);
+    console.log('[SpawnProtection] Initialized');
+}
+
+/**
+ * Tear down (headless runs)
+ */
+export function destroySpawnProtection() {
+    setFighters([]);
+}
+
+/**
+ * Update the fighter list (after respawn; new fighters start ghosted)
+ * @param {Array} fighterList
+ */
+export function setFighters(fighterList) {
+    Array.from(ghosts.keys()).forEach(unghost);
+    fighters = fighterList || [];
+    fighters.forEach(f => {
+        if (f.ragdoll) ghost(f);
+    });
+}
+
+/**
+ * Check if a fighter still passes through other fighters
+ * @param {Object} fighter
+ * @returns {boolean}
+ */
+export function isGhosted(fighter) {
+    return ghosts.has(fighter?.id);
+}
+
+/**
+ * Restore fighters whose ghost time is up — register as a Simulator pre-step hook
+ * @param {Matter.Engine} engine
+ * @param {number} tick
+ * @param {number} fixedDelta
+ */
+export function updateSpawnProtection(engine, tick, fixedDelta) {
+    const ghostTicks = Math.round(SPAWN_PROTECTION_CONFIG.ghostTime / fixedDelta);
+    Array.from(ghosts.entries()).forEach(([id, entry]) => {
+        if (entry.startTick === null) entry.startTick = tick;
+        if (tick - entry.startTick >= ghostTicks) unghost(id);
+    });
+}
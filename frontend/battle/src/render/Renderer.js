@@ -3,9 +3,11 @@
  * 
  * Draws the arena bounds and debug overlays.
  * Uses simple canvas 2D drawing (no Matter.Render).
+ * Fighters are coloured by side: each team (or each fighter in a free-for-all)
+ * takes the next colour scheme in `COLORS.fighters`, in slot order.
  */
 
-import { getArenaConfig } from '../engine/World.js';
+import { getArenaConfig, getRingBounds } from '../engine/World.js';
 
 // Render configuration
 const COLORS = {
@@ -13,14 +15,55 @@ const COLORS = {
     arena: '#1a1a2e',
     walls: '#3d5a80',
     wallStroke: '#5c7a99',
+    ringEdge: 'rgba(233, 69, 96, 0.5)',
     debugText: '#eee',
     // Stick figure colors
     stickBody: '#e0e0e0',
     stickHead: '#ffffff',
     stickOutline: '#333333',
-    // Fighter-specific colors
-    fighterA: { body: '#60a5fa', head: '#93c5fd', outline: '#1e40af' }, // Blue
-    fighterB: { body: '#f87171', head: '#fca5a5', outline: '#991b1b' }, // Red
+    // Fighter colors, one per side in slot order (matches Fighter.js TEAMS)
+    fighters: [
+        { body: '#60a5fa', head: '#93c5fd', outline: '#1e40af' }, // Blue
+        { body: '#f87171', head: '#fca5a5', outline: '#991b1b' }, // Red
+        { body: '#4ade80', head: '#86efac', outline: '#166534' }, // Green
+        { body: '#facc15', head: '#fde047', outline: '#854d0e' }, // Gold
+        { body: '#c084fc', head: '#d8b4fe', outline: '#6b21a8' }, // Purple
+        { body: '#fb923c', head: '#fdba74', outline: '#9a3412' }, // Orange
+        { body: '#22d3ee', head: '#67e8f9', outline: '#155e75' }, // Cyan
+        { body: '#f472b6', head: '#f9a8d4', outline: '#9d174d' }, // Pink
+    ],
+    // Weapons (by type)
+    weapon: {
+        sword: '#cbd5e1',
+        spear: '#b45309',
+        hammer: '#78716c',
+        outline: '#1f2937',
+    },
+    // Armor plates (by tier)
+    armor: {
+        light: '#a16207',
+        medium: '#94a3b8',
+        heavy: '#e2e8f0',
+    },
+    // Severed joints
+    stump: '#b91c1c',
+    // Grapple grips (hand to the grabbed spot)
+    grip: '#fde047',
+    // Injured segments, by level (BRUISED, HURT, CRIPPLED), and how much they tint the fighter colour
+    injury: ['#facc15', '#a855f7', '#4c1d95'],
+    injuryTint: [0.4, 0.6, 0.8],
+    // Health bars
+    healthBack: '#1f2937',
+    healthHigh: '#4ade80',
+    healthMid: '#fbbf24',
+    healthLow: '#ef4444',
+};
+
+// Health bar layout (above the head)
+const HEALTH_BAR = {
+    width: 50,
+    height: 6,
+    offsetY: 14,   // Gap between head top and bar
 };
 
 // Module state
@@ -28,7 +71,7 @@ let canvas = null;
 let ctx = null;
 let arenaConfig = null;
 
-// Placeholder seed (will be real later)
+// Battle seed shown in the overlay (set by index.js)
 let currentSeed = '------';
 
 // Fighters to render
@@ -37,6 +80,21 @@ let fighters = [];
 // Floating impact numbers (set externally)
 let floatingNumbersGetter = null;
 
+// Spell projectiles and effects (set externally)
+let spellVisualsGetter = null;
+
+// Active status effects per fighter (set externally)
+let statusEffectsGetter = null;
+
+// Severed joints per fighter (set externally)
+let severedJointsGetter = null;
+
+// Injured parts per fighter (set externally)
+let injuriesGetter = null;
+
+// Grapple grips (set externally)
+let gripsGetter = null;
+
 /**
  * Initialize the renderer
  * @param {HTMLCanvasElement} canvasElement 
@@ -149,6 +207,28 @@ function drawArenaBackground() {
     );
 }
 
+/**
+ * Draw the ring edges (crossing one is a ring-out)
+ */
+function drawRingEdges() {
+    const { left, right } = getRingBounds();
+    const { ceilingY, floorY } = arenaConfig;
+
+    ctx.save();
+    ctx.strokeStyle = COLORS.ringEdge;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 8]);
+
+    [left, right].forEach(x => {
+        ctx.beginPath();
+        ctx.moveTo(x, ceilingY);
+        ctx.lineTo(x, floorY);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
 /**
  * Update debug overlay elements
  * @param {Object} debugInfo 
@@ -178,6 +258,7 @@ export function render(engine, debugInfo) {
 
     // Draw arena background
     drawArenaBackground();
+    drawRingEdges();
 
     // Draw arena bounds
     const bounds = {
@@ -189,13 +270,31 @@ export function render(engine, debugInfo) {
     drawArenaBounds(bounds);
 
     // Draw fighters as stick figures
-    fighters.forEach((fighter, index) => {
+    fighters.forEach(fighter => {
         if (fighter && fighter.ragdoll) {
-            const colorScheme = index === 0 ? COLORS.fighterA : COLORS.fighterB;
-            drawStickFigure(fighter.ragdoll, colorScheme);
+            const colorScheme = getColorScheme(fighter);
+            const effects = statusEffectsGetter ? statusEffectsGetter(fighter) : [];
+            drawStatusTint(fighter, effects);
+            const severed = severedJointsGetter ? severedJointsGetter(fighter) : [];
+            const injuries = injuriesGetter ? injuriesGetter(fighter) : {};
+            drawStickFigure(fighter.ragdoll, colorScheme, severed, injuries);
+            drawArmor(fighter);
+            drawWeapon(fighter);
+            drawHealthBar(fighter, colorScheme);
+            drawStatusIcons(fighter, effects);
         }
     });
 
+    // Draw grapple grips over both fighters
+    if (gripsGetter) {
+        drawGrips(gripsGetter());
+    }
+
+    // Draw spell projectiles and effects
+    if (spellVisualsGetter) {
+        drawSpells(spellVisualsGetter());
+    }
+
     // Draw floating impact numbers
     if (floatingNumbersGetter) {
         const numbers = floatingNumbersGetter();
@@ -234,12 +333,79 @@ function drawFloatingNumbers(numbers) {
     ctx.globalAlpha = 1.0;
 }
 
+/**
+ * Draw each grapple grip as a short line from the hand to the grabbed spot
+ * @param {Array} grips - [{ from, to }] from Grapple.getGrips()
+ */
+function drawGrips(grips) {
+    if (!grips || grips.length === 0) return;
+
+    ctx.strokeStyle = COLORS.grip;
+    ctx.fillStyle = COLORS.grip;
+    ctx.lineWidth = 3;
+    grips.forEach(({ from, to }) => {
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(to.x, to.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+/**
+ * Draw spell projectiles, blasts and lightning strikes
+ * @param {Object} visuals - { projectiles, effects } from SpellSystem.getSpellVisuals()
+ */
+function drawSpells(visuals) {
+    if (!visuals) return;
+
+    visuals.projectiles.forEach(p => {
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    visuals.effects.forEach(effect => {
+        ctx.globalAlpha = 1 - effect.progress;
+        ctx.strokeStyle = effect.color;
+
+        if (effect.type === 'strike') {
+            // Zigzag bolt from the ceiling (fixed offsets, no randomness)
+            const top = arenaConfig ? arenaConfig.wallThickness : 0;
+            const segments = 6;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(effect.x, top);
+            for (let i = 1; i <= segments; i++) {
+                const offset = i === segments ? 0 : (i % 2 ? 10 : -10);
+                ctx.lineTo(effect.x + offset, top + (effect.y - top) * i / segments);
+            }
+            ctx.stroke();
+        }
+
+        // Expanding ring out to the blast radius (a small puff for fizzles)
+        const radius = effect.type === 'fizzle' ? effect.radius * 0.3 : effect.radius;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(effect.x, effect.y, radius * (0.5 + effect.progress * 0.5), 0, Math.PI * 2);
+        ctx.stroke();
+    });
+
+    ctx.globalAlpha = 1.0;
+}
+
 /**
  * Draw a stick figure from ragdoll bodies
  * @param {Object} ragdoll 
  * @param {Object} colorScheme - Optional color scheme { body, head, outline }
+ * @param {Array} severed - Severed joints [{ joint, child, stump }] (Dismemberment.js)
+ * @param {Object} injuries - Body label -> injury level (Injuries.js)
  */
-function drawStickFigure(ragdoll, colorScheme = null) {
+function drawStickFigure(ragdoll, colorScheme = null, severed = [], injuries = {}) {
     const { bodies } = ragdoll;
 
     // Use provided colors or defaults
@@ -265,77 +431,41 @@ function drawStickFigure(ragdoll, colorScheme = null) {
     const torso = bodies.torso.position;
     const pelvis = bodies.pelvis.position;
 
-    const leftUpperArm = bodies.leftUpperArm.position;
-    const leftLowerArm = bodies.leftLowerArm.position;
-    const leftHand = bodies.leftHand.position;
-
-    const rightUpperArm = bodies.rightUpperArm.position;
-    const rightLowerArm = bodies.rightLowerArm.position;
-    const rightHand = bodies.rightHand.position;
-
-    const leftUpperLeg = bodies.leftUpperLeg.position;
-    const leftLowerLeg = bodies.leftLowerLeg.position;
-    const leftFoot = bodies.leftFoot.position;
-
-    const rightUpperLeg = bodies.rightUpperLeg.position;
-    const rightLowerLeg = bodies.rightLowerLeg.position;
-    const rightFoot = bodies.rightFoot.position;
-
     // Calculate neck position (top of torso)
     const neckY = bodies.torso.bounds.min.y + 5;
     const neck = { x: torso.x, y: neckY };
 
-    // Draw body outline first (darker, thicker)
-    const outlineWidth = 7;
-
-    // Spine outline
-    drawLine(neck, pelvis, outlineWidth, outlineColor);
-
-    // Left arm outline
-    drawLine(neck, leftUpperArm, outlineWidth, outlineColor);
-    drawLine(leftUpperArm, leftLowerArm, outlineWidth, outlineColor);
-    drawLine(leftLowerArm, leftHand, outlineWidth, outlineColor);
-
-    // Right arm outline
-    drawLine(neck, rightUpperArm, outlineWidth, outlineColor);
-    drawLine(rightUpperArm, rightLowerArm, outlineWidth, outlineColor);
-    drawLine(rightLowerArm, rightHand, outlineWidth, outlineColor);
-
-    // Left leg outline
-    drawLine(pelvis, leftUpperLeg, outlineWidth, outlineColor);
-    drawLine(leftUpperLeg, leftLowerLeg, outlineWidth, outlineColor);
-    drawLine(leftLowerLeg, leftFoot, outlineWidth, outlineColor);
+    // Limb segments: from, to, the joint the `to` body hangs from, and that body
+    const segments = [];
+    ['left', 'right'].forEach(side => {
+        segments.push(
+            [neck, bodies[`${side}UpperArm`].position, `${side}Shoulder`, `${side}UpperArm`],
+            [bodies[`${side}UpperArm`].position, bodies[`${side}LowerArm`].position, `${side}Elbow`, `${side}LowerArm`],
+            [bodies[`${side}LowerArm`].position, bodies[`${side}Hand`].position, `${side}Wrist`, `${side}Hand`],
+            [pelvis, bodies[`${side}UpperLeg`].position, `${side}Hip`, `${side}UpperLeg`],
+            [bodies[`${side}UpperLeg`].position, bodies[`${side}LowerLeg`].position, `${side}Knee`, `${side}LowerLeg`],
+            [bodies[`${side}LowerLeg`].position, bodies[`${side}Foot`].position, `${side}Ankle`, `${side}Foot`],
+        );
+    });
 
-    // Right leg outline
-    drawLine(pelvis, rightUpperLeg, outlineWidth, outlineColor);
-    drawLine(rightUpperLeg, rightLowerLeg, outlineWidth, outlineColor);
-    drawLine(rightLowerLeg, rightFoot, outlineWidth, outlineColor);
+    // A severed part keeps its own length (drawn along its long axis) instead of the link to its parent
+    const severedJoints = new Set(severed.map(({ joint }) => joint));
+    const lines = [[neck, pelvis, null, 'torso'], ...segments.filter(([, , joint]) => !severedJoints.has(joint))];
+    severed.forEach(({ joint, child }) => lines.push([...getLongAxis(bodies[child]), joint, child]));
 
-    // Draw main body (lighter, thinner on top)
+    // Draw body outline first (darker, thicker), then the body on top (tinted where injured)
+    const outlineWidth = 7;
     const bodyWidth = 4;
+    lines.forEach(([from, to]) => drawLine(from, to, outlineWidth, outlineColor));
+    lines.forEach(([from, to, , part]) => drawLine(from, to, bodyWidth, getInjuryColor(bodyColor, injuries[part])));
 
-    // Spine (neck to pelvis)
-    drawLine(neck, pelvis, bodyWidth);
-
-    // Left arm
-    drawLine(neck, leftUpperArm, bodyWidth);
-    drawLine(leftUpperArm, leftLowerArm, bodyWidth);
-    drawLine(leftLowerArm, leftHand, bodyWidth);
-
-    // Right arm
-    drawLine(neck, rightUpperArm, bodyWidth);
-    drawLine(rightUpperArm, rightLowerArm, bodyWidth);
-    drawLine(rightLowerArm, rightHand, bodyWidth);
-
-    // Left leg
-    drawLine(pelvis, leftUpperLeg, bodyWidth);
-    drawLine(leftUpperLeg, leftLowerLeg, bodyWidth);
-    drawLine(leftLowerLeg, leftFoot, bodyWidth);
-
-    // Right leg
-    drawLine(pelvis, rightUpperLeg, bodyWidth);
-    drawLine(rightUpperLeg, rightLowerLeg, bodyWidth);
-    drawLine(rightLowerLeg, rightFoot, bodyWidth);
+    // Stumps where severed limbs came off
+    ctx.fillStyle = COLORS.stump;
+    severed.forEach(({ stump }) => {
+        ctx.beginPath();
+        ctx.arc(stump.x, stump.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    });
 
     // Draw head (circle)
     const headRadius = bodies.head.circleRadius || 18;
@@ -357,6 +487,174 @@ function drawStickFigure(ragdoll, colorScheme = null) {
     drawLine(head, neck, bodyWidth);
 }
 
+/**
+ * Tint a segment colour by injury level
+ * @param {string} color - Hex colour ('#rrggbb')
+ * @param {number|undefined} level - Injury level (0/undefined = uninjured)
+ * @returns {string}
+ */
+function getInjuryColor(color, level) {
+    if (!level) return color;
+    const tint = COLORS.injury[level - 1];
+    const t = COLORS.injuryTint[level - 1];
+    const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+    const mixed = [0, 1, 2].map(i => Math.round(channel(color, i) * (1 - t) + channel(tint, i) * t));
+    return `rgb(${mixed.join(', ')})`;
+}
+
+/**
+ * Ends of a rectangular body's long axis
+ * @param {Matter.Body} body
+ * @returns {Array} [{x, y}, {x, y}]
+ */
+function getLongAxis(body) {
+    const [a, b, c] = body.vertices;
+    const ab = Math.hypot(b.x - a.x, b.y - a.y);
+    const bc = Math.hypot(c.x - b.x, c.y - b.y);
+    const half = ab >= bc
+        ? { x: (b.x - a.x) / 2, y: (b.y - a.y) / 2 }
+        : { x: (c.x - b.x) / 2, y: (c.y - b.y) / 2 };
+    const { x, y } = body.position;
+    return [{ x: x - half.x, y: y - half.y }, { x: x + half.x, y: y + half.y }];
+}
+
+/**
+ * Draw a fighter's armor as a plate over the torso and pelvis
+ * @param {Object} fighter
+ */
+function drawArmor(fighter) {
+    if (!fighter.armor) return;
+
+    const { torso, pelvis } = fighter.ragdoll.bodies;
+    ctx.fillStyle = COLORS.armor[fighter.armor.def.tier] || COLORS.armor.medium;
+    ctx.globalAlpha = 0.7;
+
+    [torso, pelvis].forEach(body => {
+        const vertices = body.vertices;
+        ctx.beginPath();
+        ctx.moveTo(vertices[0].x, vertices[0].y);
+        for (let i = 1; i < vertices.length; i++) {
+            ctx.lineTo(vertices[i].x, vertices[i].y);
+        }
+        ctx.closePath();
+        ctx.fill();
+    });
+
+    ctx.globalAlpha = 1.0;
+}
+
+/**
+ * Draw a fighter's weapon (body outline; hammers get a head at the tip)
+ * @param {Object} fighter
+ */
+function drawWeapon(fighter) {
+    if (!fighter.weapon) return;
+
+    const { body, def, length, scale } = fighter.weapon;
+    const vertices = body.vertices;
+
+    ctx.fillStyle = COLORS.weapon[def.type] || COLORS.weapon.sword;
+    ctx.strokeStyle = COLORS.weapon.outline;
+    ctx.lineWidth = 1;
+
+    ctx.beginPath();
+    ctx.moveTo(vertices[0].x, vertices[0].y);
+    for (let i = 1; i < vertices.length; i++) {
+        ctx.lineTo(vertices[i].x, vertices[i].y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    if (def.type === 'hammer') {
+        // Head sits on the tip of the (scaled) body
+        const tipDistance = length / 2 - 5 * scale;
+        const tipX = body.position.x + Math.cos(body.angle) * tipDistance;
+        const tipY = body.position.y + Math.sin(body.angle) * tipDistance;
+
+        ctx.save();
+        ctx.translate(tipX, tipY);
+        ctx.rotate(body.angle);
+        ctx.scale(scale, scale);
+        ctx.fillRect(-5, -10, 10, 20);
+        ctx.strokeRect(-5, -10, 10, 20);
+        ctx.restore();
+    }
+}
+
+/**
+ * Draw a health bar above a fighter's head
+ * @param {Object} fighter
+ * @param {Object} colorScheme - { outline }
+ */
+function drawHealthBar(fighter, colorScheme) {
+    if (!fighter.maxHealth) return;
+
+    const head = fighter.ragdoll.bodies.head;
+    const radius = head.circleRadius || 18;
+    const x = head.position.x - HEALTH_BAR.width / 2;
+    const y = head.position.y - radius - HEALTH_BAR.offsetY;
+    const ratio = Math.max(0, fighter.health / fighter.maxHealth);
+
+    // Background
+    ctx.fillStyle = COLORS.healthBack;
+    ctx.fillRect(x, y, HEALTH_BAR.width, HEALTH_BAR.height);
+
+    // Fill (green → yellow → red)
+    if (ratio > 0.5) ctx.fillStyle = COLORS.healthHigh;
+    else if (ratio > 0.25) ctx.fillStyle = COLORS.healthMid;
+    else ctx.fillStyle = COLORS.healthLow;
+    ctx.fillRect(x, y, HEALTH_BAR.width * ratio, HEALTH_BAR.height);
+
+    // Border in fighter color
+    ctx.strokeStyle = colorScheme?.outline || COLORS.stickOutline;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, HEALTH_BAR.width, HEALTH_BAR.height);
+}
+
+/**
+ * Draw a soft glow around the torso in the color of each active effect
+ * @param {Object} fighter
+ * @param {Array} effects - [{ color }] from StatusEffects.getActiveEffects()
+ */
+function drawStatusTint(fighter, effects) {
+    if (!effects || effects.length === 0) return;
+
+    const torso = fighter.ragdoll.bodies.torso.position;
+    ctx.globalAlpha = 0.25;
+    effects.forEach((effect, i) => {
+        ctx.fillStyle = effect.color;
+        ctx.beginPath();
+        ctx.arc(torso.x, torso.y, 40 + i * 6, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.globalAlpha = 1.0;
+}
+
+/**
+ * Draw one icon per active effect above the health bar (stack count if > 1)
+ * @param {Object} fighter
+ * @param {Array} effects - [{ color, icon, stacks }] from StatusEffects.getActiveEffects()
+ */
+function drawStatusIcons(fighter, effects) {
+    if (!effects || effects.length === 0) return;
+
+    const head = fighter.ragdoll.bodies.head;
+    const radius = head.circleRadius || 18;
+    const y = head.position.y - radius - HEALTH_BAR.offsetY - 10;
+    const startX = head.position.x - (effects.length - 1) * 8;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 12px "Segoe UI", sans-serif';
+
+    effects.forEach((effect, i) => {
+        const label = effect.stacks > 1 ? `${effect.icon}${effect.stacks}` : effect.icon;
+        ctx.fillStyle = effect.color;
+        ctx.fillText(label, startX + i * 16, y);
+    });
+}
+
 /**
  * Set fighters to render
  * @param {Array} fighterList 
@@ -365,6 +663,17 @@ export function setFighters(fighterList) {
     fighters = fighterList || [];
 }
 
+/**
+ * Get a fighter's colour scheme (shared by its team)
+ * @param {Object} fighter
+ * @returns {Object} { body, head, outline }
+ */
+export function getColorScheme(fighter) {
+    const sides = [...new Set(fighters.map(f => f?.team))];
+    const index = Math.max(0, sides.indexOf(fighter?.team));
+    return COLORS.fighters[index % COLORS.fighters.length];
+}
+
 /**
  * Get canvas dimensions
  * @returns {Object} { width, height }
@@ -384,4 +693,42 @@ export function setFloatingNumbersGetter(getter) {
     floatingNumbersGetter = getter;
 }
 
+/**
+ * Set the function that provides spell visuals
+ * @param {Function} getter - Function returning { projectiles, effects }
+ */
+export function setSpellVisualsGetter(getter) {
+    spellVisualsGetter = getter;
+}
+
+/**
+ * Set the function that provides a fighter's severed joints
+ * @param {Function} getter - Function (fighter) returning [{ joint, child, stump }]
+ */
+export function setSeveredJointsGetter(getter) {
+    severedJointsGetter = getter;
+}
+
+/**
+ * Set the function that provides a fighter's injured parts
+ * @param {Function} getter - Function (fighter) returning { bodyLabel: level }
+ */
+export function setInjuriesGetter(getter) {
+    injuriesGetter = getter;
+}
 
+/**
+ * Set the function that provides the grapple grips
+ * @param {Function} getter - Function returning [{ from, to }]
+ */
+export function setGripsGetter(getter) {
+    gripsGetter = getter;
+}
+
+/**
+ * Set the function that provides a fighter's active status effects
+ * @param {Function} getter - Function (fighter) returning [{ type, stacks, remaining, color, icon }]
+ */
+export function setStatusEffectsGetter(getter) {
+    statusEffectsGetter = getter;
+}
@@ -0,0 +1,119 @@
+/**
+ * ReplayPlayer.js — Battle Replay Playback
+ *
+ * Re-runs a recorded fight: the caller resets the battle with the replay's seed and
+ * loadouts, then this module re-applies each toggle on the tick it was recorded
+ * (Simulator pre-step hook) and compares AI decisions against the log to flag desyncs.
+ */
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let replay = null;
+let callbacks = {};
+
+// Next toggle / decision to match (logs are in tick order)
+let toggleIndex = 0;
+let decisionIndex = 0;
+
+// Playback debug state (exported for overlay)
+export const playbackState = {
+    playing: false,
+    tick: 0,
+    totalTicks: 0,
+    desyncs: 0,
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Start playing a replay (call right after resetting with replay.seed and replay.fighters)
+ * @param {Object} replayData - Parsed replay (see ReplayRecorder.parseReplay)
+ * @param {Object} options - { onToggle(toggle), onEnd() }
+ */
+export function startPlayback(replayData, options = {}) {
+    replay = replayData;
+    callbacks = options;
+    toggleIndex = 0;
+    decisionIndex = 0;
+
+    playbackState.playing = true;
+    playbackState.tick = 0;
+    playbackState.totalTicks = replay.ticks;
+    playbackState.desyncs = 0;
+
+    console.log(`[Replay] Playing seed ${replay.seed} (${replay.ticks} ticks)`);
+}
+
+/**
+ * Stop playback
+ */
+export function stopPlayback() {
+    if (!playbackState.playing) return;
+
+    playbackState.playing = false;
+    replay = null;
+    callbacks = {};
+    console.log('[Replay] Playback stopped');
+}
+
+/**
+ * Check if a replay is playing
+ * @returns {boolean}
+ */
+export function isPlaying() {
+    return playbackState.playing;
+}
+
+/**
+ * Apply recorded toggles for this tick — register as the first Simulator pre-step hook
+ * @param {Matter.Engine} engine
+ * @param {number} tick - Tick about to be simulated
+ */
+export function updateReplayPlayer(engine, tick) {
+    if (!playbackState.playing) return;
+
+    playbackState.tick = tick;
+
+    // End of recording
+    if (tick >= replay.ticks) {
+        const onEnd = callbacks.onEnd;
+        console.log(`[Replay] Finished (${playbackState.desyncs} desyncs)`);
+        stopPlayback();
+        if (onEnd) onEnd();
+        return;
+    }
+
+    // Re-apply toggles recorded for this tick
+    while (toggleIndex < replay.toggles.length && replay.toggles[toggleIndex].tick <= tick) {
+        const toggle = replay.toggles[toggleIndex++];
+        if (callbacks.onToggle) callbacks.onToggle(toggle);
+    }
+}
+
+/**
+ * Compare a live AI decision against the recorded log
+ * @param {number} tick
+ * @param {string} fighterId
+ * @param {string} action
+ * @returns {boolean} True if the decision matches the recording
+ */
+export function checkDecision(tick, fighterId, action) {
+    if (!playbackState.playing) return true;
+
+    const expected = replay.decisions[decisionIndex++];
+    const matches = expected
+        && expected.tick === tick
+        && expected.fighter === fighterId
+        && expected.action === action;
+
+    if (!matches) {
+        playbackState.desyncs++;
+        console.warn(`[Replay] Desync at tick ${tick}: got ${fighterId} ${action}, expected`, expected);
+    }
+
+    return matches;
+}
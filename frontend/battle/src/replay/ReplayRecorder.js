@@ -0,0 +1,152 @@
+/**
+ * ReplayRecorder.js — Battle Replay Logging
+ *
+ * Captures everything needed to reproduce a fight: the seed, fighter loadouts,
+ * and every input toggle (AI on/off, player control and player input, balance, respawn)
+ * with the tick it took effect.
+ * AI decisions are logged too — not needed to re-run the fight (the seed does that)
+ * but used by ReplayPlayer to detect desyncs and by the backend's killLog/decisions.
+ *
+ * Replay format (matches POST /api/battles/end `replay`):
+ * { version, seed, ticks, fighters, settings, toggles, decisions, killLog }
+ */
+
+// =============================================================================
+// REPLAY CONFIGURATION
+// =============================================================================
+
+export const REPLAY_CONFIG = {
+    // Bump when the format changes; older replays are rejected on import
+    version: 1,
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+// Replay being recorded (null when not recording)
+let recording = null;
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Start a new recording
+ * @param {number} seed - Battle seed
+ * @param {Array} loadouts - Fighter loadouts used to spawn the fight
+ * @param {Object} settings - Toggle state at tick 0, e.g. { balanceEnabled, balanceMode, dismemberment }
+ */
+export function startRecording(seed, loadouts, settings = {}) {
+    recording = {
+        version: REPLAY_CONFIG.version,
+        seed,
+        ticks: 0,
+        fighters: loadouts.map(loadout => ({ ...loadout })),
+        settings: { ...settings },
+        toggles: [],
+        decisions: [],
+        killLog: [],
+    };
+    console.log(`[Replay] Recording started (seed ${seed})`);
+}
+
+/**
+ * Stop recording
+ * @returns {Object|null} The finished replay
+ */
+export function stopRecording() {
+    const replay = recording;
+    recording = null;
+    if (replay) {
+        console.log(`[Replay] Recording stopped (${replay.ticks} ticks)`);
+    }
+    return replay;
+}
+
+/**
+ * Check if a recording is in progress
+ * @returns {boolean}
+ */
+export function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Log an input toggle
+ * @param {number} tick - Tick the toggle takes effect before
+ * @param {string} type - 'ai' | 'player' | 'input' | 'balance' | 'balanceMode' | 'dismemberment' | 'respawn' | 'attack'
+ * @param {string|null} target - Fighter id (for per-fighter toggles)
+ * @param {string|number|Object|null} value - Extra input data (attack type, player slot, input state)
+ */
+export function recordToggle(tick, type, target = null, value = null) {
+    if (!recording) return;
+    recording.toggles.push(value === null ? { tick, type, target } : { tick, type, target, value });
+}
+
+/**
+ * Log an AI decision
+ * @param {number} tick
+ * @param {string} fighterId
+ * @param {string} action - e.g. 'APPROACH'
+ * @param {Object} data - Extra decision data
+ */
+export function recordDecision(tick, fighterId, action, data = {}) {
+    if (!recording) return;
+    recording.decisions.push({ tick, fighter: fighterId, action, ...data });
+}
+
+/**
+ * Log a kill (the damage event that KO'd a fighter)
+ * @param {Object} entry - { tick, attacker, defender, damage, hitType, bodyPart }
+ */
+export function recordKill(entry) {
+    if (!recording) return;
+    recording.killLog.push({ ...entry });
+}
+
+/**
+ * Get a snapshot of the current recording
+ * @param {number} ticks - Ticks simulated so far
+ * @returns {Object|null}
+ */
+export function getReplay(ticks) {
+    if (!recording) return null;
+    recording.ticks = ticks;
+    return JSON.parse(JSON.stringify(recording));
+}
+
+/**
+ * Serialize a replay to JSON
+ * @param {Object} replay
+ * @returns {string}
+ */
+export function exportReplay(replay) {
+    return JSON.stringify(replay, null, 2);
+}
+
+/**
+ * Parse and validate replay JSON
+ * @param {string} json
+ * @returns {Object} Replay
+ * @throws {Error} If the JSON is not a usable replay
+ */
+export function parseReplay(json) {
+    const replay = JSON.parse(json);
+
+    if (replay.version !== REPLAY_CONFIG.version) {
+        throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    if (!Number.isFinite(replay.seed) || !Array.isArray(replay.fighters)) {
+        throw new Error('Replay is missing seed or fighters');
+    }
+
+    return {
+        ...replay,
+        // Replays from before balance modes / dismemberment ran the support spring with unbreakable joints
+        settings: { balanceEnabled: true, balanceMode: 'spring', dismemberment: false, ...replay.settings },
+        toggles: replay.toggles || [],
+        decisions: replay.decisions || [],
+        killLog: replay.killLog || [],
+    };
+}
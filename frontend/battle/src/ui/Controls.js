@@ -3,9 +3,12 @@
  * 
  * Wires up simulation controls (Start, Pause, Step, Reset).
  * Handles keyboard shortcuts for quick control.
+ * Once the match is over the simulation stays paused under the result overlay:
+ * resume and step are refused, and Reset / R starts the rematch running.
  */
 
 import * as Simulator from '../engine/Simulator.js';
+import { isMatchOver } from '../engine/MatchController.js';
 
 // DOM elements
 let btnStart = null;
@@ -60,12 +63,15 @@ function handleStart() {
 }
 
 /**
- * Handle Pause/Resume button click
+ * Handle Pause/Resume button click (and Space)
  */
 function handlePause() {
     if (!Simulator.getIsRunning()) {
         // Not started yet, start instead
         Simulator.start();
+    } else if (Simulator.getIsPaused() && isMatchOver()) {
+        // The match is decided — only a rematch gets the fight going again
+        return;
     } else {
         Simulator.togglePause();
     }
@@ -73,9 +79,10 @@ function handlePause() {
 }
 
 /**
- * Handle Step button click
+ * Handle Step button click (and N)
  */
 function handleStep() {
+    if (isMatchOver()) return;
     if (!Simulator.getIsRunning()) {
         // Start in paused state first
         Simulator.start();
@@ -86,10 +93,12 @@ function handleStep() {
 }
 
 /**
- * Handle Reset button click
+ * Handle Reset button click (and R) — after a finished match the rematch starts right away
  */
 function handleReset() {
+    const rematch = isMatchOver();
     Simulator.reset();
+    if (rematch) Simulator.start();
     updateUI();
 }
 
@@ -106,28 +115,17 @@ function handleKeydown(event) {
     switch (event.code) {
         case 'Space':
             event.preventDefault();
-            if (!Simulator.getIsRunning()) {
-                Simulator.start();
-            } else {
-                Simulator.togglePause();
-            }
-            updateUI();
+            handlePause();
             break;
 
         case 'KeyN':
             event.preventDefault();
-            if (!Simulator.getIsRunning()) {
-                Simulator.start();
-                Simulator.pause();
-            }
-            Simulator.step();
-            updateUI();
+            handleStep();
             break;
 
         case 'KeyR':
             event.preventDefault();
-            Simulator.reset();
-            updateUI();
+            handleReset();
             break;
     }
 }
@@ -138,16 +136,23 @@ function handleKeydown(event) {
 export function updateUI() {
     const isRunning = Simulator.getIsRunning();
     const isPaused = Simulator.getIsPaused();
+    const matchOver = isMatchOver();
 
     // Update button text
     if (btnPause) {
         btnPause.textContent = isPaused ? 'Resume' : 'Pause';
     }
 
-    // Update button disabled states
+    // Update button disabled states (nothing but Reset once the match is decided)
     if (btnStart) {
         btnStart.disabled = isRunning;
     }
+    if (btnPause) {
+        btnPause.disabled = isRunning && isPaused && matchOver;
+    }
+    if (btnStep) {
+        btnStep.disabled = matchOver;
+    }
 
     // Update status display
     if (statusDisplay) {
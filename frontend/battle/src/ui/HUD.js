@@ -0,0 +1,162 @@
+/**
+ * HUD.js — Match HUD + Result Overlay
+ *
+ * Shows the round number, round timer and score at the top of the arena,
+ * a banner when a round ends, and the match result overlay (rounds, then damage
+ * taken per hit zone). Scores and winners are per side: team names in team
+ * battles, fighter names otherwise.
+ * Reads MatchController state; never changes it.
+ */
+
+import { MATCH_CONFIG } from '../engine/MatchController.js';
+import { getTeamName } from '../entities/Fighter.js';
+
+// Round end reason -> banner text
+const REASON_TEXT = {
+    ko: 'KO',
+    ringout: 'Ring Out',
+    timeout: 'Time',
+};
+
+// DOM elements
+let roundEl = null;
+let timerEl = null;
+let scoreEl = null;
+let bannerEl = null;
+let overlayEl = null;
+let overlayTitleEl = null;
+let overlayRoundsEl = null;
+let overlayZonesEl = null;
+
+/**
+ * Look up a side's display name (team, or fighter in a free-for-all)
+ * @param {Array} fighters
+ * @param {string|null} id - Team or fighter id
+ * @returns {string}
+ */
+function getName(fighters, id) {
+    const fighter = fighters.find(f => f.id === id);
+    return getTeamName(id) ?? (fighter ? fighter.name : id);
+}
+
+/**
+ * Describe a round result, e.g. "Fighter A wins — KO"
+ * @param {Object} round - MatchController round result
+ * @param {Array} fighters
+ * @returns {string}
+ */
+function describeRound(round, fighters) {
+    const reason = REASON_TEXT[round.reason] || round.reason;
+    return round.winner ? `${getName(fighters, round.winner)} wins — ${reason}` : `Draw — ${reason}`;
+}
+
+/**
+ * Format a zone tally as "hits / damage"
+ * @param {Object} stats - { hits, damage }
+ * @returns {string}
+ */
+function formatZone({ hits, damage }) {
+    return `${hits} / ${Math.round(damage)}`;
+}
+
+/**
+ * Fill the zone table: one row per fighter plus the combined total
+ * @param {Object} zones - getMatchResult().zones
+ * @param {Array} fighters
+ */
+function renderZones(zones, fighters) {
+    const names = Object.keys(zones.total);
+    const addRow = (cells, tag) => {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        overlayZonesEl.appendChild(row);
+    };
+
+    overlayZonesEl.innerHTML = '';
+    addRow(['Taken (hits / dmg)', ...names], 'th');
+    fighters.forEach(f => {
+        const stats = zones.fighters[f.id];
+        if (stats) addRow([f.name, ...names.map(zone => formatZone(stats[zone]))], 'td');
+    });
+    addRow(['Total', ...names.map(zone => formatZone(zones.total[zone]))], 'td');
+}
+
+/**
+ * Initialize the HUD
+ */
+export function init() {
+    roundEl = document.getElementById('match-round');
+    timerEl = document.getElementById('match-timer');
+    scoreEl = document.getElementById('match-score');
+    bannerEl = document.getElementById('match-banner');
+    overlayEl = document.getElementById('match-overlay');
+    overlayTitleEl = document.getElementById('match-overlay-title');
+    overlayRoundsEl = document.getElementById('match-overlay-rounds');
+    overlayZonesEl = document.getElementById('match-overlay-zones');
+
+    console.log('[HUD] Initialized');
+}
+
+/**
+ * Update round, timer, score and round banner — call each frame
+ * @param {Object} matchState - MatchController.matchState
+ * @param {number} timeLeft - Seconds left in the round
+ * @param {Array} fighters
+ */
+export function update(matchState, timeLeft, fighters) {
+    if (roundEl) {
+        roundEl.textContent = `Round ${matchState.round}/${MATCH_CONFIG.rounds}`;
+    }
+    if (timerEl) {
+        timerEl.textContent = String(Math.ceil(timeLeft));
+        timerEl.className = timeLeft <= 10 ? 'low' : '';
+    }
+    if (scoreEl) {
+        scoreEl.textContent = Object.entries(matchState.wins)
+            .map(([side, wins]) => `${getName(fighters, side)} ${wins}`)
+            .join('  —  ');
+    }
+    if (bannerEl) {
+        const showBanner = matchState.phase === MATCH_CONFIG.phases.ROUND_OVER && matchState.lastRound;
+        bannerEl.hidden = !showBanner;
+        if (showBanner) {
+            bannerEl.textContent = describeRound(matchState.lastRound, fighters);
+        }
+    }
+}
+
+/**
+ * Show the match result overlay
+ * @param {Object} result - MatchController.getMatchResult()
+ * @param {Array} fighters
+ */
+export function showResult(result, fighters) {
+    if (!overlayEl) return;
+
+    overlayTitleEl.textContent = result.winner
+        ? `${getName(fighters, result.winner)} Wins!`
+        : 'Draw';
+
+    overlayRoundsEl.innerHTML = '';
+    result.rounds.forEach(round => {
+        const item = document.createElement('li');
+        item.textContent = `Round ${round.round}: ${describeRound(round, fighters)}`;
+        overlayRoundsEl.appendChild(item);
+    });
+
+    if (overlayZonesEl) renderZones(result.zones, fighters);
+
+    overlayEl.hidden = false;
+}
+
+/**
+ * Hide the match result overlay and round banner
+ */
+export function hideResult() {
+    if (overlayEl) overlayEl.hidden = true;
+    if (bannerEl) bannerEl.hidden = true;
+}
@@ -0,0 +1,16 @@
+/**
+ * MathUtils.js — Small Shared Math Helpers
+ *
+ * Pure functions used by several physics modules (balance, muscles, knockdown).
+ */
+
+/**
+ * Wrap an angle to [-π, π]
+ * @param {number} angle - Radians
+ * @returns {number}
+ */
+export function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
@@ -0,0 +1,135 @@
+/**
+ * SeededRNG.js — Deterministic Random Numbers
+ *
+ * Mulberry32 PRNG seeded from the battle seed.
+ * Each subsystem draws from its own named stream (e.g. 'spawn', 'ai:fighter_a'),
+ * so adding a new consumer never shifts the numbers another one sees.
+ *
+ * Math.random() must not be used anywhere in the simulation — only
+ * generateSeed() touches it, to pick a fresh seed.
+ */
+
+// =============================================================================
+// RNG CONFIGURATION
+// =============================================================================
+
+export const RNG_CONFIG = {
+    // Seeds are drawn from [0, maxSeed) so they stay short enough to type
+    maxSeed: 1000000,
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+let currentSeed = 0;
+
+// Named streams (name -> rng)
+const streams = new Map();
+
+// =============================================================================
+// CORE GENERATOR
+// =============================================================================
+
+/**
+ * Hash a string to a 32-bit integer (FNV-1a)
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a standalone seeded generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} RNG with next/range/int/chance/pick
+ */
+export function createRNG(seed) {
+    let state = seed >>> 0;
+
+    // Mulberry32 — returns float in [0, 1)
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+
+        // Float in [min, max)
+        range: (min, max) => min + next() * (max - min),
+
+        // Integer in [min, max] (inclusive)
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+
+        // True with probability p
+        chance: (p) => next() < p,
+
+        // Random element of an array
+        pick: (list) => list[Math.floor(next() * list.length)],
+
+        // Internal state (for snapshots)
+        getState: () => state,
+        setState: (value) => { state = value >>> 0; },
+    };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Generate a fresh random seed (the only non-deterministic call)
+ * @returns {number}
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * RNG_CONFIG.maxSeed);
+}
+
+/**
+ * Set the battle seed and discard all existing streams
+ * @param {number} seed
+ */
+export function setSeed(seed) {
+    currentSeed = Number(seed) >>> 0;
+    streams.clear();
+    console.log(`[RNG] Seed set to ${currentSeed}`);
+}
+
+/**
+ * Get the current battle seed
+ * @returns {number}
+ */
+export function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Get (or create) a named stream derived from the battle seed
+ * @param {string} name - Stream name, e.g. 'spawn' or 'ai:fighter_a'
+ * @returns {Object} RNG
+ */
+export function getStream(name) {
+    let rng = streams.get(name);
+    if (!rng) {
+        rng = createRNG(currentSeed ^ hashString(name));
+        streams.set(name, rng);
+    }
+    return rng;
+}
+
+/**
+ * Rewind every stream to the start of the current seed
+ */
+export function resetStreams() {
+    streams.clear();
+}